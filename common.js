@@ -1,4 +1,5 @@
 // common.js
+const path = require('path');
 // This file should now primarily contain model *names* and other shared constants,
 // but not API keys or external URLs which are now in config/api.js
 
@@ -26,13 +27,36 @@ module.exports = {
   OPENAI_URL: process.env.OPENAI_URL || "https://api.openai.com/v1/chat/completions",
   OPEN_ROUTER_URL: process.env.OPEN_ROUTER_URL || "https://openrouter.ai/api/v1/chat/completions",
 
-  // Model identifiers and display names (can be used for UI)
-  modelIdentifiers: ['gemini', 'deepseek', 'gpt', 'claude', 'grok'], // Renamed 'openai' to 'gpt' to match MODEL_CONFIGS
-  modelsConfig: [
-    { id: 'gemini', name: 'Google Gemini', defaultChecked: true, color: 'blue' },
-    { id: 'deepseek', name: 'Deepseek', defaultChecked: false, color: 'green' },
-    { id: 'gpt', name: 'OpenAI GPT', defaultChecked: false, color: 'purple' }, // Renamed here
-    { id: 'claude', name: 'Anthropic Claude', defaultChecked: false, color: 'red' },
-    { id: 'grok', name: 'Grok', defaultChecked: false, color: 'orange' },
-  ],
+  // Local model servers, probed for installed models when the chat page loads
+  OLLAMA_BASE_URL: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+  LLAMACPP_BASE_URL: process.env.LLAMACPP_BASE_URL || "http://localhost:8080",
+  LOCAL_MODEL_DISCOVERY: process.env.LOCAL_MODEL_DISCOVERY !== 'false', // Set to 'false' to skip probing
+
+  // Automatic retries of transient provider errors (rate limits, overload, network), with exponential backoff
+  LLM_MAX_RETRIES: parseInt(process.env.LLM_MAX_RETRIES || '2'),
+  LLM_RETRY_BASE_DELAY_MS: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000'),
+  LLM_RETRY_MAX_DELAY_MS: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000'), // Longer Retry-After waits are not retried
+
+  // Conversation storage: 'file' keeps sessions as JSON files in HISTORY_DATA_DIR, 'memory' loses them on restart
+  HISTORY_STORE: process.env.HISTORY_STORE || 'file',
+  HISTORY_DATA_DIR: process.env.HISTORY_DATA_DIR || path.join(__dirname, 'data'),
+
+  // What happens when a history outgrows a model's context window (limits.contextWindow in config/providers.json);
+  // providers can override these with their own `context` settings
+  CONTEXT_STRATEGY: process.env.CONTEXT_STRATEGY || 'drop_oldest', // 'drop_oldest', 'keep_last_n' or 'summarize'
+  CONTEXT_KEEP_TURNS: parseInt(process.env.CONTEXT_KEEP_TURNS || '10'), // Turns kept by 'keep_last_n'
+  CONTEXT_SUMMARY_MODEL: process.env.CONTEXT_SUMMARY_MODEL || '', // Model that writes the summaries; empty means the model itself
+
+  // Spending limits in the pricing currency (config/pricing.json); 0 means no limit. Days are UTC days.
+  // Providers can set their own daily limit with `budget.dailyLimit` in config/providers.json
+  BUDGET_SESSION_LIMIT: parseFloat(process.env.BUDGET_SESSION_LIMIT || '0'), // Per session GUID, over its whole life
+  BUDGET_DAILY_LIMIT: parseFloat(process.env.BUDGET_DAILY_LIMIT || '0'), // All providers together
+  BUDGET_PROVIDER_DAILY_LIMIT: parseFloat(process.env.BUDGET_PROVIDER_DAILY_LIMIT || '0'), // Each provider on its own
+  BUDGET_WARN_THRESHOLDS: (process.env.BUDGET_WARN_THRESHOLDS || '0.5,0.8').split(',').map(parseFloat).filter(share => share > 0 && share < 1), // Shares of a limit that trigger a warning
+  BUDGET_LEDGER_FILE: process.env.BUDGET_LEDGER_FILE || path.join(process.env.HISTORY_DATA_DIR || path.join(__dirname, 'data'), 'spend.jsonl'), // Every priced call, one JSON line each
+
+  // Blind arena votes (one JSON line each), read back at startup to rate the models
+  ARENA_VOTES_FILE: process.env.ARENA_VOTES_FILE || path.join(process.env.HISTORY_DATA_DIR || path.join(__dirname, 'data'), 'arena-votes.jsonl'),
+
+  // Model identifiers and display names (for the UI) are defined in config/providers.json.
 };
\ No newline at end of file
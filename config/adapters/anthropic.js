@@ -0,0 +1,108 @@
+// config/adapters/anthropic.js
+const { dropUndefined, toCanonicalAttachment, fromCanonicalMessage } = require('./shared');
+const { formatTextAttachment } = require('../../utils/attachments');
+
+/**
+ * Turns a prepared attachment into an Anthropic content block (image or document, base64 encoded).
+ * @param {import('../../utils/attachments').Attachment} attachment
+ * @returns {object}
+ */
+function toAnthropicBlock(attachment) {
+  if (attachment.kind === 'text') {
+    return { type: "text", text: formatTextAttachment(attachment) };
+  }
+  return {
+    type: attachment.kind === 'pdf' ? "document" : "image",
+    source: { type: "base64", media_type: attachment.mimeType, data: attachment.data },
+  };
+}
+
+/**
+ * Normalizes an Anthropic `usage` object. `input_tokens` leaves out the prompt tokens read from or written to
+ * the cache, so they are added back to match the other providers.
+ * @param {object} [usage]
+ * @returns {import('./shared').Usage|undefined}
+ */
+function parseAnthropicUsage(usage) {
+  if (!usage) return undefined;
+  const cacheRead = usage.cache_read_input_tokens;
+  return dropUndefined({
+    inputTokens: usage.input_tokens === undefined ? undefined : usage.input_tokens + (cacheRead ?? 0) + (usage.cache_creation_input_tokens ?? 0),
+    outputTokens: usage.output_tokens,
+    cachedTokens: cacheRead,
+  });
+}
+
+/**
+ * Builds the model configuration for an Anthropic Messages API provider.
+ * Uses the direct HTTP API rather than the SDK for uniformity with the other adapters.
+ * @param {import('../providerRegistry').ResolvedProvider} provider - The resolved provider definition.
+ * @returns {object} The model configuration consumed by llmService.callLLMAPI.
+ */
+function createAnthropicAdapter(provider) {
+  const { endpoint, model, apiKey } = provider;
+  const { maxTokens } = provider.limits;
+  // max_tokens is mandatory for the Messages API, so the configured cap is the fallback.
+  const buildParams = (params) => dropUndefined({
+    max_tokens: params.maxTokens ?? maxTokens,
+    temperature: params.temperature,
+    top_p: params.topP,
+    top_k: params.topK,
+    stop_sequences: params.stop,
+  });
+
+  const config = {
+    url: endpoint,
+    modelsUrl: endpoint.replace(/\/messages\/?$/, '/models?limit=1000'),
+    maxTokens: maxTokens,
+    supportedParams: provider.supportedParams || ['temperature', 'maxTokens', 'topP', 'topK', 'stop'],
+    temperatureRange: provider.temperatureRange || [0, 1],
+    supportedAttachments: provider.supportedAttachments || ['image', 'pdf', 'text'],
+    initialHistory: [],
+    formatUserMessage: (input, attachments = []) => ({
+      role: "user",
+      content: attachments.length ? [...attachments.map(toAnthropicBlock), { type: "text", text: input }] : input,
+    }),
+    formatAssistantMessage: (content) => ({ role: "assistant", content: content }),
+    formatPayload: (history, params) => ({ model: model, messages: history, ...buildParams(params) }),
+    formatPayloadExtended: (history, params, systemPrompt) => ({
+      model: model,
+      system: systemPrompt, // Anthropic takes the system prompt as a top-level field, not a message
+      messages: history,
+      ...buildParams(params),
+    }),
+    formatHeaders: () => ({ 'x-api-key': apiKey, 'anthropic-version': '2023-06-01', "Content-Type": "application/json" }),
+    parseResponse: (data) => ({
+      content: data.content?.[0]?.text,
+      finishReason: data.stop_reason,
+      usage: parseAnthropicUsage(data.usage),
+    }),
+    parseModelList: (data) => (data.data ?? []).map(entry => entry.id),
+    formatStreamPayload: (payload) => ({ ...payload, stream: true }),
+    // Anthropic sends typed events: message_start carries input usage, content_block_delta the text,
+    // message_delta the stop reason and the final output token count.
+    parseStreamChunk: (data) => ({
+      delta: data.type === 'content_block_delta' ? data.delta?.text : undefined,
+      finishReason: data.type === 'message_delta' ? data.delta?.stop_reason : undefined,
+      usage: parseAnthropicUsage(data.type === 'message_start' ? data.message?.usage : data.usage),
+      error: data.type === 'error' ? data.error : undefined,
+    }),
+    // The provider's token counts (as in responses and batch results) -> normalized Usage
+    parseUsage: parseAnthropicUsage,
+    // Stored history <-> provider-neutral messages (see shared.js), used to copy conversations between models
+    toCanonical: (message) => {
+      const blocks = typeof message.content === 'string' ? [{ type: "text", text: message.content }] : (message.content ?? []);
+      return {
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        text: blocks.filter(block => block.type === 'text').map(block => block.text).join('\n\n'),
+        attachments: blocks
+          .filter(block => (block.type === 'image' || block.type === 'document') && block.source?.type === 'base64')
+          .map(block => toCanonicalAttachment(block.source.media_type, block.source.data)),
+      };
+    },
+    fromCanonical: (message) => fromCanonicalMessage(message, config),
+  };
+  return config;
+}
+
+module.exports = createAnthropicAdapter;
@@ -0,0 +1,127 @@
+// config/adapters/gemini.js
+const { dropUndefined, toCanonicalAttachment, fromCanonicalMessage } = require('./shared');
+const { formatTextAttachment } = require('../../utils/attachments');
+
+/**
+ * Turns a prepared attachment into a Gemini content part: inline bytes, or a File API reference for large files.
+ * @param {import('../../utils/attachments').Attachment} attachment
+ * @returns {object}
+ */
+function toGeminiPart(attachment) {
+  if (attachment.kind === 'text') {
+    return { text: formatTextAttachment(attachment) };
+  }
+  if (attachment.fileUri) {
+    return { file_data: { mime_type: attachment.mimeType, file_uri: attachment.fileUri } };
+  }
+  return { inline_data: { mime_type: attachment.mimeType, data: attachment.data } };
+}
+
+/**
+ * Normalizes Gemini `usageMetadata`. Thinking tokens are billed as output but not counted in candidatesTokenCount.
+ * @param {object} [usageMetadata]
+ * @returns {import('./shared').Usage|undefined}
+ */
+function parseGeminiUsage(usageMetadata) {
+  if (!usageMetadata) return undefined;
+  const { promptTokenCount, candidatesTokenCount, thoughtsTokenCount, cachedContentTokenCount } = usageMetadata;
+  return dropUndefined({
+    inputTokens: promptTokenCount,
+    outputTokens: candidatesTokenCount === undefined && thoughtsTokenCount === undefined
+      ? undefined
+      : (candidatesTokenCount ?? 0) + (thoughtsTokenCount ?? 0),
+    cachedTokens: cachedContentTokenCount,
+    reasoningTokens: thoughtsTokenCount,
+  });
+}
+
+/**
+ * Builds the model configuration for a Google Gemini provider (generateContent API).
+ * @param {import('../providerRegistry').ResolvedProvider} provider - The resolved provider definition.
+ * @returns {object} The model configuration consumed by llmService.callLLMAPI.
+ */
+function createGeminiAdapter(provider) {
+  const { endpoint, model, apiKey } = provider;
+  // Maps the provider-neutral generation parameters onto generationConfig; unset values are left out.
+  const buildGenerationConfig = (params) => dropUndefined({
+    temperature: params.temperature,
+    maxOutputTokens: params.maxTokens,
+    topP: params.topP,
+    topK: params.topK,
+    stopSequences: params.stop,
+    seed: params.seed,
+    presencePenalty: params.presencePenalty,
+    frequencyPenalty: params.frequencyPenalty,
+  });
+
+  const config = {
+    url: `${endpoint}/${model}:generateContent?key=${apiKey}`,
+    streamUrl: `${endpoint}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+    modelsUrl: `${endpoint}?key=${apiKey}&pageSize=1000`,
+    maxTokens: provider.limits.maxTokens ?? Infinity, // Gemini doesn't have a single max_tokens param like others for basic chat
+    supportedParams: provider.supportedParams || ['temperature', 'maxTokens', 'topP', 'topK', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty'],
+    temperatureRange: provider.temperatureRange || [0, 2],
+    supportedAttachments: provider.supportedAttachments || ['image', 'pdf', 'text'],
+    // Requests are capped at 20MB, so bigger files go through the Gemini File API (see llmService.prepareAttachments)
+    maxInlineAttachmentBytes: 15 * 1024 * 1024,
+    attachmentUpload: 'gemini-file-api',
+    initialHistory: [],
+    formatUserMessage: (input, attachments = []) => ({ role: "user", parts: [...attachments.map(toGeminiPart), { text: input }] }),
+    formatAssistantMessage: (content) => ({ role: "model", parts: [{ text: content }] }),
+    formatPayload: (history, params) => ({ contents: history, generationConfig: buildGenerationConfig(params) }),
+    formatPayloadExtended: (history, params, systemPrompt) => ({
+      contents: history,
+      generationConfig: buildGenerationConfig(params),
+      systemInstruction: {
+        parts: [
+          { text: systemPrompt }
+        ]
+      }
+    }),
+    formatHeaders: () => ({ "Content-Type": "application/json" }),
+    parseResponse: (data) => ({
+      content: (data.candidates?.[0]?.content?.parts ?? [])
+        .map(part => part.text)
+        .join(''),
+      finishReason: data.candidates?.[0]?.finishReason,
+      usage: parseGeminiUsage(data.usageMetadata),
+    }),
+    // Only models that can chat are offered; names come back as "models/<name>".
+    parseModelList: (data) => (data.models ?? [])
+      .filter(entry => !entry.supportedGenerationMethods || entry.supportedGenerationMethods.includes('generateContent'))
+      .map(entry => entry.name.replace(/^models\//, '')),
+    // Several answers in one request (see llmService.sampleLLMAPI)
+    formatSamplesPayload: (payload, count) => ({ ...payload, generationConfig: { ...payload.generationConfig, candidateCount: count } }),
+    parseSamples: (data) => (data.candidates ?? []).map(candidate => ({
+      content: (candidate.content?.parts ?? []).map(part => part.text).join(''),
+      finishReason: candidate.finishReason,
+    })),
+    formatStreamPayload: (payload) => payload, // Streaming is selected by the URL (streamGenerateContent?alt=sse)
+    parseStreamChunk: (data) => ({
+      delta: (data.candidates?.[0]?.content?.parts ?? [])
+        .map(part => part.text ?? '')
+        .join(''),
+      finishReason: data.candidates?.[0]?.finishReason,
+      usage: parseGeminiUsage(data.usageMetadata), // Running totals; the last chunk has the final counts
+    }),
+    // The provider's token counts (as in responses and batch results) -> normalized Usage
+    parseUsage: parseGeminiUsage,
+    // Stored history <-> provider-neutral messages (see shared.js), used to copy conversations between models
+    toCanonical: (message) => {
+      const parts = message.parts ?? [];
+      return {
+        role: message.role === 'model' ? 'assistant' : 'user',
+        text: parts.filter(part => typeof part.text === 'string').map(part => part.text).join('\n\n'),
+        attachments: parts.flatMap(part => {
+          if (part.inline_data) return [toCanonicalAttachment(part.inline_data.mime_type, part.inline_data.data)];
+          if (part.file_data) return [{ ...toCanonicalAttachment(part.file_data.mime_type), fileUri: part.file_data.file_uri }];
+          return [];
+        }),
+      };
+    },
+    fromCanonical: (message) => fromCanonicalMessage(message, config, { acceptsFileUri: true }),
+  };
+  return config;
+}
+
+module.exports = createGeminiAdapter;
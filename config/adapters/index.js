@@ -0,0 +1,19 @@
+// config/adapters/index.js
+const createGeminiAdapter = require('./gemini');
+const createOpenAICompatibleAdapter = require('./openaiCompatible');
+const createAnthropicAdapter = require('./anthropic');
+const createOllamaAdapter = require('./ollama');
+
+/**
+ * Adapter factories keyed by the `adapter` type used in config/providers.json.
+ * Each factory turns a resolved provider definition into a model configuration.
+ */
+const ADAPTERS = {
+  gemini: createGeminiAdapter,
+  'openai-compatible': createOpenAICompatibleAdapter,
+  openai: createOpenAICompatibleAdapter, // Alias kept for provider files written before 'openai-compatible'
+  anthropic: createAnthropicAdapter,
+  ollama: createOllamaAdapter,
+};
+
+module.exports = ADAPTERS;
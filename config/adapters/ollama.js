@@ -0,0 +1,91 @@
+// config/adapters/ollama.js
+const { dropUndefined, toCanonicalAttachment, guessImageMimeType, fromCanonicalMessage } = require('./shared');
+const { formatTextAttachment } = require('../../utils/attachments');
+
+/**
+ * Reads the token counts Ollama puts on its final response line.
+ * @param {object} data
+ * @returns {import('./shared').Usage}
+ */
+function parseOllamaUsage(data) {
+  return dropUndefined({ inputTokens: data.prompt_eval_count, outputTokens: data.eval_count });
+}
+
+/**
+ * Builds the model configuration for a local Ollama server (`POST /api/chat`).
+ * Ollama needs no API key and streams newline-delimited JSON instead of SSE.
+ * @param {import('../providerRegistry').ResolvedProvider} provider - The resolved provider definition.
+ * @returns {object} The model configuration consumed by llmService.callLLMAPI.
+ */
+function createOllamaAdapter(provider) {
+  const { model, headers: extraHeaders } = provider;
+  const { maxTokens } = provider.limits;
+  const url = provider.endpoint || `${provider.baseUrl.replace(/\/+$/, '')}/api/chat`;
+  const modelsUrl = url.replace(/\/api\/chat\/?$/, '/api/tags');
+  const buildOptions = (params) => dropUndefined({
+    temperature: params.temperature,
+    num_predict: params.maxTokens ?? (maxTokens || undefined),
+    top_p: params.topP,
+    top_k: params.topK,
+    stop: params.stop,
+    seed: params.seed,
+    presence_penalty: params.presencePenalty,
+    frequency_penalty: params.frequencyPenalty,
+  });
+
+  const config = {
+    url: url,
+    modelsUrl: modelsUrl,
+    maxTokens: maxTokens,
+    streamFormat: 'ndjson',
+    supportedParams: provider.supportedParams || ['temperature', 'maxTokens', 'topP', 'topK', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty'],
+    temperatureRange: provider.temperatureRange || [0, 2],
+    supportedAttachments: provider.supportedAttachments || ['image', 'text'],
+    initialHistory: [],
+    // Ollama takes images as a base64 list next to the text (vision models only); text files are inlined
+    formatUserMessage: (input, attachments = []) => {
+      const texts = attachments.filter(attachment => attachment.kind === 'text').map(formatTextAttachment);
+      const images = attachments.filter(attachment => attachment.kind === 'image').map(attachment => attachment.data);
+      return {
+        role: "user",
+        content: [...texts, input].join('\n\n'),
+        ...(images.length ? { images } : {}),
+      };
+    },
+    formatAssistantMessage: (content) => ({ role: "assistant", content: content }),
+    formatPayload: (history, params) => ({ model: model, messages: history, stream: false, options: buildOptions(params) }),
+    formatPayloadExtended: (history, params, systemPrompt) => ({
+      model: model,
+      messages: [{ role: "system", content: systemPrompt }, ...history],
+      stream: false,
+      options: buildOptions(params),
+    }),
+    formatHeaders: () => ({ ...extraHeaders, "Content-Type": "application/json" }),
+    parseResponse: (data) => ({
+      content: data.message?.content,
+      finishReason: data.done_reason,
+      usage: parseOllamaUsage(data),
+    }),
+    parseModelList: (data) => (data.models ?? []).map(entry => entry.name),
+    formatStreamPayload: (payload) => ({ ...payload, stream: true }),
+    // Every line is a partial message; the last one has `done: true` with the stop reason and token counts.
+    parseStreamChunk: (data) => ({
+      delta: data.message?.content,
+      finishReason: data.done ? data.done_reason : undefined,
+      usage: data.done ? parseOllamaUsage(data) : undefined,
+      error: data.error ? { message: data.error } : undefined,
+    }),
+    // The provider's token counts (as in responses and batch results) -> normalized Usage
+    parseUsage: parseOllamaUsage,
+    // Stored history <-> provider-neutral messages (see shared.js), used to copy conversations between models
+    toCanonical: (message) => ({
+      role: message.role === 'assistant' ? 'assistant' : 'user',
+      text: message.content ?? '',
+      attachments: (message.images ?? []).map(data => toCanonicalAttachment(guessImageMimeType(data), data)),
+    }),
+    fromCanonical: (message) => fromCanonicalMessage(message, config),
+  };
+  return config;
+}
+
+module.exports = createOllamaAdapter;
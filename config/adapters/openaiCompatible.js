@@ -0,0 +1,142 @@
+// config/adapters/openaiCompatible.js
+const { dropUndefined, toCanonicalAttachment, parseDataUrl, fromCanonicalMessage } = require('./shared');
+const { formatTextAttachment } = require('../../utils/attachments');
+
+// Payload field names for the generation parameters; `paramNames` in a provider definition overrides them
+// (e.g. OpenAI's newer models want `max_completion_tokens` instead of `max_tokens`).
+const DEFAULT_PARAM_NAMES = {
+  temperature: 'temperature',
+  maxTokens: 'max_tokens',
+  topP: 'top_p',
+  topK: 'top_k',
+  stop: 'stop',
+  seed: 'seed',
+  presencePenalty: 'presence_penalty',
+  frequencyPenalty: 'frequency_penalty',
+};
+
+/**
+ * Builds the model configuration for an OpenAI-compatible chat completions provider
+ * (OpenAI, Deepseek, OpenRouter, Together, Groq, Mistral, vLLM, LM Studio, ...).
+ * The adapter can be instantiated any number of times; each instance brings its own
+ * endpoint (or `baseUrl`, to which `/chat/completions` is appended), key, model name and extra headers.
+ * `limits.maxTokensParam` names the payload field for the output token cap; when it is not set
+ * the cap is only used for reporting, never sent. A max-tokens value chosen on the chat page is always sent.
+ * `top_k` is not part of the OpenAI API, so it is only listed as supported when a provider opts in via `supportedParams`.
+ * Several samples are asked for with `n` unless the provider sets `nativeSamples: false`.
+ * @param {import('../providerRegistry').ResolvedProvider} provider - The resolved provider definition.
+ * @returns {object} The model configuration consumed by llmService.callLLMAPI.
+ */
+function createOpenAICompatibleAdapter(provider) {
+  const { model, apiKey, headers: extraHeaders } = provider;
+  const { maxTokens, maxTokensParam } = provider.limits;
+  const paramNames = { ...DEFAULT_PARAM_NAMES, ...(maxTokensParam ? { maxTokens: maxTokensParam } : {}), ...provider.paramNames };
+  const defaultMaxTokens = (maxTokensParam && maxTokens) ? maxTokens : undefined;
+  const buildParams = (params) => dropUndefined({
+    [paramNames.maxTokens]: params.maxTokens ?? defaultMaxTokens,
+    [paramNames.temperature]: params.temperature,
+    [paramNames.topP]: params.topP,
+    [paramNames.topK]: params.topK,
+    [paramNames.stop]: params.stop,
+    [paramNames.seed]: params.seed,
+    [paramNames.presencePenalty]: params.presencePenalty,
+    [paramNames.frequencyPenalty]: params.frequencyPenalty,
+  });
+  const url = provider.endpoint || `${provider.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  // The model list lives next to the chat endpoint: <base>/models
+  const modelsUrl = `${(provider.baseUrl || url.replace(/\/chat\/completions\/?$/, '')).replace(/\/+$/, '')}/models`;
+  // Local servers (vLLM, LM Studio, ...) usually need no key, so the Authorization header is optional.
+  const authHeader = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const config = {
+    url: url,
+    modelsUrl: modelsUrl,
+    maxTokens: maxTokens,
+    supportedParams: provider.supportedParams || ['temperature', 'maxTokens', 'topP', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty'],
+    temperatureRange: provider.temperatureRange || [0, 2],
+    // Not every OpenAI-compatible server reads PDFs, so providers opt in via `supportedAttachments`
+    supportedAttachments: provider.supportedAttachments || ['image', 'text'],
+    initialHistory: [],
+    // Plain-text messages keep the simple string form; attachments switch to a content-part array
+    formatUserMessage: (input, attachments = []) => ({
+      role: "user",
+      content: attachments.length ? [...attachments.map(toOpenAIContentPart), { type: "text", text: input }] : input,
+    }),
+    formatAssistantMessage: (content) => ({ role: "assistant", content: content }),
+    formatPayload: (history, params) => ({ model: model, messages: history, ...buildParams(params) }),
+    formatPayloadExtended: (history, params, systemPrompt) => ({
+      model: model,
+      messages: [{ role: "system", content: systemPrompt }, ...history], // System prompt travels as the first message
+      ...buildParams(params),
+    }),
+    formatHeaders: () => ({ ...extraHeaders, ...authHeader, "Content-Type": "application/json" }),
+    parseResponse: (data) => ({
+      content: data.choices?.[0]?.message?.content,
+      finishReason: data.choices?.[0]?.finish_reason,
+      usage: parseOpenAIUsage(data.usage),
+    }),
+    parseModelList: (data) => (data.data ?? []).map(entry => entry.id),
+    // Several answers in one request (see llmService.sampleLLMAPI); providers without `n` set `nativeSamples: false`
+    formatSamplesPayload: provider.nativeSamples === false ? undefined : (payload, count) => ({ ...payload, n: count }),
+    parseSamples: (data) => (data.choices ?? []).map(choice => ({
+      content: choice.message?.content,
+      finishReason: choice.finish_reason,
+    })),
+    formatStreamPayload: (payload) => ({ ...payload, stream: true, stream_options: { include_usage: true } }),
+    parseStreamChunk: (data) => ({
+      delta: data.choices?.[0]?.delta?.content,
+      finishReason: data.choices?.[0]?.finish_reason,
+      usage: parseOpenAIUsage(data.usage), // Only in the last chunk (stream_options.include_usage)
+      error: data.error,
+    }),
+    // The provider's token counts (as in responses and batch results) -> normalized Usage
+    parseUsage: parseOpenAIUsage,
+    // Stored history <-> provider-neutral messages (see shared.js), used to copy conversations between models
+    toCanonical: (message) => {
+      const parts = typeof message.content === 'string' ? [{ type: "text", text: message.content }] : (message.content ?? []);
+      return {
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        text: parts.filter(part => part.type === 'text').map(part => part.text).join('\n\n'),
+        attachments: parts.flatMap(part => {
+          const file = parseDataUrl(part.type === 'image_url' ? part.image_url?.url : part.file?.file_data);
+          return file ? [toCanonicalAttachment(file.mimeType, file.data, part.file?.filename)] : [];
+        }),
+      };
+    },
+    fromCanonical: (message) => fromCanonicalMessage(message, config),
+  };
+  return config;
+}
+
+/**
+ * Normalizes an OpenAI `usage` object. DeepSeek reports cache hits in its own field.
+ * @param {object} [usage]
+ * @returns {import('./shared').Usage|undefined}
+ */
+function parseOpenAIUsage(usage) {
+  if (!usage) return undefined;
+  return dropUndefined({
+    inputTokens: usage.prompt_tokens,
+    outputTokens: usage.completion_tokens,
+    cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? usage.prompt_cache_hit_tokens,
+    reasoningTokens: usage.completion_tokens_details?.reasoning_tokens,
+  });
+}
+
+/**
+ * Turns a prepared attachment into an OpenAI chat content part (images as data URLs, PDFs as `file` parts).
+ * @param {import('../../utils/attachments').Attachment} attachment
+ * @returns {object}
+ */
+function toOpenAIContentPart(attachment) {
+  if (attachment.kind === 'text') {
+    return { type: "text", text: formatTextAttachment(attachment) };
+  }
+  const dataUrl = `data:${attachment.mimeType};base64,${attachment.data}`;
+  if (attachment.kind === 'pdf') {
+    return { type: "file", file: { filename: attachment.name, file_data: dataUrl } };
+  }
+  return { type: "image_url", image_url: { url: dataUrl } };
+}
+
+module.exports = createOpenAICompatibleAdapter;
@@ -0,0 +1,97 @@
+// config/adapters/shared.js
+// Helpers shared by the adapters. Not an adapter itself, so it is not listed in ./index.js.
+const { getAttachmentKind } = require('../../utils/attachments');
+
+/**
+ * Provider-neutral form of a stored history message, used to carry conversations between models.
+ * Every adapter converts its own message shape to and from it (`toCanonical` / `fromCanonical`).
+ * Text files were inlined when they were sent, so they arrive as part of `text`.
+ * @typedef {object} CanonicalMessage
+ * @property {'user'|'assistant'} role
+ * @property {string} text - All text parts of the message, joined by blank lines.
+ * @property {import('../../utils/attachments').Attachment[]} attachments - Images and files (base64 data, or a provider file URI).
+ */
+
+/**
+ * Token counts of one call, in the same terms for every provider (see each adapter's usage parser).
+ * Counts a provider does not report are left out.
+ * @typedef {object} Usage
+ * @property {number} [inputTokens] - Prompt tokens, cached ones included.
+ * @property {number} [outputTokens] - Generated tokens, reasoning included.
+ * @property {number} [cachedTokens] - Prompt tokens read from the provider's cache (billed at a lower rate).
+ * @property {number} [reasoningTokens] - Tokens spent on thinking before the answer.
+ * @property {number} [totalTokens] - Input plus output; added by llmService.
+ */
+
+/**
+ * Removes unset values so that only the generation parameters the user chose reach the provider.
+ * @param {object} fields
+ * @returns {object} A copy of `fields` without undefined values.
+ */
+function dropUndefined(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Builds a canonical attachment from the MIME type and base64 data found in a native message.
+ * @param {string} mimeType
+ * @param {string} data - Base64 contents.
+ * @param {string} [name] - Native messages rarely keep file names, so one is made up from the type.
+ * @returns {import('../../utils/attachments').Attachment}
+ */
+function toCanonicalAttachment(mimeType, data, name) {
+  const attachment = { mimeType, data };
+  const kind = getAttachmentKind(attachment);
+  return { ...attachment, kind, name: name || `${kind === 'other' ? 'file' : kind}.${(mimeType || '').split('/')[1] || 'bin'}` };
+}
+
+/**
+ * Splits a `data:<mime>;base64,<data>` URL (OpenAI image and file parts).
+ * @param {string} url
+ * @returns {{mimeType: string, data: string}|null} Null for remote URLs, which cannot be carried over.
+ */
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+  return match ? { mimeType: match[1], data: match[2] } : null;
+}
+
+/**
+ * Guesses an image's MIME type from its first bytes (Ollama stores images without one).
+ * @param {string} data - Base64 contents.
+ * @returns {string}
+ */
+function guessImageMimeType(data) {
+  if (data.startsWith('/9j/')) return 'image/jpeg';
+  if (data.startsWith('R0lGOD')) return 'image/gif';
+  if (data.startsWith('UklGR')) return 'image/webp';
+  return 'image/png';
+}
+
+/**
+ * Converts a canonical message into an adapter's native shape with its own formatUserMessage/formatAssistantMessage.
+ * Attachments the target cannot take (unsupported kind, or a file URI of another provider) are replaced
+ * by a short note in the text so the conversation still reads correctly.
+ * @param {CanonicalMessage} message
+ * @param {{formatUserMessage: Function, formatAssistantMessage: Function, supportedAttachments: string[]}} adapter
+ * @param {{acceptsFileUri?: boolean}} [options]
+ * @returns {object} The native message.
+ */
+function fromCanonicalMessage(message, adapter, { acceptsFileUri = false } = {}) {
+  const attachments = message.attachments || [];
+  const usable = attachments.filter(attachment => adapter.supportedAttachments.includes(attachment.kind)
+    && (attachment.fileUri ? acceptsFileUri : Boolean(attachment.data)));
+  const notes = attachments.filter(attachment => !usable.includes(attachment))
+    .map(attachment => `[Attachment not carried over: ${attachment.name}]`);
+  const text = [...notes, message.text].filter(Boolean).join('\n\n');
+  return message.role === 'assistant'
+    ? adapter.formatAssistantMessage(text)
+    : adapter.formatUserMessage(text, usable);
+}
+
+module.exports = {
+  dropUndefined,
+  toCanonicalAttachment,
+  parseDataUrl,
+  guessImageMimeType,
+  fromCanonicalMessage,
+};
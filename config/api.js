@@ -20,7 +20,24 @@ const {
   OPEN_ROUTER_URL,
   ANTHROPIC_MAX_TOKENS,
   DEEPSEEK_MAX_TOKENS,
-  OPENAI_MAX_TOKENS
+  OPENAI_MAX_TOKENS,
+  OLLAMA_BASE_URL,
+  LLAMACPP_BASE_URL,
+  LOCAL_MODEL_DISCOVERY,
+  LLM_MAX_RETRIES,
+  LLM_RETRY_BASE_DELAY_MS,
+  LLM_RETRY_MAX_DELAY_MS,
+  HISTORY_STORE,
+  HISTORY_DATA_DIR,
+  CONTEXT_STRATEGY,
+  CONTEXT_KEEP_TURNS,
+  CONTEXT_SUMMARY_MODEL,
+  BUDGET_SESSION_LIMIT,
+  BUDGET_DAILY_LIMIT,
+  BUDGET_PROVIDER_DAILY_LIMIT,
+  BUDGET_WARN_THRESHOLDS,
+  BUDGET_LEDGER_FILE,
+  ARENA_VOTES_FILE,
 } = require('../common.js'); // <-- ADDED .js
 
 // Google API Specific URLs
@@ -28,97 +45,8 @@ const UPLOAD_BASE_URL = "https://generativelanguage.googleapis.com/upload/v1beta
 const BATCH_GENERATE_CONTENT_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:batchGenerateContent";
 const BASE_GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta/";
 
-/**
- * Model-specific configurations for LLM API calls.
- * This object defines how to interact with each LLM (URL, payload structure, response parsing, etc.).
- */
-const MODEL_CONFIGS = {
-  gemini: {
-    url: `https://generativelanguage.googleapis.com/v1beta/models/${GOOGLE_GEMINI_MODEL}:generateContent?key=${GOOGLE_API_KEY}`,
-    maxTokens: Infinity, // Gemini doesn't have a single max_tokens param like others for basic chat
-    initialHistory: [],
-    formatUserMessage: (input) => ({ role: "user", parts: [{ text: input }] }),
-    formatAssistantMessage: (content) => ({ role: "model", parts: [{ text: content }] }),
-    formatPayload: (history, temperature) => ({ contents: history, generationConfig: { temperature: Number(temperature) } }),
-    formatPayloadExtended: (history, temperature, systemPrompt) => ({
-      contents: history,
-      generationConfig: { temperature: Number(temperature) },
-      systemInstruction: {
-        parts: [
-          { text: systemPrompt }
-        ]
-      }
-    }),
-    formatHeaders: () => ({ "Content-Type": "application/json" }),
-    parseResponse: (data) => ({
-      content: (data.candidates?.[0]?.content?.parts ?? [])
-        .map(part => part.text)
-        .join(''),
-      finishReason: data.candidates?.[0]?.finishReason,
-      totalTokens: undefined,
-    }),
-  },
-  deepseek: {
-    url: DEEPSEEK_URL,
-    maxTokens: DEEPSEEK_MAX_TOKENS,
-    initialHistory: [],
-    formatUserMessage: (input) => ({ role: "user", content: input }),
-    formatAssistantMessage: (content) => ({ role: "assistant", content: content }),
-    formatPayload: (history, temperature) => ({ model: DEEPSEEK_MODEL, messages: history, max_tokens: DEEPSEEK_MAX_TOKENS, temperature: Number(temperature) }),
-    formatPayloadExtended: (history, temperature, systemPrompt) => ({ model: DEEPSEEK_MODEL, messages: history, max_tokens: DEEPSEEK_MAX_TOKENS, temperature: Number(temperature) }),
-    formatHeaders: () => ({ Authorization: `Bearer ${DEEPSEEK_API_KEY}`, "Content-Type": "application/json" }),
-    parseResponse: (data) => ({
-      content: data.choices?.[0]?.message?.content,
-      finishReason: data.choices?.[0]?.finish_reason,
-      totalTokens: data.usage?.total_tokens,
-    }),
-  },
-  gpt: { // Renamed from 'openai' to 'gpt' to match MODEL_IDENTIFIERS
-    url: OPENAI_URL,
-    maxTokens: OPENAI_MAX_TOKENS,
-    initialHistory: [],
-    formatUserMessage: (input) => ({ role: "user", content: input }),
-    formatAssistantMessage: (content) => ({ role: "assistant", content: content }),
-    formatPayload: (history, temperature) => ({ model: OPENAI_MODEL, messages: history, temperature: Number(temperature) }),
-    formatPayloadExtended: (history, temperature, systemPrompt) => ({ model: OPENAI_MODEL, messages: history, temperature: Number(temperature) }),
-    formatHeaders: () => ({ Authorization: `Bearer ${OPENAI_API_KEY}`, "Content-Type": "application/json" }),
-    parseResponse: (data) => ({
-      content: data.choices?.[0]?.message?.content,
-      finishReason: data.choices?.[0]?.finish_reason,
-      totalTokens: data.usage?.total_tokens,
-    }),
-  },
-  claude: {
-    url: 'https://api.anthropic.com/v1/messages', // Direct HTTP API endpoint for uniformity
-    maxTokens: ANTHROPIC_MAX_TOKENS,
-    initialHistory: [],
-    formatUserMessage: (input) => ({ role: "user", content: input }),
-    formatAssistantMessage: (content) => ({ role: "assistant", content: content }),
-    formatPayload: (history, temperature) => ({ model: ANTHROPIC_MODEL, max_tokens: ANTHROPIC_MAX_TOKENS, messages: history, temperature: Number(temperature / 2) }),
-    formatPayloadExtended: (history, temperature, systemPrompt) => ({ model: ANTHROPIC_MODEL, max_tokens: ANTHROPIC_MAX_TOKENS, messages: history, temperature: Number(temperature / 2) }),
-    formatHeaders: () => ({ 'x-api-key': ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01', "Content-Type": "application/json" }),
-    parseResponse: (data) => ({
-      content: data.content?.[0]?.text,
-      finishReason: data.stop_reason,
-      totalTokens: data.usage?.output_tokens,
-    }),
-  },
-  grok: {
-    url: OPEN_ROUTER_URL, // OpenRouter handles Grok
-    maxTokens: undefined, // Or configure from common.js
-    initialHistory: [],
-    formatUserMessage: (input) => ({ role: "user", content: input }),
-    formatAssistantMessage: (content) => ({ role: "assistant", content: content }),
-    formatPayload: (history, temperature) => ({ model: OPEN_ROUTER_MODEL, messages: history, temperature: Number(temperature) }),
-    formatPayloadExtended: (history, temperature, systemPrompt) => ({ model: OPEN_ROUTER_MODEL, messages: history, temperature: Number(temperature) }),
-    formatHeaders: () => ({ 'Authorization': `Bearer ${OPEN_ROUTER_API_KEY}`, 'Content-Type': 'application/json' }),
-    parseResponse: (data) => ({
-      content: data.choices?.[0]?.message?.content,
-      finishReason: data.choices?.[0]?.finish_reason,
-      totalTokens: data.usage?.total_tokens,
-    }),
-  },
-};
+// Model configurations are built from config/providers.json by the provider registry.
+const { MODEL_CONFIGS } = require('./providerRegistry');
 
 module.exports = {
   UPLOAD_BASE_URL,
@@ -135,6 +63,23 @@ module.exports = {
   ANTHROPIC_MAX_TOKENS, // From common.js
   DEEPSEEK_MAX_TOKENS, // From common.js
   OPENAI_MAX_TOKENS, // From common.js
+  OLLAMA_BASE_URL, // From common.js
+  LLAMACPP_BASE_URL, // From common.js
+  LOCAL_MODEL_DISCOVERY, // From common.js
+  LLM_MAX_RETRIES, // From common.js
+  LLM_RETRY_BASE_DELAY_MS, // From common.js
+  LLM_RETRY_MAX_DELAY_MS, // From common.js
+  HISTORY_STORE, // From common.js
+  HISTORY_DATA_DIR, // From common.js
+  CONTEXT_STRATEGY, // From common.js
+  CONTEXT_KEEP_TURNS, // From common.js
+  CONTEXT_SUMMARY_MODEL, // From common.js
+  BUDGET_SESSION_LIMIT, // From common.js
+  BUDGET_DAILY_LIMIT, // From common.js
+  BUDGET_PROVIDER_DAILY_LIMIT, // From common.js
+  BUDGET_WARN_THRESHOLDS, // From common.js
+  BUDGET_LEDGER_FILE, // From common.js
+  ARENA_VOTES_FILE, // From common.js
   MODEL_CONFIGS,
   GOOGLE_API_KEY, // Exporting for convenience in other services
   DEEPSEEK_API_KEY,
@@ -4,21 +4,17 @@
 const RESPONSE_DELIMITER = '___';
 const FINISH_REASON_DELIMITER = '__';
 
-// Define common model identifiers
-const MODEL_IDENTIFIERS = ['gemini', 'deepseek', 'gpt', 'claude', 'grok'];
+// Model identifiers and display settings live in config/providers.json (see config/providerRegistry.js).
 
-// Common model configuration structure (can be extended)
-const MODELS_CONFIG = [
-  { id: 'gemini', name: 'Google Gemini', defaultChecked: true, color: 'blue' },
-  { id: 'deepseek', name: 'Deepseek', defaultChecked: false, color: 'green' },
-  { id: 'gpt', name: 'OpenAI GPT', defaultChecked: false, color: 'purple' },
-  { id: 'claude', name: 'Anthropic Claude', defaultChecked: false, color: 'red' },
-  { id: 'grok', name: 'Grok', defaultChecked: false, color: 'orange' },
-];
+// Provider-neutral generation parameters accepted from the chat page; each adapter maps them to its own field names.
+const GENERATION_PARAMS = ['temperature', 'maxTokens', 'topP', 'topK', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty'];
+
+// Temperature range of the chat page's inputs; it is rescaled to each provider's own range before sending.
+const UI_TEMPERATURE_RANGE = [0, 2];
 
 module.exports = {
   RESPONSE_DELIMITER,
   FINISH_REASON_DELIMITER,
-  MODEL_IDENTIFIERS,
-  MODELS_CONFIG,
-};
\ No newline at end of file
+  GENERATION_PARAMS,
+  UI_TEMPERATURE_RANGE,
+};
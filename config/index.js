@@ -3,10 +3,14 @@ const secrets = require('./secrets');
 const constants = require('./constants');
 const api = require('./api');
 const serverConfig = require('./serverConfig'); // <--- RENAMED to avoid confusion with the main server.js file
+const providerRegistry = require('./providerRegistry');
+const pricing = require('./pricing');
 
 module.exports = {
   ...secrets,
   ...constants,
   ...api,
   ...serverConfig, // <--- Spreading the exports from config/server.js (the config values)
+  ...providerRegistry,
+  ...pricing,
 };
\ No newline at end of file
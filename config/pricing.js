@@ -0,0 +1,53 @@
+// config/pricing.js
+const fs = require('fs');
+const path = require('path');
+const { getProvider } = require('./providerRegistry');
+
+// Per-model token prices; PRICING_FILE points to another file of the same shape
+const PRICING_FILE = process.env.PRICING_FILE || path.join(__dirname, 'pricing.json');
+
+/**
+ * @typedef {object} ModelPricing
+ * @property {number} input - Price per million input tokens.
+ * @property {number} output - Price per million output tokens (reasoning included).
+ * @property {number} [cachedInput] - Price per million input tokens read from the cache; `input` when not set.
+ */
+
+/** @type {{currency: string, models: Record<string, ModelPricing>}} */
+const pricing = JSON.parse(fs.readFileSync(PRICING_FILE, 'utf8'));
+
+const PRICING_CURRENCY = pricing.currency || 'USD';
+
+// Models served on this machine cost nothing per token
+const FREE_PRICING = Object.freeze({ input: 0, cachedInput: 0, output: 0 });
+
+/**
+ * Looks up the prices of a model version. Dated versions (e.g. "claude-sonnet-4-5-20250929") match
+ * the longest listed name they start with.
+ * @param {string} providerId - The provider the model is called through.
+ * @param {string} [model] - The model version; the provider's configured model when omitted.
+ * @returns {ModelPricing|undefined} Undefined when the model is not in the pricing file.
+ */
+function getModelPricing(providerId, model) {
+  const provider = getProvider(providerId);
+  if (provider?.local) {
+    return FREE_PRICING;
+  }
+  const name = model || provider?.model;
+  if (!name) {
+    return undefined;
+  }
+  if (pricing.models[name]) {
+    return pricing.models[name];
+  }
+  const prefix = Object.keys(pricing.models)
+    .filter(listed => name.startsWith(listed))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing.models[prefix] : undefined;
+}
+
+module.exports = {
+  PRICING_FILE,
+  PRICING_CURRENCY,
+  getModelPricing,
+};
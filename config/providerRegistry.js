@@ -0,0 +1,291 @@
+// config/providerRegistry.js
+require('dotenv').config(); // Provider definitions resolve their keys and overrides from the environment
+const fs = require('fs');
+const path = require('path');
+const ADAPTERS = require('./adapters');
+
+// Default location of the provider definitions file
+const PROVIDERS_FILE = path.join(__dirname, 'providers.json');
+// Optional, git-ignored file for team- or machine-specific providers (e.g. extra OpenAI-compatible endpoints)
+const EXTRA_PROVIDERS_FILE = process.env.EXTRA_PROVIDERS_FILE || path.join(__dirname, 'providers.local.json');
+
+/**
+ * @typedef {object} ProviderDefinition
+ * @property {string} id - Unique identifier (lowercase letters, digits and underscores; also used in DOM ids and @@directives).
+ * @property {string} name - Display name of the model.
+ * @property {string} [shortName] - Short label shown in the column header.
+ * @property {string} [color] - CSS color used to mark the model's column.
+ * @property {boolean} [defaultChecked] - Whether the model is enabled when the chat page loads.
+ * @property {string} adapter - Adapter type, a key of config/adapters.
+ * @property {string} [endpoint] - Full API endpoint.
+ * @property {string} [endpointEnv] - Environment variable that overrides `endpoint`.
+ * @property {string} [baseUrl] - API base URL, for adapters that derive the endpoint (openai-compatible appends /chat/completions).
+ * @property {string} [baseUrlEnv] - Environment variable that overrides `baseUrl`.
+ * @property {Record<string, string>} [headers] - Extra HTTP headers sent with every request.
+ * @property {string} model - Model name sent to the provider.
+ * @property {string} [modelEnv] - Environment variable that overrides `model`.
+ * @property {Array<string>} [models] - Known model versions, offered in the version picker when the provider cannot list its models.
+ * @property {string} [keyEnv] - Environment variable holding the API key.
+ * @property {{ maxTokens?: number, maxTokensEnv?: string, maxTokensParam?: string, contextWindow?: number }} [limits] - Output token limits,
+ * and the model's context window in tokens (histories are only trimmed for providers that set it).
+ * @property {{ strategy?: 'drop_oldest'|'keep_last_n'|'summarize', keepTurns?: number, summaryModel?: string }} [context] - How histories
+ * over the context budget are trimmed; unset fields fall back to CONTEXT_STRATEGY, CONTEXT_KEEP_TURNS and CONTEXT_SUMMARY_MODEL.
+ * @property {{ dailyLimit?: number }} [budget] - What the provider may spend per UTC day, in the pricing currency
+ * (0 for no limit); defaults to BUDGET_PROVIDER_DAILY_LIMIT. Copies made with cloneProvider share their source's budget.
+ * @property {Array<string>} [supportedParams] - Generation parameters the provider accepts (see GENERATION_PARAMS); defaults to the adapter's list.
+ * @property {Record<string, string>} [paramNames] - Payload field names for generation parameters (openai-compatible only).
+ * @property {[number, number]} [temperatureRange] - The provider's [min, max] temperature; defaults to the adapter's range.
+ * @property {Array<'image'|'pdf'|'text'>} [supportedAttachments] - Attachment kinds the provider accepts; defaults to the adapter's list.
+ * @property {boolean} [nativeSamples] - False for openai-compatible endpoints that do not take `n`; several samples are then
+ * asked for with parallel calls.
+ * @property {boolean} [local] - True for models served on this machine (set by local model discovery).
+ * @property {string} [clonedFrom] - Id of the provider this one was duplicated from at runtime (see cloneProvider).
+ */
+
+/**
+ * @typedef {object} ResolvedProvider
+ * @property {string} id
+ * @property {string} name
+ * @property {string} shortName
+ * @property {string} color
+ * @property {boolean} defaultChecked
+ * @property {string} adapter
+ * @property {string|undefined} endpoint
+ * @property {string|undefined} baseUrl
+ * @property {Record<string, string>} headers
+ * @property {string} model
+ * @property {Array<string>} models
+ * @property {string|undefined} apiKey
+ * @property {{ maxTokens?: number, maxTokensParam?: string, contextWindow?: number }} limits
+ * @property {{ strategy?: string, keepTurns?: number, summaryModel?: string }} context
+ * @property {{ dailyLimit?: number }} budget
+ * @property {Array<string>|undefined} supportedParams
+ * @property {Record<string, string>} paramNames
+ * @property {[number, number]|undefined} temperatureRange
+ * @property {Array<string>|undefined} supportedAttachments
+ * @property {boolean|undefined} nativeSamples
+ * @property {boolean} local
+ * @property {string|undefined} clonedFrom
+ */
+
+/** @type {Map<string, ResolvedProvider>} Registered providers keyed by id, in registration (display) order. */
+const providers = new Map();
+
+/** @type {Map<string, ProviderDefinition>} The definitions the providers were registered from, kept for cloning. */
+const definitions = new Map();
+
+/**
+ * Model configurations for the versions listed in a provider's `models`, keyed by provider id and then model name.
+ * Built on first use by getModelConfig and dropped whenever the provider is re-registered or removed.
+ * Other versions are built per call, so arbitrary names sent by clients cannot grow the cache.
+ * @type {Map<string, Map<string, object>>}
+ */
+const modelVariants = new Map();
+
+// Model names travel into URLs (Gemini puts them in the path), so only plain identifiers are accepted:
+// slash-separated segments, with no empty segment, no leading slash and no `..`.
+const MODEL_NAME_PATTERN = /^(?!.*\.\.)[\w.\-:@]+(\/[\w.\-:@]+)*$/;
+
+/**
+ * Model-specific configurations for LLM API calls, keyed by provider id.
+ * Each entry is built by the provider's adapter and defines how to interact with it
+ * (URL, payload structure, response parsing, streaming, etc.).
+ * @type {Record<string, object>}
+ */
+const MODEL_CONFIGS = {};
+
+/**
+ * Resolves environment overrides and defaults for a provider definition.
+ * @param {ProviderDefinition} definition
+ * @returns {ResolvedProvider}
+ */
+function resolveProvider(definition) {
+  const limits = definition.limits || {};
+  const envMaxTokens = limits.maxTokensEnv ? parseInt(process.env[limits.maxTokensEnv] || '', 10) : NaN;
+
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    shortName: definition.shortName || definition.id.substring(0, 2).toUpperCase(),
+    color: definition.color || 'gray',
+    defaultChecked: Boolean(definition.defaultChecked),
+    adapter: definition.adapter,
+    endpoint: (definition.endpointEnv && process.env[definition.endpointEnv]) || definition.endpoint,
+    baseUrl: (definition.baseUrlEnv && process.env[definition.baseUrlEnv]) || definition.baseUrl,
+    headers: { ...definition.headers },
+    model: (definition.modelEnv && process.env[definition.modelEnv]) || definition.model,
+    models: Array.isArray(definition.models) ? [...definition.models] : [],
+    apiKey: definition.keyEnv ? process.env[definition.keyEnv] : undefined,
+    limits: {
+      maxTokens: Number.isNaN(envMaxTokens) ? limits.maxTokens : envMaxTokens,
+      maxTokensParam: limits.maxTokensParam,
+      contextWindow: limits.contextWindow,
+    },
+    context: { ...definition.context },
+    budget: { ...definition.budget },
+    supportedParams: definition.supportedParams,
+    paramNames: { ...definition.paramNames },
+    temperatureRange: definition.temperatureRange,
+    supportedAttachments: definition.supportedAttachments,
+    nativeSamples: definition.nativeSamples,
+    local: Boolean(definition.local),
+    clonedFrom: definition.clonedFrom,
+  };
+}
+
+/**
+ * Validates, resolves and registers a provider, building its model configuration.
+ * Registering an existing id replaces it.
+ * @param {ProviderDefinition} definition
+ * @returns {ResolvedProvider} The registered provider.
+ */
+function registerProvider(definition) {
+  if (!definition || !/^[a-z0-9_]+$/.test(definition.id || '')) {
+    throw new Error(`Invalid provider id: ${definition?.id}. Use lowercase letters, digits and underscores.`);
+  }
+  const createAdapter = ADAPTERS[definition.adapter];
+  if (!createAdapter) {
+    throw new Error(`Unknown adapter "${definition.adapter}" for provider ${definition.id}.`);
+  }
+
+  const provider = resolveProvider(definition);
+  if (!provider.endpoint && !provider.baseUrl) {
+    throw new Error(`Provider ${provider.id} needs an endpoint or a baseUrl.`);
+  }
+  providers.set(provider.id, provider);
+  definitions.set(provider.id, definition);
+  modelVariants.delete(provider.id);
+  MODEL_CONFIGS[provider.id] = createAdapter(provider);
+  return provider;
+}
+
+/**
+ * Removes a provider from the registry (e.g. a local model that is no longer installed).
+ * @param {string} id
+ * @returns {boolean} True if a provider was removed.
+ */
+function unregisterProvider(id) {
+  delete MODEL_CONFIGS[id];
+  definitions.delete(id);
+  modelVariants.delete(id);
+  return providers.delete(id);
+}
+
+/**
+ * Registers a copy of a provider under a new id (`<id>_2`, `<id>_3`, ...) so two versions of the
+ * same provider can run side by side, each with its own column and history. Clones live until restart.
+ * @param {string} id - The provider to duplicate.
+ * @returns {ResolvedProvider} The registered clone.
+ */
+function cloneProvider(id) {
+  const definition = definitions.get(id);
+  if (!definition) {
+    throw new Error(`Unknown provider: ${id}`);
+  }
+  const sourceId = definition.clonedFrom || id;
+  const source = definitions.get(sourceId) || definition;
+  let copyNumber = 2;
+  while (providers.has(`${sourceId}_${copyNumber}`)) {
+    copyNumber++;
+  }
+  const sourceProvider = providers.get(sourceId) || providers.get(id);
+  return registerProvider({
+    ...source,
+    id: `${sourceId}_${copyNumber}`,
+    name: `${sourceProvider.name} (${copyNumber})`,
+    shortName: `${sourceProvider.shortName}${copyNumber}`,
+    defaultChecked: false,
+    clonedFrom: sourceId,
+  });
+}
+
+/**
+ * Returns the model configuration for a provider, optionally for a model version other than its default.
+ * @param {string} id - The provider id.
+ * @param {string} [model] - The model version to call; the provider's configured model when omitted.
+ * @returns {object|undefined} The model configuration, or undefined for an unknown provider or an invalid model name.
+ */
+function getModelConfig(id, model) {
+  const provider = providers.get(id);
+  if (!provider) {
+    return undefined;
+  }
+  if (!model || model === provider.model) {
+    return MODEL_CONFIGS[id];
+  }
+  if (!MODEL_NAME_PATTERN.test(model)) {
+    return undefined;
+  }
+  if (!provider.models.includes(model)) {
+    return ADAPTERS[provider.adapter]({ ...provider, model });
+  }
+  if (!modelVariants.has(id)) {
+    modelVariants.set(id, new Map());
+  }
+  const variants = modelVariants.get(id);
+  if (!variants.has(model)) {
+    variants.set(model, ADAPTERS[provider.adapter]({ ...provider, model }));
+  }
+  return variants.get(model);
+}
+
+/**
+ * Loads and registers every provider listed in a providers JSON file.
+ * @param {string} filePath - Path to a file shaped like `{ "providers": [ProviderDefinition, ...] }`.
+ */
+function loadProvidersFile(filePath) {
+  const { providers: definitions = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  definitions.forEach(registerProvider);
+}
+
+/**
+ * @returns {Array<ResolvedProvider>} All registered providers in display order.
+ */
+function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * @returns {Array<string>} All registered provider ids in display order.
+ */
+function getProviderIds() {
+  return [...providers.keys()];
+}
+
+/**
+ * @param {string} id
+ * @returns {ResolvedProvider|undefined}
+ */
+function getProvider(id) {
+  return providers.get(id);
+}
+
+/**
+ * Returns the browser-safe view of a provider (no API key, no endpoint).
+ * `supportedParams`, `temperatureRange` and `supportedAttachments` come from the built model configuration so adapter defaults are included.
+ * @param {ResolvedProvider} provider
+ * @returns {{ id: string, name: string, shortName: string, color: string, defaultChecked: boolean, adapter: string, model: string, limits: object, supportedParams: Array<string>, temperatureRange: [number, number], supportedAttachments: Array<string>, local: boolean, clonedFrom?: string }}
+ */
+function toPublicProvider(provider) {
+  const { id, name, shortName, color, defaultChecked, adapter, model, limits, local } = provider;
+  const { supportedParams = [], temperatureRange, supportedAttachments = [] } = MODEL_CONFIGS[id] || {};
+  return { id, name, shortName, color, defaultChecked, adapter, model, limits: { maxTokens: limits.maxTokens, contextWindow: limits.contextWindow }, supportedParams, temperatureRange, supportedAttachments, local, clonedFrom: provider.clonedFrom };
+}
+
+loadProvidersFile(PROVIDERS_FILE);
+if (fs.existsSync(EXTRA_PROVIDERS_FILE)) {
+  loadProvidersFile(EXTRA_PROVIDERS_FILE);
+}
+
+module.exports = {
+  MODEL_CONFIGS,
+  registerProvider,
+  unregisterProvider,
+  cloneProvider,
+  getModelConfig,
+  loadProvidersFile,
+  getProviders,
+  getProviderIds,
+  getProvider,
+  toPublicProvider,
+};
@@ -6,6 +6,8 @@ const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const OPEN_ROUTER_API_KEY = process.env.OPEN_ROUTER_API_KEY;
+// Bearer token for the /api/admin endpoints; they are disabled while it is not set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
 // Basic validation to ensure critical keys are set
 const checkRequiredKeys = () => {
@@ -34,4 +36,5 @@ module.exports = {
   OPENAI_API_KEY,
   ANTHROPIC_API_KEY,
   OPEN_ROUTER_API_KEY,
+  ADMIN_TOKEN,
 };
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ *  leaderboard.js
+ *  Shows the model ratings computed from the arena votes (GET /api/arena/leaderboard).
+ */
+
+/**
+ * @typedef {object} LeaderboardEntry
+ * @property {string} model - The model version.
+ * @property {string} providerId
+ * @property {string} name - The provider's display name.
+ * @property {number} bradleyTerry
+ * @property {number} elo
+ * @property {number} votes
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} ties
+ * @property {number} bothBad
+ */
+
+// --- DOM Element Cache ---
+/** @type {HTMLTableSectionElement | null} */
+let leaderboardRows = null;
+/** @type {HTMLElement | null} */
+let leaderboardSummary = null;
+
+/**
+ * Fetches the ratings and renders one row per model version, best first.
+ */
+async function loadLeaderboard() {
+    try {
+        const response = await fetch('/api/arena/leaderboard');
+        const data = await response.json();
+        if (!response.ok) {
+            leaderboardSummary.textContent = data.error || 'Could not load the leaderboard.';
+            return;
+        }
+        renderLeaderboard(data.ratings, data.votes);
+    } catch (error) {
+        console.error('Error loading the leaderboard:', error);
+        leaderboardSummary.textContent = 'Network error while loading the leaderboard.';
+    }
+}
+
+/**
+ * @param {Array<LeaderboardEntry>} ratings
+ * @param {number} voteCount - Votes cast in total.
+ */
+function renderLeaderboard(ratings, voteCount) {
+    leaderboardSummary.textContent = `${voteCount} vote${voteCount === 1 ? '' : 's'}, ${ratings.length} model version${ratings.length === 1 ? '' : 's'}`;
+    if (ratings.length === 0) {
+        const row = leaderboardRows.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 11;
+        cell.textContent = 'No votes yet. Turn on Arena in the chat page, submit a prompt to two or more models and vote.';
+        leaderboardRows.replaceChildren(row);
+        return;
+    }
+
+    leaderboardRows.replaceChildren(...ratings.map((entry, index) => {
+        const row = document.createElement('tr');
+        // Win rate over the votes that had a winner
+        const decided = entry.wins + entry.losses;
+        const winRate = decided > 0 ? `${Math.round((entry.wins / decided) * 100)}%` : '-';
+        [index + 1, entry.model, entry.name, entry.bradleyTerry, entry.elo, entry.votes, entry.wins, entry.losses, entry.ties, entry.bothBad, winRate]
+            .forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+        return row;
+    }));
+}
+
+// --- Document Ready ---
+document.addEventListener('DOMContentLoaded', () => {
+    leaderboardRows = document.getElementById('leaderboardRows');
+    leaderboardSummary = document.getElementById('leaderboardSummary');
+    document.getElementById('refreshLeaderboard').addEventListener('click', loadLeaderboard);
+    loadLeaderboard();
+});
@@ -5,19 +5,23 @@
  * @typedef {object} ModelConfig
  * @property {string} id - Unique identifier for the model (e.g., 'gemini', 'deepseek').
  * @property {string} name - Display name of the model.
+ * @property {string} shortName - Short label shown in the column header.
+ * @property {string} color - CSS color used to mark the model's column.
+ * @property {boolean} defaultChecked - Whether the model is enabled on page load (and in the DEFAULT selection state).
  * @property {string} htmlColumnId - The ID of the HTML element that will display the model's output.
  * @property {string} trackHistoryId - The ID of the checkbox to track history for this model.
  * @property {string} enableId - The ID of the checkbox to enable/disable this model.
+ * @property {Array<string>} supportedParams - Generation parameters the provider accepts (see GENERATION_PARAM_FIELDS).
+ * @property {[number, number]} temperatureRange - The provider's own temperature range; the page's 0-2 scale is mapped onto it.
+ * @property {string} model - The provider's configured model version (the version picker's default).
+ * @property {string} [clonedFrom] - Set on columns duplicated at runtime; the ID of the original model.
  */
-/** @type {Array<ModelConfig>} Centralized configuration array for all AI models. */
-const modelsConfig = [
-    { id: 'gemini', name: 'Gemini', htmlColumnId: 'geminiOut', trackHistoryId: 'trackHisotryGemini', enableId: 'enableGemini' },
-    { id: 'deepseek', name: 'Deepseek', htmlColumnId: 'deepOut', trackHistoryId: 'trackHisotryDS', enableId: 'enableDS' },
-    { id: 'gpt', name: 'GPT', htmlColumnId: 'gptOut', trackHistoryId: 'trackHisotrygpt', enableId: 'enableGPT' },
-    { id: 'claude', name: 'Claude', htmlColumnId: 'claudeOut', trackHistoryId: 'trackHisotryClaude', enableId: 'enableClaude' },
-    { id: 'grok', name: 'Grok', htmlColumnId: 'grokeOut', trackHistoryId: 'trackHisotryGrok', enableId: 'enableGrok' }
-];
-
+/**
+ * @type {Array<ModelConfig>} Centralized configuration array for all AI models.
+ * Filled from the server's provider registry by populateAllModels(); its order matches the
+ * enabledList/checkedList order expected by /api/submit.
+ */
+let modelsConfig = [];
 
 /**
  *  site.js
@@ -27,6 +31,12 @@ const modelsConfig = [
 
 // --- Constants ---
 const TOAST_DURATION = 5000; // Duration (ms) for toast messages to be visible.
+// Browsers often report no MIME type for these; they are sent as plain text.
+const TEXT_FILE_EXTENSIONS = ['md', 'markdown', 'txt', 'csv', 'json', 'xml', 'yaml', 'yml', 'log'];
+const GUID_STORAGE_KEY = 'currentGuid'; // localStorage key of the session resumed on page load
+const JUDGE_STORAGE_KEY = 'judgeSettings'; // localStorage key of the chosen judge model and template
+const COMPARE_MAX_EDITS = 4000; // Texts further apart than this many token edits are shown as replaced instead of diffed
+const SYNTHESIS_STORAGE_KEY = 'synthesisSettings'; // localStorage key of the synthesis model and whether to save its answer
 const DEFAULT_MAX_HISTORY_CLEAR = 1; // Default value for the "Clear X (pairs)" input.
 const HISTORY_TRUNCATE_WORD_COUNT = 5; // (c) Configurable: Number of words to display in history list before truncating.
 const SELECTED_MODELS = Object.freeze({
@@ -34,6 +44,20 @@ const SELECTED_MODELS = Object.freeze({
     ALL: 2,
     NONE: 3
 });
+/**
+ * Inputs of the per-model parameter panel. `key` matches the server's provider-neutral parameter names;
+ * empty inputs are not sent, so the provider (or the shared temperature) decides.
+ */
+const GENERATION_PARAM_FIELDS = Object.freeze([
+    { key: 'temperature', label: 'Temperature', type: 'number', min: 0, max: 2, step: 0.1, placeholder: 'shared' },
+    { key: 'maxTokens', label: 'Max tokens', type: 'number', min: 1, step: 1, placeholder: 'default' },
+    { key: 'topP', label: 'Top P', type: 'number', min: 0, max: 1, step: 0.05, placeholder: 'default' },
+    { key: 'topK', label: 'Top K', type: 'number', min: 1, step: 1, placeholder: 'default' },
+    { key: 'stop', label: 'Stop', type: 'text', placeholder: 'comma separated' },
+    { key: 'seed', label: 'Seed', type: 'number', step: 1, placeholder: 'random' },
+    { key: 'presencePenalty', label: 'Presence penalty', type: 'number', min: -2, max: 2, step: 0.1, placeholder: 'default' },
+    { key: 'frequencyPenalty', label: 'Frequency penalty', type: 'number', min: -2, max: 2, step: 0.1, placeholder: 'default' }
+]);
 
 
 
@@ -54,6 +78,8 @@ let currentModelState = SELECTED_MODELS.DEFAULT;
  * @property {'user' | 'model'} role - The role of the message sender.
  * @property {string} fullContent - The original, untruncated content of the message.
  * @property {string} displayContent - The truncated content for display in the history list.
+ * @property {string} [editContent] - What the message editor starts with, when it differs from fullContent
+ * (a message with inlined text files only edits its typed text).
  */
 
 /**
@@ -73,6 +99,141 @@ let currentModelState = SELECTED_MODELS.DEFAULT;
  * @property {HTMLButtonElement} collapsibleButton - button to show and hide API response
  * @property {HTMLElement|null} ApiResponsePanel - button to show API response
  * @property {HTMLElement|null} historyListElement - **NEW**: The div element to display conversation history.
+ * @property {number|null} streamStartIndex - Position in the output display where the in-flight streamed answer began, or null when not streaming.
+ * @property {HTMLTextAreaElement|null} systemPromptInput - Per-model system prompt override, shown while the System toggle is on.
+ * @property {HTMLButtonElement|null} paramsButton - Shows and hides the generation parameter panel.
+ * @property {HTMLElement|null} paramPanel - The panel holding one input per GENERATION_PARAM_FIELDS entry.
+ * @property {HTMLSelectElement|null} versionSelect - The model version picker; filled from the provider on first use.
+ * @property {HTMLButtonElement|null} duplicateButton - Adds a copy of this column (same provider, own history).
+ * @property {HTMLButtonElement|null} removeColumnButton - Removes a duplicated column (only present on copies).
+ * @property {HTMLButtonElement|null} stopButton - Cancels this model's running request; enabled only while it runs.
+ * @property {HTMLButtonElement|null} copyHistoryButton - Shows and hides the panel for copying this history to other models.
+ * @property {HTMLElement|null} copyPanel - The copy panel; filled by renderCopyPanel each time it is opened.
+ * @property {BranchTree|null} branches - The model's history branches in this session; null until the first fork.
+ * @property {HTMLElement|null} usageLine - Shows the last response's tokens and cost, and the model's session totals.
+ * @property {UsageTotals|null} usageTotals - The model's token and cost totals in this session; null before its first response.
+ * @property {{usage?: Usage, cost?: {amount: number, currency: string}}|null} lastUsage - The last response's usage and cost, shown in the usage line.
+ * @property {ContextTrim|null} contextTrim - What was left out of the model's last request to fit its context window; null if nothing.
+ * @property {HTMLElement|null} judgeResult - Shows the judge's scores and rationale for the last response.
+ * @property {HTMLElement|null} debateRounds - One collapsible section per round of the last debate.
+ * @property {HTMLElement|null} sampleTabs - Tabs for the samples of the last submission, with their similarity and the Keep button.
+ * @property {SampleSet|null} sampleSet - The samples shown in the tabs; null after a normal submission.
+ */
+/**
+ * Token counts of one response, as normalized by the server (see config/adapters/shared.js).
+ * @typedef {object} Usage
+ * @property {number} [inputTokens] - Prompt tokens, cached ones included.
+ * @property {number} [outputTokens] - Generated tokens, reasoning included.
+ * @property {number} [cachedTokens]
+ * @property {number} [reasoningTokens]
+ * @property {number} [totalTokens]
+ */
+/**
+ * @typedef {object} UsageTotals
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cachedTokens
+ * @property {number} reasoningTokens
+ * @property {number} totalTokens
+ * @property {number} cost - Summed cost of the priced responses.
+ * @property {number} responses
+ * @property {number} unpricedResponses - Responses of models missing from config/pricing.json.
+ */
+/**
+ * @typedef {object} ContextTrim
+ * @property {string} strategy - 'drop_oldest', 'keep_last_n' or 'summarize'.
+ * @property {number} droppedMessages - How many of the oldest history messages were not sent.
+ * @property {number} keptMessages - How many were sent.
+ * @property {boolean} summarized - Whether a summary was sent in place of the dropped messages.
+ * @property {string} [summaryModel] - The model that wrote the summary.
+ * @property {number} estimatedTokens - Estimated size of the whole history.
+ * @property {number} budget - Tokens available for the history.
+ * @property {string} [warning] - Why the configured strategy was not (fully) applied.
+ */
+/**
+ * @typedef {object} BudgetWarning
+ * @property {'session'|'daily'|'provider'} scope - Which spending limit the warning is about.
+ * @property {number} threshold - The share of the limit that was crossed (1 when it was reached).
+ * @property {number} spent
+ * @property {number} limit
+ * @property {string} currency
+ * @property {string} message
+ */
+/**
+ * @typedef {object} JudgeTemplate
+ * @property {string} id
+ * @property {string} name
+ * @property {{min: number, max: number}} scale
+ * @property {Array<{name: string, description: string, weight: number}>} criteria
+ * @property {string} prompt
+ * @property {boolean} [builtIn] - Built-in templates cannot be changed or deleted.
+ */
+/**
+ * @typedef {object} JudgeVerdict
+ * @property {string} judgeModel
+ * @property {{id: string, name: string}} template
+ * @property {{min: number, max: number}} scale
+ * @property {Array<{model: string, scores: Record<string, number|null>, score: number|null, rationale: string}>} evaluations
+ * @property {string|null} best - The model whose answer the judge preferred.
+ * @property {Usage} [usage]
+ * @property {{amount: number, currency: string}} [cost]
+ */
+/**
+ * @typedef {object} Synthesis
+ * @property {string} synthesisModel
+ * @property {string} content - The merged answer, citing the answers as [1], [2], ...
+ * @property {Array<{ref: number, model: string, name: string, cited: boolean}>} sources
+ * @property {Array<string>} savedTo - The models whose chat histories got the merged answer.
+ * @property {Usage} [usage]
+ * @property {{amount: number, currency: string}} [cost]
+ */
+/**
+ * A model's answers to a submission with several samples per model (`model_samples` event).
+ * @typedef {object} SampleSet
+ * @property {string|null} id - The sample set to keep one from; null when the model answered without chat history.
+ * @property {Array<{content: string, finishReason?: string}>} samples
+ * @property {{similarity: number|null, length: {min: number, max: number, mean: number}}} variance
+ * @property {number} selected - The sample shown in the column.
+ * @property {number|null} kept - The sample that went into the chat history.
+ */
+/**
+ * A text the compare panel can diff.
+ * @typedef {object} CompareSource
+ * @property {string} value - `output:<column>`, `sample:<column>:<index>` or `message:<column>:<index>`; the column
+ * is the model ID, or the arena label while the columns are blind.
+ * @property {string} label
+ * @property {string} text
+ */
+/**
+ * A run of tokens in a diff: in both texts, only in the left one (delete) or only in the right one (insert).
+ * @typedef {object} DiffSegment
+ * @property {'equal'|'delete'|'insert'} type
+ * @property {string} text
+ */
+/**
+ * @typedef {object} PipelineStep
+ * @property {string} modelId - The model that runs the step; its answer streams into that model's column.
+ * @property {string} prompt - Template with {{input}} and {{stepN}} (the output of step N, from 1).
+ * @property {string} [label]
+ */
+/**
+ * @typedef {object} Pipeline
+ * @property {string} id
+ * @property {string} name
+ * @property {Array<PipelineStep>} steps
+ */
+/**
+ * @typedef {object} ArenaVote
+ * @property {string} id - The round voted on.
+ * @property {'winner'|'tie'|'both_bad'} outcome
+ * @property {string|null} winner - The model of the preferred answer.
+ * @property {Array<{modelId: string, name: string, model: string}>} models - Who answered, revealed by the vote.
+ */
+/**
+ * @typedef {object} BranchTree
+ * @property {string} activeBranchId - The branch new messages are added to.
+ * @property {Array<{id: string, name: string, parentId: string|null, forkIndex: number, messageCount: number}>} branches
+ * Every branch but the root was forked from `parentId` and started with its first `forkIndex` messages.
  */
 /**
  * @type {Record<string, ModelElements>} A map for quick lookup of model-specific HTML elements, keyed by model ID.
@@ -97,12 +258,85 @@ let loadingIndicator = null;
 let shiftBtn = null;
 /** @type {HTMLButtonElement | null} The button to clear the entire chat history. */
 let clearHistoryBtn = null;
+/** @type {HTMLInputElement|null} The file picker for attachments */
+let attachmentInput = null;
+/** @type {HTMLElement|null} Lists the files attached to the next message */
+let attachmentListElement = null;
+/**
+ * @typedef {object} Attachment
+ * @property {string} name - The file name.
+ * @property {string} mimeType - The file's MIME type.
+ * @property {string} data - The file contents, base64 encoded.
+ * @property {number} size - The file size in bytes.
+ */
+/** @type {Array<Attachment>} Files attached to the next message; cleared after a fresh submission. */
+let pendingAttachments = [];
+/** @type {Array<Attachment>} Files sent with the last fresh submission, re-sent by retries together with lastQuery. */
+let lastAttachments = [];
+/** @type {HTMLButtonElement|null} Cancels every running submission */
+let stopBtn = null;
+/** @type {Set<string>} IDs of the /api/submit requests still streaming */
+const activeSubmissionIds = new Set();
+/** @type {Record<string, string>} The submission each running model belongs to, keyed by model ID (used by the column Stop buttons) */
+const runningModels = {};
 /**@type {HTMLInputElement | null } The input button for temperature */
 let temperatureInput = null;
 /** @type {HTMLButtonElement | null} The button to clear all output windows */
 let clearAllOutputBtn = null;
 /** @type {HTMLButtonElement | null} The button to save the guid. */
 let saveGuidBtn = null;
+/** @type {HTMLElement | null} The sidebar listing stored sessions */
+let sessionSidebar = null;
+/** @type {HTMLElement | null} The list inside the session sidebar */
+let sessionListElement = null;
+/** @type {HTMLButtonElement | null} Shows and hides the session sidebar */
+let toggleSessionsBtn = null;
+/** @type {HTMLButtonElement | null} Starts a new, empty session */
+let newSessionBtn = null;
+/** @type {HTMLElement | null} Shows the session's token and cost totals over all models */
+let sessionUsageElement = null;
+/** @type {BudgetWarning | null} The last budget warning from the server; kept with the session totals until a new session */
+let lastBudgetWarning = null;
+/** @type {HTMLElement | null} The judge settings and template editor, shown with the Judge button */
+let judgePanel = null;
+/** @type {HTMLSelectElement | null} The judge model; empty value means no judge step */
+let judgeModelSelect = null;
+/** @type {HTMLSelectElement | null} The judge template (rubric and prompt) */
+let judgeTemplateSelect = null;
+/** @type {Array<JudgeTemplate>} The templates from GET /api/judgeTemplates */
+let judgeTemplates = [];
+/** @type {boolean} In arena mode fresh submissions are answered blind: columns are shuffled and unlabeled until the vote */
+let arenaMode = false;
+/** @type {HTMLButtonElement | null} Turns arena mode on and off */
+let toggleArenaBtn = null;
+/** @type {HTMLElement | null} The vote buttons of the open arena round */
+let arenaVotePanel = null;
+/** @type {{roundId: string, models: Array<string>} | null} The arena round waiting for a vote */
+let arenaRound = null;
+/** @type {HTMLElement | null} The synthesis settings, shown with the Synthesize button */
+let synthesisPanel = null;
+/** @type {HTMLSelectElement | null} The model that merges the answers; empty value means no synthesis step */
+let synthesisModelSelect = null;
+/** @type {HTMLInputElement | null} Whether the merged answer goes into the answering models' chat histories */
+let synthesisSaveCheckbox = null;
+/** @type {HTMLElement | null} Shows the merged answer of the last submission */
+let synthesisOutput = null;
+/** @type {HTMLInputElement | null} Samples per model for the next submission; 1 is a normal answer */
+let samplesInput = null;
+/** @type {HTMLElement | null} The pipeline editor, shown with the Pipeline button */
+let pipelinePanel = null;
+/** @type {HTMLSelectElement | null} The saved pipeline being edited; empty value for a new one */
+let pipelineSelect = null;
+/** @type {HTMLElement | null} The pipeline's step rows */
+let pipelineStepsElement = null;
+/** @type {Array<Pipeline>} The pipelines from GET /api/pipelines */
+let pipelines = [];
+/** @type {HTMLElement | null} The debate settings, shown with the Debate button */
+let debatePanel = null;
+/** @type {HTMLElement | null} The compare panel, shown with the Compare button */
+let comparePanel = null;
+/** @type {Array<CompareSource>} The texts offered in the compare panel's pickers */
+let compareSources = [];
 /** @type {HTMLButtonElement | null} The toggle button to swich states */
 let toggleSelectionBtn = null;
 /** @type {HTMLInputElement | null } This will toggle a on/off for adding system prompt */
@@ -120,21 +354,18 @@ let toastTimeout = null;
 
 /**
  * Initializes or retrieves the current unique identifier for the session.
- * If `currentSessionGuid` is not set, a new UUID is generated.
+ * If `currentSessionGuid` is not set, the session saved in localStorage is resumed, or a new UUID is generated and saved.
  * @returns {string} The session GUID.
  */
 function getSessionGuid() {
     if (!currentSessionGuid) {
-        currentSessionGuid = self.crypto.randomUUID();
-        // Note: If persisting this across page reloads were needed, localStorage would be used here.
-        // Example:
-        // const storedGuid = localStorage.getItem(GUID_STORAGE_KEY);
-        // if (storedGuid) {
-        //     currentSessionGuid = storedGuid;
-        // } else {
-        //     currentSessionGuid = self.crypto.randomUUID();
-        //     localStorage.setItem(GUID_STORAGE_KEY, currentSessionGuid);
-        // }
+        const storedGuid = localStorage.getItem(GUID_STORAGE_KEY);
+        if (storedGuid) {
+            currentSessionGuid = storedGuid;
+        } else {
+            currentSessionGuid = self.crypto.randomUUID();
+            localStorage.setItem(GUID_STORAGE_KEY, currentSessionGuid);
+        }
     }
     return currentSessionGuid;
 }
@@ -169,6 +400,16 @@ function showToast(message, type) {
     }, TOAST_DURATION);
 }
 
+/**
+ * Escapes a value for use in HTML text or a quoted attribute. Model names, versions and colors come from
+ * provider files and local model discovery, so they are escaped before going into a template.
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
 /**
  * Truncates a given text to a specified number of words and appends an ellipsis.
  * @param {string} text - The input text to truncate.
@@ -189,16 +430,26 @@ function truncateText(text, wordLimit) {
  * Handles different statuses like 'Success', 'Error', 'Skipped' and applies visual styling.
  *
  * @param {string} componentId - The ID of the model that produced the result (e.g., 'gemini').
- * @param {'Success' | 'Error' | 'Skipped' | 'Complete' | 'Info'} status - The status of the operation.
+ * @param {'Success' | 'Error' | 'Skipped' | 'Cancelled' | 'Complete' | 'Info'} status - The status of the operation.
  * @param {string} result - The content of the result or error message.
+ * @param {{recordHistory?: boolean}} [options] - recordHistory false for calls that do not change the model's history (pipeline steps).
  */
-function displayResult(componentId, status, result) {
+function displayResult(componentId, status, result, { recordHistory = true } = {}) {
     const model = modelElements[componentId];
     if (!model || !model.outputDisplay) {
         console.error(`Attempted to display result for unknown or uninitialized model: ${componentId}`, result);
         return;
     }
 
+    // A streamed answer is replaced by the final assembled text (or the error) once it completes;
+    // a cancelled one keeps whatever had arrived.
+    if (status === 'Cancelled') {
+        model.streamStartIndex = null;
+    } else if (model.streamStartIndex !== null && model.streamStartIndex !== undefined) {
+        model.outputDisplay.value = model.outputDisplay.value.substring(0, model.streamStartIndex);
+        model.streamStartIndex = null;
+    }
+
     switch (status) {
         case 'Success':
             const resultData = result.split('___');
@@ -211,7 +462,7 @@ function displayResult(componentId, status, result) {
                 // model.chatData.push(chatResult); // OLD: now handled in handleSubmitClick for structured history
 
                 // (b) Append API response to history if tracking is enabled
-                if (model.trackHistoryCheckbox.checked) {
+                if (recordHistory && model.trackHistoryCheckbox.checked) {
                     model.chatData.push({
                         role: 'model',
                         fullContent: chatResult,
@@ -237,7 +488,7 @@ function displayResult(componentId, status, result) {
             model.outputDisplay.classList.remove('success', 'skip');
 
             // (b) Remove API response to history if tracking is enabled
-            if (model.trackHistoryCheckbox.checked) {
+            if (recordHistory && model.trackHistoryCheckbox.checked) {
                 // remove 2 => 1 is the error message, 2nd is user message because that's also removed from backend 
                 if (model.chatData.length >= 2) {
                     model.chatData.splice(model.chatData.length - 2, 2);
@@ -245,6 +496,17 @@ function displayResult(componentId, status, result) {
                 renderConversationHistory(componentId); // (a) & (b) Re-render history after adding model response
             }
             break;
+        case 'Cancelled':
+            model.outputDisplay.value += (result ? '\n' : '') + '[Cancelled]\n';
+            model.outputDisplay.classList.add('skip');
+            model.outputDisplay.classList.remove('success', 'error');
+
+            // The server drops the unanswered user message, so the local history does too
+            if (recordHistory && model.trackHistoryCheckbox.checked && model.chatData[model.chatData.length - 1]?.role === 'user') {
+                model.chatData.pop();
+                renderConversationHistory(componentId);
+            }
+            break;
         case 'Skipped':
             model.outputDisplay.value += result + '\n';
             model.outputDisplay.classList.add('skip');
@@ -263,6 +525,295 @@ function displayResult(componentId, status, result) {
     }
 }
 
+/**
+ * Appends a streamed chunk of a model's answer to its output display as it arrives.
+ * Remembers where the streamed answer started so displayResult can swap in the final text.
+ *
+ * @param {string} componentId - The ID of the model that produced the chunk.
+ * @param {string} delta - The text chunk.
+ */
+function appendModelDelta(componentId, delta) {
+    const model = modelElements[componentId];
+    if (!model || !model.outputDisplay || !delta) {
+        return;
+    }
+    if (model.streamStartIndex === null || model.streamStartIndex === undefined) {
+        model.streamStartIndex = model.outputDisplay.value.length;
+        model.outputDisplay.classList.remove('success', 'error', 'skip');
+    }
+    model.outputDisplay.value += delta;
+    model.outputDisplay.scrollTop = model.outputDisplay.scrollHeight;
+}
+
+/**
+ * Shows in a model's output that a transient provider error is being retried.
+ * The note is written like streamed text, so the final answer (or error) replaces it.
+ *
+ * @param {string} componentId - The ID of the model being retried.
+ * @param {{attempt: number, maxRetries: number, delayMs: number, label: string}} retry - The model_retry event data.
+ */
+function displayRetry(componentId, retry) {
+    const model = modelElements[componentId];
+    if (!model || !model.outputDisplay) {
+        return;
+    }
+    if (model.streamStartIndex === null || model.streamStartIndex === undefined) {
+        model.streamStartIndex = model.outputDisplay.value.length;
+    }
+    const seconds = (retry.delayMs / 1000).toFixed(1);
+    model.outputDisplay.value += `[${retry.label}. Retrying (${retry.attempt}/${retry.maxRetries}) in ${seconds}s...]\n`;
+    model.outputDisplay.scrollTop = model.outputDisplay.scrollHeight;
+}
+
+/**
+ * Notes in a model's column that its history was longer than its context budget and what was left out;
+ * the history list then marks those messages.
+ * @param {string} componentId - The model's ID.
+ * @param {ContextTrim & {model: string}} trim - The `context_trimmed` event.
+ */
+function displayContextTrim(componentId, trim) {
+    const model = modelElements[componentId];
+    if (!model || !model.outputDisplay) {
+        return;
+    }
+    model.contextTrim = trim;
+    // Arrives before the answer starts streaming, so the note stays above it (unlike the retry notes)
+    const leftOut = trim.summarized
+        ? `${trim.droppedMessages} oldest message(s) replaced by a summary from ${trim.summaryModel}`
+        : `${trim.droppedMessages} oldest message(s) left out (${trim.strategy})`;
+    model.outputDisplay.value += `[Context: history of ~${trim.estimatedTokens} tokens exceeds the budget of ${trim.budget}; ${leftOut}.${trim.warning ? ` ${trim.warning}` : ''}]\n`;
+    model.outputDisplay.scrollTop = model.outputDisplay.scrollHeight;
+    renderConversationHistory(componentId);
+}
+
+/**
+ * Shows a `model_samples` event in the model's column: one tab per sample, how similar the samples are, and
+ * (for chat models) a Keep button that stores the shown sample in the history. The first sample is shown.
+ * @param {{model: string, sampleSetId: string|null, samples: Array<{content: string, finishReason?: string}>,
+ * variance: SampleSet['variance'], rawResponse?: object}} data
+ */
+function displaySamples(data) {
+    const model = modelElements[data.model];
+    if (!model?.sampleTabs) return;
+    model.sampleSet = { id: data.sampleSetId, samples: data.samples, variance: data.variance, selected: 0, kept: null };
+    if (model.ApiResponsePanel && data.rawResponse) {
+        model.ApiResponsePanel.textContent = JSON.stringify(data.rawResponse, null, 2);
+    }
+    showSample(data.model, 0);
+}
+
+/**
+ * Shows one of a model's samples in its column and redraws the sample tabs.
+ * @param {string} modelId
+ * @param {number} index
+ */
+function showSample(modelId, index) {
+    const model = modelElements[modelId];
+    const sampleSet = model?.sampleSet;
+    if (!sampleSet) return;
+    sampleSet.selected = index;
+    const sample = sampleSet.samples[index];
+    model.streamStartIndex = null;
+    model.outputDisplay.value = sample.content + (sample.finishReason ? `__${sample.finishReason}` : '') + '\n';
+    model.outputDisplay.classList.add('success');
+    model.outputDisplay.classList.remove('error', 'skip');
+
+    const tabs = sampleSet.samples.map((entry, sampleIndex) => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = 'sample-tab';
+        tab.classList.toggle('active', sampleIndex === index);
+        tab.classList.toggle('kept', sampleIndex === sampleSet.kept);
+        tab.textContent = String(sampleIndex + 1);
+        tab.title = sampleIndex === sampleSet.kept ? 'Kept in the chat history' : `Sample ${sampleIndex + 1}`;
+        tab.addEventListener('click', () => showSample(modelId, sampleIndex));
+        return tab;
+    });
+    const { similarity, length } = sampleSet.variance;
+    const variance = document.createElement('span');
+    variance.className = 'sample-variance';
+    variance.textContent = `similarity ${similarity === null ? '-' : similarity.toFixed(2)}, ${length.min === length.max ? length.min : `${length.min}-${length.max}`} words`;
+    variance.title = 'Mean word overlap of every pair of samples (1 = the same words) and the samples\' lengths';
+    model.sampleTabs.replaceChildren(...tabs, variance);
+    if (sampleSet.id && sampleSet.kept === null) {
+        const keepButton = document.createElement('button');
+        keepButton.type = 'button';
+        keepButton.className = 'sample-keep';
+        keepButton.textContent = 'Keep';
+        keepButton.title = 'Add this sample to the chat history and drop the others';
+        keepButton.addEventListener('click', () => handleKeepSample(modelId));
+        model.sampleTabs.appendChild(keepButton);
+    }
+}
+
+/**
+ * Keeps the shown sample: the server stores it in the model's chat history after the user message.
+ * @param {string} modelId
+ */
+async function handleKeepSample(modelId) {
+    const sampleSet = modelElements[modelId]?.sampleSet;
+    if (!sampleSet?.id) return;
+    try {
+        const response = await fetch(`/api/samples/${encodeURIComponent(sampleSet.id)}/keep`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ index: sampleSet.selected })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not keep the sample.', 'error');
+            return;
+        }
+        sampleSet.kept = sampleSet.selected;
+        showSample(modelId, sampleSet.selected);
+        await refreshModelHistory(modelId);
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error('Could not keep the sample:', error);
+        showToast('Network error: Could not keep the sample.', 'error');
+    }
+}
+
+/**
+ * Adds a response's usage and cost to the model's totals and shows both in its column.
+ * The server keeps the same totals with the session, so they come back when it is restored.
+ * @param {string} componentId - The model's ID.
+ * @param {Usage} [usage] - Undefined when the provider reported no usage.
+ * @param {{amount: number, currency: string}} [cost] - Undefined when the model has no known prices.
+ * @param {{showAsLast?: boolean}} [options] - `showAsLast: false` only adds to the totals (e.g. a judge call),
+ * leaving the column's last-response figures alone.
+ */
+function recordResponseUsage(componentId, usage, cost, { showAsLast = true } = {}) {
+    const model = modelElements[componentId];
+    if (!model) return;
+    const totals = model.usageTotals || { inputTokens: 0, outputTokens: 0, cachedTokens: 0, reasoningTokens: 0, totalTokens: 0, cost: 0, responses: 0, unpricedResponses: 0 };
+    model.usageTotals = {
+        inputTokens: totals.inputTokens + (usage?.inputTokens ?? 0),
+        outputTokens: totals.outputTokens + (usage?.outputTokens ?? 0),
+        cachedTokens: totals.cachedTokens + (usage?.cachedTokens ?? 0),
+        reasoningTokens: totals.reasoningTokens + (usage?.reasoningTokens ?? 0),
+        totalTokens: totals.totalTokens + (usage?.totalTokens ?? 0),
+        cost: totals.cost + (cost?.amount ?? 0),
+        responses: totals.responses + 1,
+        unpricedResponses: totals.unpricedResponses + (cost ? 0 : 1),
+    };
+    if (showAsLast) {
+        model.lastUsage = { usage, cost };
+    }
+    renderUsage(componentId, model.lastUsage?.usage, model.lastUsage?.cost);
+}
+
+/**
+ * Formats a cost; small amounts keep enough decimals to stay readable.
+ * @param {number} amount
+ * @param {string} [currency='USD']
+ * @returns {string}
+ */
+function formatCost(amount, currency = 'USD') {
+    const digits = amount === 0 || amount >= 0.01 ? 4 : 6;
+    return `${currency === 'USD' ? '$' : `${currency} `}${amount.toFixed(digits)}`;
+}
+
+/**
+ * Shows a model's usage line (the last response, if given, and its session totals) and the session totals
+ * over all models in the toolbar.
+ * @param {string} componentId - The model's ID.
+ * @param {Usage} [usage] - The last response's usage.
+ * @param {{amount: number, currency: string}} [cost] - The last response's cost.
+ */
+function renderUsage(componentId, usage, cost) {
+    const model = modelElements[componentId];
+    if (model?.usageLine) {
+        const parts = [];
+        if (usage) {
+            const details = [
+                usage.cachedTokens ? `${usage.cachedTokens} cached` : '',
+                usage.reasoningTokens ? `${usage.reasoningTokens} reasoning` : '',
+            ].filter(Boolean).join(', ');
+            parts.push(`Last: ${usage.inputTokens ?? '?'} in / ${usage.outputTokens ?? '?'} out${details ? ` (${details})` : ''}`
+                + (cost ? ` · ${formatCost(cost.amount, cost.currency)}` : ' · price unknown'));
+        }
+        const totals = model.usageTotals;
+        if (totals) {
+            parts.push(`Session: ${totals.totalTokens.toLocaleString()} tokens · ${formatCost(totals.cost)}`
+                + (totals.unpricedResponses ? ` (+${totals.unpricedResponses} unpriced)` : ''));
+        }
+        model.usageLine.textContent = parts.join(' | ');
+    }
+
+    if (sessionUsageElement) {
+        const allTotals = Object.values(modelElements).map(element => element.usageTotals).filter(Boolean);
+        const tokens = allTotals.reduce((sum, totals) => sum + totals.totalTokens, 0);
+        const sessionCost = allTotals.reduce((sum, totals) => sum + totals.cost, 0);
+        sessionUsageElement.textContent = allTotals.length ? `${tokens.toLocaleString()} tokens · ${formatCost(sessionCost)}` : '';
+        sessionUsageElement.title = [allTotals.length ? 'Tokens and cost of this session, all models' : '', lastBudgetWarning?.message]
+            .filter(Boolean).join('\n');
+        sessionUsageElement.classList.toggle('budget-warning', Boolean(lastBudgetWarning));
+    }
+}
+
+/**
+ * Shows a `budget_warning` event: the server's spend crossed a warning share of a session, daily or provider limit.
+ * Toasts are soon replaced, so the session totals in the toolbar stay highlighted with the message as their tooltip.
+ * @param {BudgetWarning & {model: string}} warning
+ */
+function displayBudgetWarning(warning) {
+    console.warn(`Budget warning after ${warning.model}:`, warning.message);
+    lastBudgetWarning = warning;
+    showToast(warning.message, 'warning');
+    renderUsage(warning.model);
+}
+
+/**
+ * Reads a Server-Sent Events response body and hands every parsed event to `onEvent`.
+ * Events without data are ignored; the data is JSON-parsed before dispatch.
+ *
+ * @param {Response} response - The fetch response whose body is an SSE stream.
+ * @param {(eventType: string, parsedData: object, rawData: string) => void} onEvent - Called once per event.
+ */
+async function readSseEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            console.log('Stream complete.');
+            break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let lastNewlineIndex;
+        while ((lastNewlineIndex = buffer.indexOf('\n\n')) !== -1) {
+            const eventBlock = buffer.substring(0, lastNewlineIndex + 2).trim();
+            buffer = buffer.substring(lastNewlineIndex + 2);
+
+            const lines = eventBlock.split('\n').filter(line => line.trim() !== '');
+            let eventType = 'message';
+            let eventData = '';
+
+            lines.forEach(line => {
+                if (line.startsWith('event:')) {
+                    eventType = line.substring('event:'.length).trim();
+                } else if (line.startsWith('data:')) {
+                    eventData = line.substring('data:'.length).trim();
+                }
+            });
+
+            if (eventData) {
+                try {
+                    onEvent(eventType, JSON.parse(eventData), eventData);
+                } catch (e) {
+                    console.error('Failed to parse SSE data:', e, 'Raw data:', eventData);
+                    showToast(`Failed to parse SSE data for event "${eventType}"`, 'error');
+                }
+            }
+        }
+    }
+}
+
 /**
  * Renders the conversation history for a specific model into its designated history list element.
  * Includes interactive elements for deleting and selecting messages.
@@ -319,10 +870,25 @@ function renderConversationHistory(modelId) {
 
     model.historyListElement.innerHTML = ''; // Clear existing history
 
+    const branchTree = model.branches && model.branches.branches.length > 1 ? model.branches : null;
+    if (branchTree) {
+        model.historyListElement.appendChild(createBranchBar(modelId, branchTree));
+    }
+
+    // Messages left out of the last request to fit the model's context window
+    const trimmedCount = model.contextTrim?.droppedMessages || 0;
+    const trimmedNote = model.contextTrim?.summarized
+        ? `Not sent in the last request: summarized by ${model.contextTrim.summaryModel}`
+        : 'Not sent in the last request: outside the context budget';
+
     model.chatData.forEach((message, index) => {
         const messageDiv = document.createElement('div');
         messageDiv.classList.add('history-message', `history-${message.role}-message`);
         messageDiv.title = message.fullContent;
+        if (index < trimmedCount) {
+            messageDiv.classList.add('history-trimmed');
+            messageDiv.title = `${trimmedNote}\n\n${message.fullContent}`;
+        }
 
         const messageNumber = index + 1;
 
@@ -331,7 +897,17 @@ function renderConversationHistory(modelId) {
             <span class="history-message-role">${message.role === 'user' ? 'User' : 'Model'}:</span>
             <span class="history-message-content">${message.displayContent}</span>
             <button class="delete-history-btn" data-model-id="${modelId}" data-index="${index}" title="Delete this message">×</button>
+            <button class="fork-history-btn" title="Fork a new branch after this message">⑂</button>
+            <button class="edit-history-btn" title="Edit this message">✎</button>
         `;
+        messageDiv.querySelector('.fork-history-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            handleForkBranch(modelId, index);
+        });
+        messageDiv.querySelector('.edit-history-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openMessageEditor(modelId, index, messageDiv);
+        });
 
         // Add selection/move listener (replaces previous simple selection)
         messageDiv.addEventListener('click', (e) => {
@@ -343,12 +919,33 @@ function renderConversationHistory(modelId) {
         });
 
         model.historyListElement.appendChild(messageDiv);
+
+        if (index === trimmedCount - 1) {
+            const trimMarker = document.createElement('div');
+            trimMarker.className = 'context-trim-marker';
+            trimMarker.textContent = trimmedNote;
+            model.historyListElement.appendChild(trimMarker);
+        }
+
+        // Branch points: branches forked from the active one right after this message
+        if (branchTree) {
+            branchTree.branches
+                .filter(branch => branch.parentId === branchTree.activeBranchId && branch.forkIndex === index + 1)
+                .forEach(branch => {
+                    const branchPoint = document.createElement('div');
+                    branchPoint.className = 'branch-point';
+                    branchPoint.textContent = `⑂ ${branch.name} (${branch.messageCount} messages)`;
+                    branchPoint.title = `Switch to ${branch.name}`;
+                    branchPoint.addEventListener('click', () => handleSwitchBranch(modelId, branch.id));
+                    model.historyListElement.appendChild(branchPoint);
+                });
+        }
     });
 
     // Re-apply highlight if the currently selected message is still in the history
     if (selectedMessageForMove && selectedMessageForMove.modelId === modelId) {
         // We need to re-query the DOM element because it was re-rendered
-        const reRenderedSelected = model.historyListElement.querySelector(`.history-message:nth-child(${selectedMessageForMove.index + 1})`);
+        const reRenderedSelected = model.historyListElement.querySelectorAll('.history-message')[selectedMessageForMove.index];
         if (reRenderedSelected) {
             reRenderedSelected.classList.add('selected-for-move');
             selectedMessageDomElement = reRenderedSelected;
@@ -372,96 +969,506 @@ function renderConversationHistory(modelId) {
     });
 }
 
+/**
+ * Builds the branch navigation shown above a model's history: a picker with every branch of the tree
+ * and, on a forked branch, a link back to the branch it came from.
+ * @param {string} modelId - The model's ID.
+ * @param {BranchTree} branchTree - The model's branches.
+ * @returns {HTMLElement}
+ */
+function createBranchBar(modelId, branchTree) {
+    const bar = document.createElement('div');
+    bar.className = 'branch-bar';
+
+    const depthOf = (branch) => branch.parentId ? 1 + depthOf(branchTree.branches.find(b => b.id === branch.parentId)) : 0;
+    const select = document.createElement('select');
+    select.title = 'Switch branch';
+    branchTree.branches.forEach(branch => {
+        const option = document.createElement('option');
+        option.value = branch.id;
+        // The active branch grows as the conversation goes on; the others are as the server last reported them
+        const messageCount = branch.id === branchTree.activeBranchId ? modelElements[modelId].chatData.length : branch.messageCount;
+        option.textContent = `${'\u00a0\u00a0'.repeat(depthOf(branch))}${branch.name} (${messageCount})`;
+        option.selected = branch.id === branchTree.activeBranchId;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => handleSwitchBranch(modelId, select.value));
+    bar.appendChild(select);
+
+    const activeBranch = branchTree.branches.find(branch => branch.id === branchTree.activeBranchId);
+    const parentBranch = branchTree.branches.find(branch => branch.id === activeBranch?.parentId);
+    if (parentBranch) {
+        const parentLink = document.createElement('span');
+        parentLink.className = 'branch-parent';
+        parentLink.textContent = `forked from ${parentBranch.name} after message ${activeBranch.forkIndex}`;
+        parentLink.title = `Switch to ${parentBranch.name}`;
+        parentLink.addEventListener('click', () => handleSwitchBranch(modelId, parentBranch.id));
+        bar.appendChild(parentLink);
+    }
+    return bar;
+}
 
 /**
- * Handles the deletion of a specific message from a model's conversation history.
- * (A) asks the user to confirm if they want to delete it.
- * (B) goes to the backend to remove that particular message from history.
- * (C) upon success, removes that particular chat from the conversation history section,
- *     while also updating the sequence number to be in sync with backend.
- *
- * @param {string} modelId - The ID of the model whose message is to be deleted.
- * @param {number} messageIndex - The 0-based index of the message to delete.
+ * Replaces a history entry with an inline editor: Save edits the message in the model's server-side history;
+ * for user messages, Save & re-run resends it to the model and replaces everything after it with the new answer.
+ * @param {string} modelId - The model's ID.
+ * @param {number} index - The 0-based index of the message.
+ * @param {HTMLElement} messageDiv - The rendered history entry.
  */
-async function handleDeleteMessage(modelId, messageIndex) {
-    // (A) Ask the user to confirm
-    const confirmDelete = confirm(`Are you sure you want to delete message #${messageIndex + 1} for ${modelId.toUpperCase()}?`);
-    if (!confirmDelete) {
-        showToast('Message deletion cancelled.', 'info');
-        return;
+function openMessageEditor(modelId, index, messageDiv) {
+    const model = modelElements[modelId];
+    const message = model?.chatData[index];
+    if (!message) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'history-message-editor';
+    const textArea = document.createElement('textarea');
+    textArea.className = 'input-area';
+    textArea.value = message.editContent ?? message.fullContent;
+    editor.appendChild(textArea);
+
+    const addButton = (label, title, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'submit-btn btn-tertiary';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        editor.appendChild(button);
+    };
+    addButton('Save', 'Save the edited message', () => handleEditMessage(modelId, index, textArea.value));
+    if (message.role === 'user') {
+        addButton('Save & re-run', 'Send this message again; the new answer replaces everything after it', () => handleRerunMessage(modelId, index, textArea.value));
     }
+    addButton('Cancel', 'Discard the edit', () => renderConversationHistory(modelId));
 
-    const guid = getSessionGuid();
+    messageDiv.replaceWith(editor);
+    textArea.focus();
+}
 
+/**
+ * Saves an edited message to the model's server-side history and updates the history list.
+ * @param {string} modelId - The model's ID.
+ * @param {number} messageIndex - The 0-based index of the message.
+ * @param {string} text - The new text.
+ */
+async function handleEditMessage(modelId, messageIndex, text) {
+    if (!text.trim()) {
+        showToast('A message cannot be empty.', 'warning');
+        return;
+    }
     try {
-        // (B) Go to the backend to remove the message
-        const response = await fetch('/api/deleteMessage', { // NEW ENDPOINT
+        const response = await fetch('/api/editMessage', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ modelId, guid, messageIndex })
+            body: JSON.stringify({ modelId, guid: getSessionGuid(), messageIndex, text })
         });
-
+        const data = await response.json();
         if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Client Error: Server error deleting message for ${modelId}: ${response.status} - ${errorText}`);
-            showToast(`Error deleting message: ${response.status} - ${errorText}`, "error");
+            showToast(data.error || data.message || 'Could not edit the message.', 'error');
             return;
         }
+        modelElements[modelId].chatData[messageIndex] = toChatData([data.edited])[0];
+        renderConversationHistory(modelId);
+        showToast('Message edited.', 'success');
+    } catch (error) {
+        console.error(`Could not edit a message of ${modelId}:`, error);
+        showToast('Network error: Could not edit the message.', 'error');
+    }
+}
 
-        const data = await response.json();
-
-        if (data.message === "Message deleted successfully") {
-            showToast(`Message #${messageIndex + 1} for ${modelId.toUpperCase()} deleted.`, "success");
+/**
+ * Re-runs a model from one of its user messages: the (edited) message is sent again and the new answer streams
+ * into the model's column. The server replaces the message and everything after it only when the answer arrives,
+ * so the history list is then reloaded from the server.
+ * @param {string} modelId - The model's ID.
+ * @param {number} messageIndex - The 0-based index of the user message.
+ * @param {string} text - The message text to send.
+ */
+async function handleRerunMessage(modelId, messageIndex, text) {
+    const model = modelElements[modelId];
+    if (!model || !text.trim()) {
+        showToast('A message cannot be empty.', 'warning');
+        return;
+    }
+    if (runningModels[modelId]) {
+        showToast(`${modelId} is still answering; stop it first.`, 'warning');
+        return;
+    }
 
-            // (C) Update client-side chatData and re-render
-            const model = modelElements[modelId];
-            if (model && model.chatData) {
-                model.chatData.splice(messageIndex, 1); // Remove from client-side array
-                renderConversationHistory(modelId); // Re-render to update numbers
-                // Also update the main output textarea for this model
-                // This is less precise, ideally the server would send back the full updated history text.
-                // For now, we'll just clear the output box to signify the change.
-                model.outputDisplay.value = ''; // Clear for now, could be improved.
-            }
+    let submissionId = self.crypto.randomUUID();
+    model.chatData = model.chatData.slice(0, messageIndex);
+    model.chatData.push({ role: 'user', fullContent: text, displayContent: truncateText(text, HISTORY_TRUNCATE_WORD_COUNT) });
+    model.contextTrim = null;
+    renderConversationHistory(modelId);
+    model.outputDisplay.classList.remove('success', 'error', 'skip');
+    activeSubmissionIds.add(submissionId);
+    setModelRunning(modelId, submissionId);
+    if (stopBtn) stopBtn.disabled = false;
 
-        } else {
-            console.error(`Server response indicates failure for deleteMessage:`, data);
-            showToast(`Failed to delete message: ${data.error || "Unknown error"}`, "error");
+    try {
+        const response = await fetch('/api/rerunMessage', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                modelId,
+                guid: getSessionGuid(),
+                messageIndex,
+                text,
+                temperature: temperatureInput?.value,
+                systemPrompt: toggleCheckbox?.checked ? (model.systemPromptInput?.value?.trim() || systemPrompt?.value?.trim() || '') : '',
+                params: collectModelParams()[modelId],
+                model: collectModelVersions()[modelId],
+                submissionId
+            })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showToast(data.error || data.message || `Could not re-run: ${response.status}`, 'error');
+            return;
         }
 
+        await readSseEvents(response, (eventType, parsedData) => {
+            switch (eventType) {
+                case 'submission_started':
+                    activeSubmissionIds.delete(submissionId);
+                    submissionId = parsedData.submissionId;
+                    activeSubmissionIds.add(submissionId);
+                    setModelRunning(modelId, submissionId);
+                    break;
+                case 'model_delta':
+                    appendModelDelta(modelId, parsedData.delta);
+                    break;
+                case 'model_retry':
+                    displayRetry(modelId, parsedData);
+                    break;
+                case 'context_trimmed':
+                    displayContextTrim(modelId, parsedData);
+                    break;
+                case 'model_warning':
+                    markUnsupportedParams(modelId, parsedData.unsupportedParams || []);
+                    showToast(parsedData.message, 'warning');
+                    break;
+                case 'budget_warning':
+                    displayBudgetWarning(parsedData);
+                    break;
+                case 'model_result':
+                    adjustChildForks(modelId, forkIndex => Math.min(forkIndex, messageIndex));
+                    displayResult(modelId, 'Success', parsedData.result);
+                    recordResponseUsage(modelId, parsedData.usage, parsedData.cost);
+                    break;
+                case 'model_skipped':
+                    displayResult(modelId, 'Skipped', parsedData.result);
+                    break;
+                case 'model_error':
+                    if (model.ApiResponsePanel && parsedData.details) {
+                        model.ApiResponsePanel.textContent = parsedData.details;
+                    }
+                    displayResult(modelId, 'Error', parsedData.error);
+                    break;
+                case 'model_cancelled':
+                    displayResult(modelId, 'Cancelled', parsedData.partial);
+                    break;
+                case 'all_complete':
+                    break;
+                case 'server_error':
+                    console.error('Server Error:', parsedData.message + (parsedData.error ? ` (${parsedData.error})` : ''));
+                    showToast('Server Error: ' + parsedData.message, 'error');
+                    break;
+                default:
+                    console.warn(`Unexpected SSE event during re-run: ${eventType}`);
+            }
+        });
     } catch (error) {
-        console.error('Network error during deleteMessage request:', error);
-        showToast('Network error: Could not delete message.', "error");
+        console.error(`Re-run of ${modelId} failed:`, error);
+        showToast('Network request failed: ' + error.message, 'error');
+    } finally {
+        activeSubmissionIds.delete(submissionId);
+        setModelRunning(modelId, null);
+        if (stopBtn) stopBtn.disabled = activeSubmissionIds.size === 0;
+        await refreshModelHistory(modelId);
     }
 }
 
 /**
- * Handles clicks on history messages for selection and moving.
- * (1) double/single click to select a message from chat (we'll use single click)
- * (3) upon clicking "any other message" in the list, a confirmation will come,
- *     "do you want to move the message (k) AFTER the message (p)?"
- * (4) if user accidentally clicks the same message again that he selected, the selection will reset/removed
- * (5) after confirmation, do the same thing you were doing, the backend call
- * (6) on success, re-render the chat.
- *
- * @param {string} modelId - The ID of the model the message belongs to.
- * @param {number} index - The 0-based index of the clicked message.
- * @param {HTMLElement} domElement - The DOM element of the clicked message.
- * @param {string} displayContent - The truncated text content of the clicked message for confirmation.
+ * Reloads one model's history list (and branches) from the server, which holds the authoritative history.
+ * @param {string} modelId - The model's ID.
  */
-async function handleMessageInteraction(modelId, index, domElement, displayContent) {
-    if (selectedMessageForMove) {
-        // A message is already selected (source)
-        if (selectedMessageForMove.modelId === modelId && selectedMessageForMove.index === index) {
-            // (4) User clicked the same message again, deselect it
-            clearMessageSelection();
-            showToast('Message deselected.', 'info');
-        } else if (selectedMessageForMove.modelId !== modelId) {
-            // Cannot move between models for now (simplification)
-            showToast('Cannot move messages between different models.', 'warning');
-        }
-        else {
-            // (3) User clicked a *different* message in the *same model* (destination)
+async function refreshModelHistory(modelId) {
+    const model = modelElements[modelId];
+    if (!model) return;
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(getSessionGuid())}`);
+        if (!response.ok) return;
+        const { session } = await response.json();
+        model.chatData = toChatData(session.messages[modelId] || []);
+        model.branches = session.branches[modelId] || null;
+        renderConversationHistory(modelId);
+    } catch (error) {
+        console.error(`Could not reload the history of ${modelId}:`, error);
+    }
+}
+
+/**
+ * Fills a model's copy panel: the other models to copy to, the range of messages (1-based, inclusive)
+ * and whether the targets' histories are replaced or appended to.
+ * @param {string} modelId - The model whose history is copied.
+ */
+function renderCopyPanel(modelId) {
+    const model = modelElements[modelId];
+    const panel = model.copyPanel;
+    const messageCount = model.chatData.length;
+    const targets = modelsConfig.filter(config => config.id !== modelId && modelElements[config.id]);
+    panel.innerHTML = `
+        <div class="copy-targets">
+            <label><input type="checkbox" class="copy-all" /> All</label>
+            ${targets.map(config => `<label style="color: ${escapeHtml(config.color)}"><input type="checkbox" class="copy-target" value="${escapeHtml(config.id)}" /> ${escapeHtml(config.shortName)}</label>`).join('')}
+        </div>
+        <label>From <input type="number" class="copy-start" min="1" max="${messageCount}" value="1" /></label>
+        <label>to <input type="number" class="copy-end" min="1" max="${messageCount}" value="${messageCount}" /></label>
+        <label title="Replace the targets' histories instead of appending to them"><input type="checkbox" class="copy-replace" /> Replace</label>
+        <button type="button" class="submit-btn btn-tertiary copy-confirm">Copy</button>
+    `;
+    const targetBoxes = [...panel.querySelectorAll('.copy-target')];
+    panel.querySelector('.copy-all').addEventListener('change', (e) => {
+        targetBoxes.forEach(box => { box.checked = e.target.checked; });
+    });
+    panel.querySelector('.copy-confirm').addEventListener('click', () => {
+        const start = parseInt(panel.querySelector('.copy-start').value, 10);
+        const end = parseInt(panel.querySelector('.copy-end').value, 10);
+        handleCopyHistory(modelId, targetBoxes.filter(box => box.checked).map(box => box.value),
+            start - 1, end, panel.querySelector('.copy-replace').checked);
+    });
+}
+
+/**
+ * Copies messages of a model's history to other models on the server (converted to each provider's format)
+ * and reloads the targets' history lists.
+ * @param {string} modelId - The model whose history is copied.
+ * @param {Array<string>} targetModelIds - The models receiving the messages.
+ * @param {number} start - The 0-based index of the first message to copy.
+ * @param {number} end - The index after the last message to copy.
+ * @param {boolean} replace - Replace the targets' histories instead of appending to them.
+ */
+async function handleCopyHistory(modelId, targetModelIds, start, end, replace) {
+    if (targetModelIds.length === 0) {
+        showToast('Choose at least one model to copy to.', 'warning');
+        return;
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+        showToast('Enter a valid range of messages.', 'warning');
+        return;
+    }
+    const busyModel = targetModelIds.find(targetId => runningModels[targetId]);
+    if (busyModel) {
+        showToast(`${busyModel} is still answering; wait or stop it first.`, 'warning');
+        return;
+    }
+    try {
+        const response = await fetch('/api/copyHistory', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ guid: getSessionGuid(), sourceModelId: modelId, targetModelIds, start, end, replace })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || data.message || 'Could not copy the history.', 'error');
+            return;
+        }
+        await Promise.all(targetModelIds.map(refreshModelHistory));
+        modelElements[modelId].copyPanel.classList.remove('visible');
+        showToast(`Copied ${data.copied} message(s) to ${targetModelIds.length} model(s).`, 'success');
+    } catch (error) {
+        console.error(`Could not copy the history of ${modelId}:`, error);
+        showToast('Network error: Could not copy the history.', 'error');
+    }
+}
+
+/**
+ * Turns the display messages the server sends for a history (session restore, branch switch) into chatData entries.
+ * @param {Array<{role: 'user'|'model', text: string, input?: string}>} messages
+ * @returns {Array<HistoryMessage>}
+ */
+function toChatData(messages) {
+    return messages.map(message => ({
+        role: message.role,
+        fullContent: message.text,
+        displayContent: truncateText(message.text, HISTORY_TRUNCATE_WORD_COUNT),
+        editContent: message.input
+    }));
+}
+
+/**
+ * Forks a model's history after a message into a new branch and continues on it.
+ * The branch it came from is kept and can be switched back to.
+ * @param {string} modelId - The model's ID.
+ * @param {number} messageIndex - The last message (0-based) the new branch starts with.
+ */
+async function handleForkBranch(modelId, messageIndex) {
+    const name = prompt('Name for the new branch (optional):', '');
+    if (name === null) return;
+    try {
+        const response = await fetch('/api/forkBranch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ modelId, guid: getSessionGuid(), messageIndex, name })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || data.message || 'Could not fork the history.', 'error');
+            return;
+        }
+        applyBranchResult(modelId, data);
+        const branch = data.branches.find(b => b.id === data.branchId);
+        showToast(`Now on ${branch?.name || data.branchId}.`, 'success');
+    } catch (error) {
+        console.error(`Could not fork the history of ${modelId}:`, error);
+        showToast('Network error: Could not fork the history.', 'error');
+    }
+}
+
+/**
+ * Switches a model to another branch of its history.
+ * @param {string} modelId - The model's ID.
+ * @param {string} branchId - The branch to continue on.
+ */
+async function handleSwitchBranch(modelId, branchId) {
+    try {
+        const response = await fetch('/api/switchBranch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ modelId, guid: getSessionGuid(), branchId })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || data.message || 'Could not switch branches.', 'error');
+            return;
+        }
+        applyBranchResult(modelId, data);
+    } catch (error) {
+        console.error(`Could not switch the branch of ${modelId}:`, error);
+        showToast('Network error: Could not switch branches.', 'error');
+    }
+}
+
+/**
+ * Shows the active branch returned by /api/forkBranch or /api/switchBranch in a model's history list.
+ * @param {string} modelId - The model's ID.
+ * @param {{activeBranchId: string, branches: Array<object>, messages: Array<{role: 'user'|'model', text: string}>}} data
+ */
+function applyBranchResult(modelId, data) {
+    const model = modelElements[modelId];
+    if (!model) return;
+    clearMessageSelection();
+    model.branches = { activeBranchId: data.activeBranchId, branches: data.branches };
+    model.chatData = toChatData(data.messages);
+    renderConversationHistory(modelId);
+}
+
+/**
+ * Moves the fork points of the branches forked from a model's active branch after its messages were removed or
+ * moved, the same way the server does, so the branch points stay next to the messages they split off after.
+ * @param {string} modelId - The model's ID.
+ * @param {(forkIndex: number) => number} adjust - The new fork index for an old one.
+ */
+function adjustChildForks(modelId, adjust) {
+    const branchTree = modelElements[modelId]?.branches;
+    if (!branchTree) return;
+    branchTree.branches
+        .filter(branch => branch.parentId === branchTree.activeBranchId)
+        .forEach(branch => { branch.forkIndex = Math.max(0, adjust(branch.forkIndex)); });
+}
+
+/**
+ * Handles the deletion of a specific message from a model's conversation history.
+ * (A) asks the user to confirm if they want to delete it.
+ * (B) goes to the backend to remove that particular message from history.
+ * (C) upon success, removes that particular chat from the conversation history section,
+ *     while also updating the sequence number to be in sync with backend.
+ *
+ * @param {string} modelId - The ID of the model whose message is to be deleted.
+ * @param {number} messageIndex - The 0-based index of the message to delete.
+ */
+async function handleDeleteMessage(modelId, messageIndex) {
+    // (A) Ask the user to confirm
+    const confirmDelete = confirm(`Are you sure you want to delete message #${messageIndex + 1} for ${modelId.toUpperCase()}?`);
+    if (!confirmDelete) {
+        showToast('Message deletion cancelled.', 'info');
+        return;
+    }
+
+    const guid = getSessionGuid();
+
+    try {
+        // (B) Go to the backend to remove the message
+        const response = await fetch('/api/deleteMessage', { // NEW ENDPOINT
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ modelId, guid, messageIndex })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Client Error: Server error deleting message for ${modelId}: ${response.status} - ${errorText}`);
+            showToast(`Error deleting message: ${response.status} - ${errorText}`, "error");
+            return;
+        }
+
+        const data = await response.json();
+
+        if (data.message === "Message deleted successfully") {
+            showToast(`Message #${messageIndex + 1} for ${modelId.toUpperCase()} deleted.`, "success");
+
+            // (C) Update client-side chatData and re-render
+            const model = modelElements[modelId];
+            if (model && model.chatData) {
+                model.chatData.splice(messageIndex, 1); // Remove from client-side array
+                adjustChildForks(modelId, forkIndex => (messageIndex < forkIndex ? forkIndex - 1 : forkIndex));
+                renderConversationHistory(modelId); // Re-render to update numbers
+                // Also update the main output textarea for this model
+                // This is less precise, ideally the server would send back the full updated history text.
+                // For now, we'll just clear the output box to signify the change.
+                model.outputDisplay.value = ''; // Clear for now, could be improved.
+            }
+
+        } else {
+            console.error(`Server response indicates failure for deleteMessage:`, data);
+            showToast(`Failed to delete message: ${data.error || "Unknown error"}`, "error");
+        }
+
+    } catch (error) {
+        console.error('Network error during deleteMessage request:', error);
+        showToast('Network error: Could not delete message.', "error");
+    }
+}
+
+/**
+ * Handles clicks on history messages for selection and moving.
+ * (1) double/single click to select a message from chat (we'll use single click)
+ * (3) upon clicking "any other message" in the list, a confirmation will come,
+ *     "do you want to move the message (k) AFTER the message (p)?"
+ * (4) if user accidentally clicks the same message again that he selected, the selection will reset/removed
+ * (5) after confirmation, do the same thing you were doing, the backend call
+ * (6) on success, re-render the chat.
+ *
+ * @param {string} modelId - The ID of the model the message belongs to.
+ * @param {number} index - The 0-based index of the clicked message.
+ * @param {HTMLElement} domElement - The DOM element of the clicked message.
+ * @param {string} displayContent - The truncated text content of the clicked message for confirmation.
+ */
+async function handleMessageInteraction(modelId, index, domElement, displayContent) {
+    if (selectedMessageForMove) {
+        // A message is already selected (source)
+        if (selectedMessageForMove.modelId === modelId && selectedMessageForMove.index === index) {
+            // (4) User clicked the same message again, deselect it
+            clearMessageSelection();
+            showToast('Message deselected.', 'info');
+        } else if (selectedMessageForMove.modelId !== modelId) {
+            // Cannot move between models for now (simplification)
+            showToast('Cannot move messages between different models.', 'warning');
+        }
+        else {
+            // (3) User clicked a *different* message in the *same model* (destination)
             const oldIndex = selectedMessageForMove.index;
             const oldDisplayContent = modelElements[modelId].chatData[oldIndex].displayContent;
 
@@ -560,6 +1567,7 @@ async function performMoveMessage(modelId, oldIndex, targetIndex) {
             // Update client-side chatData and re-render (same logic as backend)
             const [movedMessage] = model.chatData.splice(oldIndex, 1);
             model.chatData.splice(newIndex, 0, movedMessage);
+            adjustChildForks(modelId, forkIndex => forkIndex - (oldIndex < forkIndex ? 1 : 0) + (newIndex < forkIndex ? 1 : 0));
             renderConversationHistory(modelId); // (6) Re-render to update numbers and display
 
             // Also update the main output textarea for this model (simplistic)
@@ -641,20 +1649,67 @@ function parseInputDirectives(rawInput) {
 
 // --- Event Handlers ---
 
+/**
+ * Reads every column's parameter panel.
+ * @returns {Record<string, Record<string, string>>} The non-empty parameters, keyed by model ID; models without any are left out.
+ */
+function collectModelParams() {
+    const modelParams = {};
+    modelsConfig.forEach(modelConfig => {
+        const inputs = modelElements[modelConfig.id]?.paramPanel?.querySelectorAll('[data-param]') ?? [];
+        const params = {};
+        inputs.forEach(input => {
+            if (input.value.trim() !== '') {
+                params[input.dataset.param] = input.value.trim();
+            }
+        });
+        if (Object.keys(params).length > 0) {
+            modelParams[modelConfig.id] = params;
+        }
+    });
+    return modelParams;
+}
+
+/**
+ * Flags parameter inputs the server reported as not supported by a model, so the user sees they were not sent.
+ * @param {string} modelId - The model the warning was about.
+ * @param {Array<string>} paramKeys - The unsupported parameter names.
+ */
+function markUnsupportedParams(modelId, paramKeys) {
+    const paramPanel = modelElements[modelId]?.paramPanel;
+    if (!paramPanel) return;
+    paramKeys.forEach(key => {
+        paramPanel.querySelector(`[data-param="${key}"]`)?.closest('.param-field')?.classList.add('unsupported');
+    });
+    paramPanel.classList.add('visible');
+}
+
+/**
+ * Reads every column's version picker.
+ * @returns {Record<string, string>} The chosen model versions, keyed by model ID; columns left on their default are omitted.
+ */
+function collectModelVersions() {
+    const modelVersions = {};
+    modelsConfig.forEach(modelConfig => {
+        const chosenVersion = modelElements[modelConfig.id]?.versionSelect?.value;
+        if (chosenVersion && chosenVersion !== modelConfig.model) {
+            modelVersions[modelConfig.id] = chosenVersion;
+        }
+    });
+    return modelVersions;
+}
+
 /**
  * Handles the submission of user queries to the backend API.
  * Manages loading states, processes API responses (including streaming), and updates the UI.
  * Supports both initial submissions and retries of specific models.
  *
  * @param {Event} e - The click event object.
- * @param {boolean} [ggr=false] - Flag to indicate if Gemini should be retried.
- * @param {boolean} [dsr=false] - Flag to indicate if Deepseek should be retried.
- * @param {boolean} [oir=false] - Flag to indicate if GPT should be retried.
- * @param {boolean} [acr=false] - Flag to indicate if Claude should be retried.
+ * @param {Array<string>} [retryModelIds] - IDs of the models to retry; a fresh submission when omitted or empty.
  */
-async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr = false) {
+async function handleSubmitClick(e, retryModelIds = []) {
     const rawInput = inputArea.value?.trim();
-    const anyRetryFlagTrue = (ggr || dsr || oir || acr);
+    const anyRetryFlagTrue = Array.isArray(retryModelIds) && retryModelIds.length > 0;
 
     // UI Feedback: Show loading and disable submit button
     if (loadingIndicator) loadingIndicator.style.display = 'inline';
@@ -665,10 +1720,19 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
     }
 
     let finalPayload; // This will contain the data sent to the server
+    let submissionId = self.crypto.randomUUID(); // Lets the Stop buttons address this request
     let userPromptToStore = ''; // The prompt that will be added to client-side history
     let systemPromptValue = '';
-    if (toggleCheckbox && systemPrompt?.value) {
-        systemPromptValue = systemPrompt?.value?.trim();
+    /** @type {Record<string, string>} Per-model system prompt overrides, keyed by model ID. */
+    const systemPromptOverrides = {};
+    if (toggleCheckbox?.checked) {
+        systemPromptValue = systemPrompt?.value?.trim() ?? '';
+        modelsConfig.forEach(modelConfig => {
+            const override = modelElements[modelConfig.id]?.systemPromptInput?.value?.trim();
+            if (override) {
+                systemPromptOverrides[modelConfig.id] = override;
+            }
+        });
     }
 
 
@@ -685,7 +1749,7 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
             userPromptToStore = rawInput || lastQuery; // Store either new input or original lastQuery
 
             // For retries, determine enabled/checked status based on retry flags and model's current state.
-            const retryEnabledList = modelsConfig.map((model, index) => [ggr, dsr, oir, acr][index]);
+            const retryEnabledList = modelsConfig.map(model => retryModelIds.includes(model.id));
             const retryCheckedList = modelsConfig.map((model, index) => {
                 // Respect the original 'checked' state of the checkbox, but only if the model is being retried and is enabled.
                 const modelEl = modelElements[model.id];
@@ -695,11 +1759,18 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
             finalPayload = {
                 text: retryMessage, // The full prompt sent for this retry
                 parsedDirectives: parsedRetryInput,
+                modelIds: modelsConfig.map(model => model.id),
                 enabledList: retryEnabledList,
                 checkedList: retryCheckedList,
                 guid: getSessionGuid(),
                 temperature: temperatureInput.value,
-                systemPrompt: systemPromptValue
+                systemPrompt: systemPromptValue,
+                systemPrompts: systemPromptOverrides,
+                modelParams: collectModelParams(),
+                modelVersions: collectModelVersions(),
+                attachments: lastAttachments,
+                judge: getJudgeSelection(),
+                synthesis: getSynthesisSelection()
             };
 
         } else {
@@ -709,6 +1780,7 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
                 return;
             }
             lastQuery = rawInput; // Update lastQuery on fresh submission
+            lastAttachments = pendingAttachments;
             userPromptToStore = rawInput; // Store raw input for fresh submission
 
             const parsedInput = parseInputDirectives(rawInput);
@@ -720,11 +1792,22 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
             finalPayload = {
                 text: rawInput,
                 parsedDirectives: parsedInput,
+                modelIds: modelsConfig.map(model => model.id),
                 enabledList: enabledModelsForSubmission,
                 checkedList: checkedModelsForSubmission,
                 guid: getSessionGuid(),
                 temperature: temperatureInput.value,
-                systemPrompt: systemPromptValue
+                systemPrompt: systemPromptValue,
+                systemPrompts: systemPromptOverrides,
+                modelParams: collectModelParams(),
+                modelVersions: collectModelVersions(),
+                attachments: pendingAttachments,
+                questEntry: rawInput, // Recorded in the session's quest log on the server
+                judge: getJudgeSelection(),
+                synthesis: getSynthesisSelection(),
+                arena: arenaMode,
+                // Arena rounds compare one answer per model
+                samples: arenaMode ? 1 : Number(samplesInput?.value || 1)
             };
 
             // Clear all model output styling at the start of a fresh submission
@@ -733,6 +1816,10 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
                 if (model?.outputDisplay) {
                     model.outputDisplay.classList.remove('success', 'error', 'skip');
                 }
+                if (model?.sampleTabs) {
+                    model.sampleTabs.innerHTML = '';
+                    model.sampleSet = null;
+                }
                 // model.chatData = model.chatData || []; // OLD: chatData is initialized in initializeApp now
                 // if (modelElements[modelConfig.id]?.enableCheckbox.checked) {
                 //     model.chatData.push(rawInput); // OLD: now handled in structured history
@@ -745,10 +1832,19 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
             }
         }
 
+        // With several samples per model, nothing goes into the histories until a sample is kept
+        const sampling = finalPayload.samples > 1;
+
+        // Attachments stay in the models' server-side history; the local history just names them
+        if (finalPayload.attachments.length > 0) {
+            userPromptToStore += `\n[Attached: ${finalPayload.attachments.map(attachment => attachment.name).join(', ')}]`;
+        }
+
         // --- (b) Append user message to history for ENABLED and CHAT-TRACKING models ---
         modelsConfig.forEach((modelConfig, index) => {
             const model = modelElements[modelConfig.id];
-            if (model && finalPayload.enabledList[index] && finalPayload.checkedList[index]) { // Only if enabled and tracking chat
+            if (model && finalPayload.enabledList[index] && finalPayload.checkedList[index] && !sampling) { // Only if enabled and tracking chat
+                model.contextTrim = null; // Set again by context_trimmed if this request is trimmed too
                 model.chatData.push({
                     role: 'user',
                     fullContent: userPromptToStore, // Use the user-facing prompt for history
@@ -759,6 +1855,23 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
         });
 
 
+        // Scores the judge gave the previous responses, and their merged answer, no longer apply
+        clearJudgeResults();
+        clearSynthesis();
+        if (finalPayload.arena) {
+            startArenaRound(modelsConfig.filter((modelConfig, index) => finalPayload.enabledList[index]).map(modelConfig => modelConfig.id));
+        }
+
+        // --- Cancellation bookkeeping: the Stop buttons cancel by submission (and model) ID ---
+        finalPayload.submissionId = submissionId;
+        activeSubmissionIds.add(submissionId);
+        modelsConfig.forEach((modelConfig, index) => {
+            if (finalPayload.enabledList[index]) {
+                setModelRunning(modelConfig.id, submissionId);
+            }
+        });
+        if (stopBtn) stopBtn.disabled = false;
+
         // --- API Call and SSE Stream Processing ---
         const response = await fetch('/api/submit', {
             method: 'POST',
@@ -773,106 +1886,157 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
             return; // Exit function if server error
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder('utf-8');
-        let buffer = '';
-
-        while (true) {
-            const { value, done } = await reader.read();
-            if (done) {
-                console.log('Stream complete.');
-                break;
+        // The last budget warning of this submission outlasts the completion toast
+        let budgetWarning = null;
+        await readSseEvents(response, (eventType, parsedData, eventData) => {
+            // Any final event for a model means its column's Stop button has nothing left to stop
+            if (['model_result', 'model_samples', 'model_error', 'model_skipped', 'model_cancelled'].includes(eventType)) {
+                setModelRunning(parsedData.model, null);
             }
-
-            buffer += decoder.decode(value, { stream: true });
-
-            let lastNewlineIndex;
-            while ((lastNewlineIndex = buffer.indexOf('\n\n')) !== -1) {
-                const eventBlock = buffer.substring(0, lastNewlineIndex + 2).trim();
-                buffer = buffer.substring(lastNewlineIndex + 2);
-
-                const lines = eventBlock.split('\n').filter(line => line.trim() !== '');
-                let eventType = 'message';
-                let eventData = '';
-
-                lines.forEach(line => {
-                    if (line.startsWith('event:')) {
-                        eventType = line.substring('event:'.length).trim();
-                    } else if (line.startsWith('data:')) {
-                        eventData = line.substring('data:'.length).trim();
+            switch (eventType) {
+                case 'submission_started':
+                    // The server picks another ID if ours was already in use
+                    if (parsedData.submissionId !== submissionId) {
+                        activeSubmissionIds.delete(submissionId);
+                        activeSubmissionIds.add(parsedData.submissionId);
+                        Object.keys(runningModels)
+                            .filter(modelId => runningModels[modelId] === submissionId)
+                            .forEach(modelId => setModelRunning(modelId, parsedData.submissionId));
+                        submissionId = parsedData.submissionId;
                     }
-                });
-
-                if (eventData) {
-                    try {
-                        const parsedData = JSON.parse(eventData);
-                        switch (eventType) {
-                            case 'model_result':
-                                displayResult(parsedData.model, 'Success', parsedData.result);
-                                break;
-                            case 'model_error':
-                                // (b) For errors, we should also record it in history if tracking
-                                const modelEl = modelElements[parsedData.model];
-                                if (modelEl && modelEl.trackHistoryCheckbox.checked) {
-                                    const errorMessage = `ERROR: ${parsedData.error}`;
-                                    modelEl.chatData.push({
-                                        role: 'model', // Even though it's an error, it's the model's response to the prompt
-                                        fullContent: errorMessage,
-                                        displayContent: truncateText(errorMessage, HISTORY_TRUNCATE_WORD_COUNT)
-                                    });
-                                    renderConversationHistory(parsedData.model);
-                                }
-                                displayResult(parsedData.model, 'Error', parsedData.error);
-                                break;
-                            case 'model_skipped':
-                                // (b) For skipped models, also record in history if tracking
-                                const skippedModelEl = modelElements[parsedData.model];
-                                if (skippedModelEl && skippedModelEl.trackHistoryCheckbox.checked) {
-                                    const skippedMessage = `SKIPPED: ${parsedData.result || "Model not enabled or other reason."}`;
-                                    skippedModelEl.chatData.push({
-                                        role: 'model',
-                                        fullContent: skippedMessage,
-                                        displayContent: truncateText(skippedMessage, HISTORY_TRUNCATE_WORD_COUNT)
-                                    });
-                                    renderConversationHistory(parsedData.model);
-                                }
-                                displayResult(parsedData.model, 'Skipped', parsedData.result || "Skipped: Model not enabled or other reason.");
-                                break;
-                            case 'all_complete':
-                                console.log('All model responses processed:', parsedData.message);
-                                const finalResults = parsedData.finalResults;
-                                const hasEnabledModels = finalPayload.enabledList.some(Boolean);
-
-                                if (!hasEnabledModels) {
-                                    showToast('No models enabled. Request skipped.', 'warning');
-                                } else if (finalResults.some(res => res.status === 'error') && !finalResults.some(res => res.status === 'success')) {
-                                    showToast('All enabled requests failed!', 'error');
-                                } else if (finalResults.some(res => res.status === 'error')) {
-                                    showToast('Some requests failed. Check individual model outputs.', 'warning');
-                                } else {
-                                    showToast('All enabled requests completed successfully!', 'success');
-                                }
-                                break;
-                            case 'server_error':
-                                console.error('Server Error:', parsedData.message + (parsedData.error ? ` (${parsedData.error})` : ''));
-                                showToast('Server Error: ' + parsedData.message, 'error');
-                                break;
-                            default:
-                                console.warn(`Unknown SSE Event - Type: ${eventType}, Data: ${eventData}`);
-                                showToast(`Unknown event type received: ${eventType}`, 'error');
-                        }
-                    } catch (e) {
-                        console.error('Failed to parse SSE data:', e, 'Raw data:', eventData);
-                        showToast(`Failed to parse SSE data for event "${eventType}"`, 'error');
+                    break;
+                case 'model_delta':
+                    appendModelDelta(parsedData.model, parsedData.delta);
+                    break;
+                case 'model_result':
+                    displayResult(parsedData.model, 'Success', parsedData.result);
+                    recordResponseUsage(parsedData.model, parsedData.usage, parsedData.cost);
+                    break;
+                case 'model_samples':
+                    displaySamples(parsedData);
+                    recordResponseUsage(parsedData.model, parsedData.usage, parsedData.cost);
+                    break;
+                case 'model_retry':
+                    console.warn(`Retrying ${parsedData.model} (${parsedData.attempt}/${parsedData.maxRetries}):`, parsedData.message);
+                    displayRetry(parsedData.model, parsedData);
+                    break;
+                case 'context_trimmed':
+                    displayContextTrim(parsedData.model, parsedData);
+                    break;
+                case 'model_warning':
+                    console.warn(`Warning for ${parsedData.model}:`, parsedData.message);
+                    markUnsupportedParams(parsedData.model, parsedData.unsupportedParams || []);
+                    showToast(parsedData.message, 'warning');
+                    break;
+                case 'budget_warning':
+                    displayBudgetWarning(parsedData);
+                    budgetWarning = parsedData;
+                    break;
+                case 'model_error':
+                    // (b) For errors, we should also record it in history if tracking
+                    const modelEl = modelElements[parsedData.model];
+                    if (modelEl && modelEl.trackHistoryCheckbox.checked && !sampling) {
+                        const errorMessage = `ERROR: ${parsedData.error}`;
+                        modelEl.chatData.push({
+                            role: 'model', // Even though it's an error, it's the model's response to the prompt
+                            fullContent: errorMessage,
+                            displayContent: truncateText(errorMessage, HISTORY_TRUNCATE_WORD_COUNT)
+                        });
+                        renderConversationHistory(parsedData.model);
                     }
-                }
+                    // The raw provider error goes to the API response panel, the readable one to the column
+                    if (modelEl && modelEl.ApiResponsePanel && parsedData.details) {
+                        modelEl.ApiResponsePanel.textContent = parsedData.details;
+                    }
+                    displayResult(parsedData.model, 'Error', parsedData.error);
+                    break;
+                case 'model_cancelled':
+                    displayResult(parsedData.model, 'Cancelled', parsedData.partial);
+                    break;
+                case 'model_skipped':
+                    // (b) For skipped models, also record in history if tracking
+                    const skippedModelEl = modelElements[parsedData.model];
+                    if (skippedModelEl && skippedModelEl.trackHistoryCheckbox.checked && !sampling) {
+                        const skippedMessage = `SKIPPED: ${parsedData.result || "Model not enabled or other reason."}`;
+                        skippedModelEl.chatData.push({
+                            role: 'model',
+                            fullContent: skippedMessage,
+                            displayContent: truncateText(skippedMessage, HISTORY_TRUNCATE_WORD_COUNT)
+                        });
+                        renderConversationHistory(parsedData.model);
+                    }
+                    displayResult(parsedData.model, 'Skipped', parsedData.result || "Skipped: Model not enabled or other reason.");
+                    break;
+                case 'all_complete':
+                    console.log('All model responses processed:', parsedData.message);
+                    const finalResults = parsedData.finalResults;
+                    const hasEnabledModels = finalPayload.enabledList.some(Boolean);
+
+                    if (!hasEnabledModels) {
+                        showToast('No models enabled. Request skipped.', 'warning');
+                    } else if (finalResults.some(res => res.status === 'cancelled')) {
+                        showToast('Request stopped. Cancelled models keep no history for this message.', 'warning');
+                    } else if (finalResults.some(res => res.status === 'error') && !finalResults.some(res => res.status === 'success')) {
+                        showToast('All enabled requests failed!', 'error');
+                    } else if (finalResults.some(res => res.status === 'error')) {
+                        showToast('Some requests failed. Check individual model outputs.', 'warning');
+                    } else if (budgetWarning) {
+                        showToast(budgetWarning.message, 'warning');
+                    } else if (finalResults.some(res => res.status === 'skipped')) {
+                        showToast('Some models were skipped. Check individual model outputs.', 'warning');
+                    } else {
+                        showToast('All enabled requests completed successfully!', 'success');
+                    }
+                    break;
+                case 'judge_result':
+                    displayJudgeResult(parsedData);
+                    break;
+                case 'judge_error':
+                    console.error(`Judge ${parsedData.judgeModel} failed:`, parsedData.error);
+                    showToast(`The judge failed: ${parsedData.error}`, 'error');
+                    break;
+                case 'arena_round':
+                    showArenaVote(parsedData);
+                    break;
+                case 'synthesis_started':
+                    startSynthesis(parsedData);
+                    break;
+                case 'synthesis_delta':
+                    document.getElementById('synthesisText').textContent += parsedData.delta;
+                    break;
+                case 'synthesis_result':
+                    displaySynthesisResult(parsedData);
+                    break;
+                case 'synthesis_error':
+                    console.error(`Synthesis by ${parsedData.synthesisModel} failed:`, parsedData.error);
+                    synthesisOutput.classList.add('error');
+                    document.getElementById('synthesisText').textContent = parsedData.error;
+                    showToast(`The synthesis failed: ${parsedData.error}`, 'error');
+                    break;
+                case 'server_error':
+                    console.error('Server Error:', parsedData.message + (parsedData.error ? ` (${parsedData.error})` : ''));
+                    showToast('Server Error: ' + parsedData.message, 'error');
+                    break;
+                default:
+                    console.warn(`Unknown SSE Event - Type: ${eventType}, Data: ${eventData}`);
+                    showToast(`Unknown event type received: ${eventType}`, 'error');
             }
+        });
+        // Fewer than two answers leave nothing to compare; show who was asked
+        if (finalPayload.arena && !arenaRound) {
+            revealArenaColumns();
+            showToast('Arena mode needs answers from at least two models; nothing to vote on.', 'warning');
         }
     } catch (error) {
         console.error('Fetch request failed:', error);
         showToast('Network request failed: ' + error.message, 'error');
     } finally {
         // Restore UI state
+        activeSubmissionIds.delete(submissionId);
+        Object.keys(runningModels)
+            .filter(modelId => runningModels[modelId] === submissionId)
+            .forEach(modelId => setModelRunning(modelId, null));
+        if (stopBtn) stopBtn.disabled = activeSubmissionIds.size === 0;
         if (loadingIndicator) loadingIndicator.style.display = 'none';
         if (submitBtn) {
             submitBtn.disabled = false;
@@ -882,11 +2046,124 @@ async function handleSubmitClick(e, ggr = false, dsr = false, oir = false, acr =
 
         if (!anyRetryFlagTrue) { // Only clear input on fresh submission
             if (inputArea) inputArea.value = '';
+            pendingAttachments = [];
+            renderAttachmentList();
         }
         if (inputArea) inputArea.focus();
     }
 }
 
+/**
+ * Reads a file picked in the chat page into an attachment (base64 contents, no data-URL prefix).
+ * @param {File} file - The picked file.
+ * @returns {Promise<Attachment>}
+ */
+function readFileAsAttachment(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const extension = file.name.split('.').pop().toLowerCase();
+            resolve({
+                name: file.name,
+                mimeType: file.type || (TEXT_FILE_EXTENSIONS.includes(extension) ? 'text/plain' : 'application/octet-stream'),
+                data: String(reader.result).split(',')[1] || '',
+                size: file.size
+            });
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Adds the files picked in the attachment input to the next message.
+ * @param {Event} e - The change event of the file input.
+ */
+async function handleAttachmentChange(e) {
+    const files = Array.from(e.target.files || []);
+    try {
+        const attachments = await Promise.all(files.map(readFileAsAttachment));
+        pendingAttachments = [...pendingAttachments, ...attachments];
+        renderAttachmentList();
+    } catch (error) {
+        console.error('Could not read attachment:', error);
+        showToast('Could not read the selected file.', 'error');
+    } finally {
+        e.target.value = ''; // Allow picking the same file again
+    }
+}
+
+/**
+ * Shows the files attached to the next message, each with a button to remove it.
+ */
+function renderAttachmentList() {
+    if (!attachmentListElement) return;
+    attachmentListElement.innerHTML = '';
+    pendingAttachments.forEach((attachment, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'attachment-chip';
+        chip.textContent = `${attachment.name} (${Math.ceil(attachment.size / 1024)} KB)`;
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '×';
+        removeButton.title = `Remove ${attachment.name}`;
+        removeButton.addEventListener('click', () => {
+            pendingAttachments = pendingAttachments.filter((_, i) => i !== index);
+            renderAttachmentList();
+        });
+        chip.appendChild(removeButton);
+        attachmentListElement.appendChild(chip);
+    });
+}
+
+/**
+ * Records whether a model has a request in flight and enables its column's Stop button accordingly.
+ * @param {string} modelId - The model's ID.
+ * @param {string|null} submissionId - The running submission, or null once the model has finished.
+ */
+function setModelRunning(modelId, submissionId) {
+    if (submissionId) {
+        runningModels[modelId] = submissionId;
+    } else {
+        delete runningModels[modelId];
+    }
+    const stopButton = modelElements[modelId]?.stopButton;
+    if (stopButton) stopButton.disabled = !submissionId;
+}
+
+/**
+ * Asks the server to cancel a running submission, or only one model in it.
+ * The outcome arrives on the submission's own stream as `model_cancelled` events.
+ * @param {string} submissionId - The submission to cancel.
+ * @param {string} [modelId] - Only cancel this model; the other columns keep running.
+ */
+async function cancelRequest(submissionId, modelId) {
+    try {
+        const response = await fetch('/api/cancel', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ submissionId, modelId })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not cancel the request.', 'error');
+        } else if (!data.cancelled) {
+            showToast(data.message, 'info');
+        }
+    } catch (error) {
+        console.error('Cancel request failed:', error);
+        showToast('Network error: Could not cancel the request.', 'error');
+    }
+}
+
+/**
+ * Stops every running submission (the global Stop button).
+ * @param {Event} e - The click event object.
+ */
+async function handleStopClick(e) {
+    await Promise.all([...activeSubmissionIds].map(submissionId => cancelRequest(submissionId)));
+}
+
 /**
  * Clears the chat history from the server and potentially the UI.
  * This function is triggered by the 'Clear History' button.
@@ -958,26 +2235,1383 @@ async function clearAllOutput(e) {
  * @param {Event} e - The click event object.
  */
 async function saveCurrentGuid(e) {
-    let currentKey = localStorage.getItem('currentGuid');
+    let currentKey = localStorage.getItem(GUID_STORAGE_KEY);
     if (currentKey) {
         let override = confirm(`key already exists with value ${currentKey}. Do you want to override?`);
         if (override) {
-            localStorage.setItem('currentGuid', getSessionGuid());
+            localStorage.setItem(GUID_STORAGE_KEY, getSessionGuid());
             showToast('GUID saved successfully!', 'success');
         } else {
             console.warn('Saving GUID cancelled by user.');
             showToast('Saving GUID cancelled.', 'info');
         }
     } else {
-        localStorage.setItem('currentGuid', getSessionGuid());
+        localStorage.setItem(GUID_STORAGE_KEY, getSessionGuid());
         showToast('GUID saved successfully!', 'success');
     }
 }
 
 /**
- * This function toggles between DEFAULT (gemini), ALL (all models), and none (no model) selection
+ * Shows or hides the session sidebar, refreshing the list when it opens.
  */
-async function toggleCurrentModelSelection(e) {
+async function toggleSessionSidebar() {
+    if (!sessionSidebar) return;
+    sessionSidebar.hidden = !sessionSidebar.hidden;
+    if (!sessionSidebar.hidden) {
+        await loadSessionList();
+    }
+}
+
+/**
+ * Fetches the stored sessions and renders them in the sidebar.
+ */
+async function loadSessionList() {
+    try {
+        const response = await fetch('/api/sessions');
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not load sessions.', 'error');
+            return;
+        }
+        renderSessionList(data.sessions);
+    } catch (error) {
+        console.error('Could not load sessions:', error);
+        showToast('Network error: Could not load sessions.', 'error');
+    }
+}
+
+/**
+ * Renders the session sidebar: one entry per session, each with rename and delete buttons.
+ * @param {Array<{guid: string, title: string, updatedAt: string, messageCount: number}>} sessions - As returned by GET /api/sessions.
+ */
+function renderSessionList(sessions) {
+    if (!sessionListElement) return;
+    sessionListElement.innerHTML = '';
+    if (sessions.length === 0) {
+        sessionListElement.textContent = 'No stored sessions yet.';
+        return;
+    }
+    sessions.forEach(session => {
+        const item = document.createElement('div');
+        item.className = 'session-item';
+        item.classList.toggle('current', session.guid === currentSessionGuid);
+        item.title = session.title;
+
+        const text = document.createElement('div');
+        text.className = 'session-item-text';
+        const title = document.createElement('div');
+        title.className = 'session-item-title';
+        title.textContent = session.title;
+        const meta = document.createElement('div');
+        meta.className = 'session-item-meta';
+        meta.textContent = `${new Date(session.updatedAt).toLocaleString()} · ${session.messageCount} messages`;
+        text.append(title, meta);
+        item.appendChild(text);
+
+        const renameButton = document.createElement('button');
+        renameButton.type = 'button';
+        renameButton.textContent = '✎';
+        renameButton.title = 'Rename this session';
+        renameButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handleRenameSession(session.guid, session.title);
+        });
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.textContent = '×';
+        deleteButton.title = 'Delete this session';
+        deleteButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handleDeleteSession(session.guid, session.title);
+        });
+        item.append(renameButton, deleteButton);
+
+        item.addEventListener('click', () => restoreSession(session.guid));
+        sessionListElement.appendChild(item);
+    });
+}
+
+/**
+ * Makes a stored session the current one and rebuilds every column's history and the quest log from the server.
+ * @param {string} guid - The session to restore.
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] - Skip the toasts (used when resuming on page load).
+ */
+async function restoreSession(guid, { quiet = false } = {}) {
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(guid)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            if (!quiet) showToast(data.error || 'Could not load the session.', 'error');
+            return;
+        }
+
+        const { session } = data;
+        currentSessionGuid = session.guid;
+        localStorage.setItem(GUID_STORAGE_KEY, session.guid);
+
+        modelsConfig.forEach(modelConfig => {
+            const model = modelElements[modelConfig.id];
+            if (!model) return;
+            model.chatData = toChatData(session.messages[modelConfig.id] || []);
+            model.branches = session.branches[modelConfig.id] || null;
+            model.usageTotals = session.usage?.[modelConfig.id] || null;
+            model.lastUsage = null;
+            renderUsage(modelConfig.id);
+            renderConversationHistory(modelConfig.id);
+            if (model.outputDisplay) {
+                model.outputDisplay.value = '';
+                model.outputDisplay.classList.remove('success', 'error', 'skip');
+            }
+        });
+        if (questTextArea) {
+            questTextArea.value = session.quest.map(entry => entry + '\n').join('');
+        }
+        lastQuery = session.quest[session.quest.length - 1] || '';
+        lastAttachments = [];
+
+        // Columns duplicated at runtime are gone after a restart; their history stays stored
+        const missingModels = Object.keys(session.messages).filter(modelId => !modelElements[modelId]);
+        if (missingModels.length > 0) {
+            showToast(`No column for ${missingModels.join(', ')}; their history was not restored.`, 'warning');
+        } else if (!quiet) {
+            showToast(`Restored "${session.title}".`, 'success');
+        }
+        if (sessionSidebar && !sessionSidebar.hidden) {
+            await loadSessionList();
+        }
+    } catch (error) {
+        console.error(`Could not restore session ${guid}:`, error);
+        if (!quiet) showToast('Network error: Could not load the session.', 'error');
+    }
+}
+
+/**
+ * Starts a new, empty session; the previous one stays stored and can be restored from the sidebar.
+ */
+async function handleNewSession() {
+    currentSessionGuid = self.crypto.randomUUID();
+    localStorage.setItem(GUID_STORAGE_KEY, currentSessionGuid);
+    lastBudgetWarning = null;
+    modelsConfig.forEach(modelConfig => {
+        const model = modelElements[modelConfig.id];
+        if (!model) return;
+        model.chatData = [];
+        model.branches = null;
+        model.usageTotals = null;
+        model.lastUsage = null;
+        renderUsage(modelConfig.id);
+        renderConversationHistory(modelConfig.id);
+        if (model.outputDisplay) {
+            model.outputDisplay.value = '';
+            model.outputDisplay.classList.remove('success', 'error', 'skip');
+        }
+    });
+    if (questTextArea) questTextArea.value = '';
+    lastQuery = '';
+    lastAttachments = [];
+    showToast('Started a new session.', 'success');
+    if (sessionSidebar && !sessionSidebar.hidden) {
+        await loadSessionList();
+    }
+}
+
+/**
+ * Asks for a new title and renames a stored session.
+ * @param {string} guid - The session to rename.
+ * @param {string} currentTitle - Shown as the default answer.
+ */
+async function handleRenameSession(guid, currentTitle) {
+    const title = prompt('Session title:', currentTitle);
+    if (title === null) return;
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(guid)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not rename the session.', 'error');
+            return;
+        }
+        await loadSessionList();
+    } catch (error) {
+        console.error(`Could not rename session ${guid}:`, error);
+        showToast('Network error: Could not rename the session.', 'error');
+    }
+}
+
+/**
+ * Deletes a stored session after confirmation. Deleting the current session starts a new one.
+ * @param {string} guid - The session to delete.
+ * @param {string} title - Used in the confirmation question.
+ */
+async function handleDeleteSession(guid, title) {
+    if (!confirm(`Delete the session "${title}" and all of its history?`)) return;
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(guid)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not delete the session.', 'error');
+            return;
+        }
+        if (guid === currentSessionGuid) {
+            await handleNewSession();
+        }
+        await loadSessionList();
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error(`Could not delete session ${guid}:`, error);
+        showToast('Network error: Could not delete the session.', 'error');
+    }
+}
+
+/**
+ * Shows or hides the judge panel; the judge model list is refreshed, as columns may have been added.
+ */
+function toggleJudgePanel() {
+    judgePanel.hidden = !judgePanel.hidden;
+    if (!judgePanel.hidden) {
+        renderJudgeModelOptions();
+    }
+}
+
+/**
+ * Fills the judge model picker with the columns' models, keeping the current (or stored) choice.
+ */
+function renderJudgeModelOptions() {
+    const selected = judgeModelSelect.value || readJudgeSettings().modelId || '';
+    judgeModelSelect.innerHTML = '<option value="">Off</option>';
+    modelsConfig.forEach(modelConfig => {
+        const option = document.createElement('option');
+        option.value = modelConfig.id;
+        option.textContent = modelConfig.name;
+        judgeModelSelect.appendChild(option);
+    });
+    judgeModelSelect.value = modelsConfig.some(modelConfig => modelConfig.id === selected) ? selected : '';
+}
+
+/**
+ * @returns {{modelId?: string, templateId?: string}} The judge settings stored in localStorage.
+ */
+function readJudgeSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(JUDGE_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Remembers the chosen judge model and template for the next page load.
+ */
+function saveJudgeSettings() {
+    localStorage.setItem(JUDGE_STORAGE_KEY, JSON.stringify({ modelId: judgeModelSelect.value, templateId: judgeTemplateSelect.value }));
+}
+
+/**
+ * @returns {{modelId: string, templateId: string}|undefined} The judge step for the next submission; undefined when it is off.
+ */
+function getJudgeSelection() {
+    if (!judgeModelSelect?.value || !judgeTemplateSelect?.value) return undefined;
+    return { modelId: judgeModelSelect.value, templateId: judgeTemplateSelect.value };
+}
+
+/**
+ * Loads the judge templates and selects one: `selectId`, else the current or stored choice, else the first.
+ * @param {string} [selectId]
+ */
+async function loadJudgeTemplates(selectId) {
+    try {
+        const response = await fetch('/api/judgeTemplates');
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not load the judge templates.', 'error');
+            return;
+        }
+        judgeTemplates = data.templates;
+    } catch (error) {
+        console.error('Could not load the judge templates:', error);
+        showToast('Network error: Could not load the judge templates.', 'error');
+        return;
+    }
+    const wanted = selectId || judgeTemplateSelect.value || readJudgeSettings().templateId;
+    judgeTemplateSelect.innerHTML = '';
+    judgeTemplates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.builtIn ? `${template.name} (built-in)` : template.name;
+        judgeTemplateSelect.appendChild(option);
+    });
+    const selected = judgeTemplates.find(template => template.id === wanted) || judgeTemplates[0];
+    if (selected) judgeTemplateSelect.value = selected.id;
+    showJudgeTemplate(selected);
+}
+
+/**
+ * Puts a template into the editor. Criteria are edited one per line as "name (weight): description".
+ * @param {JudgeTemplate} [template]
+ */
+function showJudgeTemplate(template) {
+    document.getElementById('judgeTemplateName').value = template?.name || '';
+    document.getElementById('judgeCriteria').value = (template?.criteria || [])
+        .map(criterion => `${criterion.name} (${criterion.weight})${criterion.description ? `: ${criterion.description}` : ''}`)
+        .join('\n');
+    document.getElementById('judgePrompt').value = template?.prompt || '';
+    document.getElementById('judgeScaleMin').value = template?.scale.min ?? 1;
+    document.getElementById('judgeScaleMax').value = template?.scale.max ?? 10;
+    document.getElementById('deleteJudgeTemplate').disabled = !template || Boolean(template.builtIn);
+}
+
+/**
+ * Reads the criteria editor: one criterion per line, "name (weight): description"; weight and description are optional.
+ * @param {string} text
+ * @returns {Array<{name: string, weight: number, description: string}>}
+ */
+function parseJudgeCriteria(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const [, name, weight, description] = line.match(/^([^:(]+?)\s*(?:\(([\d.]+)\))?\s*(?::\s*(.*))?$/) || [null, line];
+        return { name: name.trim(), weight: weight ? parseFloat(weight) : 1, description: description || '' };
+    });
+}
+
+/**
+ * Saves the editor's template under an id made from its name. Changing a built-in template therefore needs a new name.
+ */
+async function handleSaveJudgeTemplate() {
+    const name = document.getElementById('judgeTemplateName').value.trim();
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+    if (!id) {
+        showToast('Give the template a name first.', 'warning');
+        return;
+    }
+    try {
+        const response = await fetch('/api/judgeTemplates', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                id,
+                name,
+                scale: {
+                    min: parseFloat(document.getElementById('judgeScaleMin').value),
+                    max: parseFloat(document.getElementById('judgeScaleMax').value),
+                },
+                criteria: parseJudgeCriteria(document.getElementById('judgeCriteria').value),
+                prompt: document.getElementById('judgePrompt').value,
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not save the template.', 'error');
+            return;
+        }
+        await loadJudgeTemplates(data.template.id);
+        saveJudgeSettings();
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error('Could not save the judge template:', error);
+        showToast('Network error: Could not save the template.', 'error');
+    }
+}
+
+/**
+ * Deletes the selected saved template.
+ */
+async function handleDeleteJudgeTemplate() {
+    const template = judgeTemplates.find(entry => entry.id === judgeTemplateSelect.value);
+    if (!template || template.builtIn || !confirm(`Delete the judge template "${template.name}"?`)) return;
+    try {
+        const response = await fetch(`/api/judgeTemplates/${encodeURIComponent(template.id)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not delete the template.', 'error');
+            return;
+        }
+        judgeTemplateSelect.value = '';
+        await loadJudgeTemplates();
+        saveJudgeSettings();
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error('Could not delete the judge template:', error);
+        showToast('Network error: Could not delete the template.', 'error');
+    }
+}
+
+/**
+ * Clears the judge's scores from every column, before a new submission.
+ */
+function clearJudgeResults() {
+    Object.values(modelElements).forEach(model => {
+        if (!model.judgeResult) return;
+        model.judgeResult.textContent = '';
+        model.judgeResult.classList.remove('judge-best');
+    });
+}
+
+/**
+ * Shows a `judge_result` event beneath the judged columns: the weighted score, the score per criterion and the
+ * rationale. The judge call's tokens and cost go to the judge model's session totals.
+ * @param {JudgeVerdict} verdict
+ */
+function displayJudgeResult(verdict) {
+    const judgeName = modelsConfig.find(modelConfig => modelConfig.id === verdict.judgeModel)?.name || verdict.judgeModel;
+    verdict.evaluations.forEach(evaluation => {
+        const model = modelElements[evaluation.model];
+        if (!model?.judgeResult) return;
+        const isBest = evaluation.model === verdict.best;
+        const heading = document.createElement('div');
+        heading.className = 'judge-score';
+        heading.textContent = `Judge ${judgeName} (${verdict.template.name}): `
+            + (evaluation.score === null ? 'not scored' : `${evaluation.score}/${verdict.scale.max}${isBest ? ' · best' : ''}`);
+        if (evaluation.score === null) {
+            model.judgeResult.replaceChildren(heading);
+            model.judgeResult.classList.remove('judge-best');
+            return;
+        }
+        const scores = document.createElement('div');
+        scores.className = 'judge-criteria';
+        scores.textContent = Object.entries(evaluation.scores).map(([name, score]) => `${name} ${score ?? '?'}`).join(' · ');
+        const rationale = document.createElement('div');
+        rationale.className = 'judge-rationale';
+        rationale.textContent = evaluation.rationale;
+        model.judgeResult.replaceChildren(heading, scores, rationale);
+        model.judgeResult.classList.toggle('judge-best', isBest);
+    });
+    recordResponseUsage(verdict.judgeModel, verdict.usage, verdict.cost, { showAsLast: false });
+    showToast(`${judgeName} has scored the responses.`, 'info');
+}
+
+/**
+ * Shows or hides the synthesis settings; the model list is refreshed, as columns may have been added.
+ */
+function toggleSynthesisPanel() {
+    synthesisPanel.hidden = !synthesisPanel.hidden;
+    if (!synthesisPanel.hidden) {
+        renderSynthesisModelOptions();
+    }
+}
+
+/**
+ * Fills the synthesis model picker with the columns' models, keeping the current (or stored) choice.
+ */
+function renderSynthesisModelOptions() {
+    const selected = synthesisModelSelect.value || readSynthesisSettings().modelId || '';
+    synthesisModelSelect.innerHTML = '<option value="">Off</option>';
+    modelsConfig.forEach(modelConfig => {
+        const option = document.createElement('option');
+        option.value = modelConfig.id;
+        option.textContent = modelConfig.name;
+        synthesisModelSelect.appendChild(option);
+    });
+    synthesisModelSelect.value = modelsConfig.some(modelConfig => modelConfig.id === selected) ? selected : '';
+}
+
+/**
+ * @returns {{modelId?: string, saveToHistory?: boolean}} The synthesis settings stored in localStorage.
+ */
+function readSynthesisSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(SYNTHESIS_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Remembers the synthesis settings for the next page load.
+ */
+function saveSynthesisSettings() {
+    localStorage.setItem(SYNTHESIS_STORAGE_KEY, JSON.stringify({ modelId: synthesisModelSelect.value, saveToHistory: synthesisSaveCheckbox.checked }));
+}
+
+/**
+ * @returns {{modelId: string, saveToHistory: boolean}|undefined} The synthesis step for the next submission; undefined when it is off.
+ */
+function getSynthesisSelection() {
+    if (!synthesisModelSelect?.value) return undefined;
+    return { modelId: synthesisModelSelect.value, saveToHistory: synthesisSaveCheckbox.checked };
+}
+
+/**
+ * Hides the previous submission's merged answer.
+ */
+function clearSynthesis() {
+    if (!synthesisOutput) return;
+    synthesisOutput.hidden = true;
+    synthesisOutput.classList.remove('error');
+    document.getElementById('synthesisText').textContent = '';
+    document.getElementById('synthesisSources').textContent = '';
+}
+
+/**
+ * Opens the synthesis panel for a `synthesis_started` event; the merged answer streams in below the title.
+ * @param {{synthesisModel: string, models: Array<string>}} data
+ */
+function startSynthesis(data) {
+    clearSynthesis();
+    const name = modelsConfig.find(modelConfig => modelConfig.id === data.synthesisModel)?.name || data.synthesisModel;
+    document.getElementById('synthesisTitle').textContent = `Synthesis by ${name} of ${data.models.length} answer${data.models.length === 1 ? '' : 's'}`;
+    synthesisOutput.hidden = false;
+}
+
+/**
+ * Replaces the streamed text with the merged answer, its citations colored like the cited columns, and lists
+ * the sources. The synthesis call's tokens and cost go to the merging model's session totals.
+ * @param {Synthesis} synthesis
+ */
+function displaySynthesisResult(synthesis) {
+    const textElement = document.getElementById('synthesisText');
+    const sourcesByRef = new Map(synthesis.sources.map(source => [source.ref, source]));
+    textElement.replaceChildren(...synthesis.content.split(/(\[\d+\])/).map(part => {
+        const source = sourcesByRef.get(Number(/^\[(\d+)\]$/.exec(part)?.[1]));
+        if (!source) return document.createTextNode(part);
+        const cite = document.createElement('span');
+        cite.className = 'synthesis-cite';
+        cite.textContent = part;
+        cite.title = source.name;
+        cite.style.color = modelsConfig.find(modelConfig => modelConfig.id === source.model)?.color || '';
+        return cite;
+    }));
+    document.getElementById('synthesisSources').textContent = 'Sources: ' + synthesis.sources
+        .map(source => `[${source.ref}] ${source.name}${source.cited ? '' : ' (not cited)'}`)
+        .join(', ');
+    recordResponseUsage(synthesis.synthesisModel, synthesis.usage, synthesis.cost, { showAsLast: false });
+    // The server added the merged answer to these models' histories
+    synthesis.savedTo.forEach(refreshModelHistory);
+    showToast(synthesis.savedTo.length > 0 ? 'The merged answer was added to the chat histories.' : 'The answers have been merged.', 'info');
+}
+
+/**
+ * Shows or hides the pipeline editor.
+ */
+function togglePipelinePanel() {
+    pipelinePanel.hidden = !pipelinePanel.hidden;
+}
+
+/**
+ * Loads the saved pipelines and shows one: `selectId`, else the current choice, else a new pipeline.
+ * @param {string} [selectId]
+ */
+async function loadPipelines(selectId) {
+    try {
+        const response = await fetch('/api/pipelines');
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not load the pipelines.', 'error');
+            return;
+        }
+        pipelines = data.pipelines;
+    } catch (error) {
+        console.error('Could not load the pipelines:', error);
+        showToast('Network error: Could not load the pipelines.', 'error');
+        return;
+    }
+    const wanted = selectId ?? pipelineSelect.value;
+    pipelineSelect.innerHTML = '<option value="">New pipeline</option>';
+    pipelines.forEach(pipeline => {
+        const option = document.createElement('option');
+        option.value = pipeline.id;
+        option.textContent = pipeline.name;
+        pipelineSelect.appendChild(option);
+    });
+    const selected = pipelines.find(pipeline => pipeline.id === wanted);
+    pipelineSelect.value = selected ? selected.id : '';
+    showPipeline(selected);
+}
+
+/**
+ * Puts a pipeline into the editor; a new pipeline starts with one step that sends the input as it is.
+ * @param {Pipeline} [pipeline]
+ */
+function showPipeline(pipeline) {
+    document.getElementById('pipelineName').value = pipeline?.name || '';
+    document.getElementById('deletePipeline').disabled = !pipeline;
+    pipelineStepsElement.innerHTML = '';
+    (pipeline?.steps || [{ modelId: modelsConfig[0]?.id, prompt: '{{input}}', label: '' }]).forEach(addPipelineStep);
+}
+
+/**
+ * Adds a step row to the pipeline editor.
+ * @param {PipelineStep} [step] - Defaults to a step that uses the previous step's output.
+ */
+function addPipelineStep(step) {
+    const stepCount = pipelineStepsElement.children.length;
+    const { modelId, prompt, label } = step || { modelId: modelsConfig[0]?.id, prompt: stepCount > 0 ? `{{step${stepCount}}}` : '{{input}}', label: '' };
+    const row = document.createElement('div');
+    row.className = 'pipeline-step';
+    row.innerHTML = `
+        <div class="pipeline-step-header">
+            <span class="pipeline-step-number"></span>
+            <select class="pipeline-step-model" title="Model that runs this step"></select>
+            <input type="text" class="input-area pipeline-step-label" placeholder="Label, e.g. draft" />
+            <button type="button" class="pipeline-step-remove" title="Remove this step">×</button>
+        </div>
+        <textarea class="input-area pipeline-step-prompt"
+            placeholder="Prompt, with {{input}} and the output of earlier steps as {{step1}}, {{step2}}, ..."></textarea>`;
+    const modelSelect = row.querySelector('.pipeline-step-model');
+    modelsConfig.forEach(modelConfig => {
+        const option = document.createElement('option');
+        option.value = modelConfig.id;
+        option.textContent = modelConfig.name;
+        modelSelect.appendChild(option);
+    });
+    modelSelect.value = modelId;
+    row.querySelector('.pipeline-step-label').value = label || '';
+    row.querySelector('.pipeline-step-prompt').value = prompt;
+    row.querySelector('.pipeline-step-remove').addEventListener('click', () => {
+        row.remove();
+        numberPipelineSteps();
+    });
+    pipelineStepsElement.appendChild(row);
+    numberPipelineSteps();
+}
+
+/**
+ * Renumbers the step rows after one was added or removed.
+ */
+function numberPipelineSteps() {
+    [...pipelineStepsElement.children].forEach((row, index) => {
+        row.querySelector('.pipeline-step-number').textContent = `Step ${index + 1}`;
+    });
+}
+
+/**
+ * @returns {Array<PipelineStep>} The steps in the editor.
+ */
+function readPipelineSteps() {
+    return [...pipelineStepsElement.children].map(row => ({
+        modelId: row.querySelector('.pipeline-step-model').value,
+        label: row.querySelector('.pipeline-step-label').value.trim(),
+        prompt: row.querySelector('.pipeline-step-prompt').value,
+    }));
+}
+
+/**
+ * Saves the editor's pipeline under an id made from its name.
+ */
+async function handleSavePipeline() {
+    const name = document.getElementById('pipelineName').value.trim();
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+    if (!id) {
+        showToast('Give the pipeline a name first.', 'warning');
+        return;
+    }
+    try {
+        const response = await fetch('/api/pipelines', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id, name, steps: readPipelineSteps() })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not save the pipeline.', 'error');
+            return;
+        }
+        await loadPipelines(data.pipeline.id);
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error('Could not save the pipeline:', error);
+        showToast('Network error: Could not save the pipeline.', 'error');
+    }
+}
+
+/**
+ * Deletes the selected saved pipeline.
+ */
+async function handleDeletePipeline() {
+    const pipeline = pipelines.find(entry => entry.id === pipelineSelect.value);
+    if (!pipeline || !confirm(`Delete the pipeline "${pipeline.name}"?`)) return;
+    try {
+        const response = await fetch(`/api/pipelines/${encodeURIComponent(pipeline.id)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not delete the pipeline.', 'error');
+            return;
+        }
+        await loadPipelines('');
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error('Could not delete the pipeline:', error);
+        showToast('Network error: Could not delete the pipeline.', 'error');
+    }
+}
+
+/**
+ * Runs the editor's pipeline on the input box's text. Each step streams into its model's column under a
+ * "Step N" line; steps do not change the models' chat histories.
+ */
+async function handleRunPipeline() {
+    const input = inputArea.value?.trim();
+    if (!input) {
+        alert('Please enter some text before running the pipeline.');
+        return;
+    }
+    const steps = readPipelineSteps();
+    const runButton = document.getElementById('runPipeline');
+    let submissionId = self.crypto.randomUUID();
+
+    // The columns of this run show only its steps
+    new Set(steps.map(step => step.modelId)).forEach(modelId => {
+        const model = modelElements[modelId];
+        if (!model?.outputDisplay) return;
+        model.outputDisplay.value = '';
+        model.outputDisplay.classList.remove('success', 'error', 'skip');
+    });
+    clearJudgeResults();
+    runButton.disabled = true;
+    if (loadingIndicator) loadingIndicator.style.display = 'inline';
+    activeSubmissionIds.add(submissionId);
+    if (stopBtn) stopBtn.disabled = false;
+
+    let systemPromptValue = '';
+    const systemPromptOverrides = {};
+    if (toggleCheckbox?.checked) {
+        systemPromptValue = systemPrompt?.value?.trim() ?? '';
+        steps.forEach(step => {
+            const override = modelElements[step.modelId]?.systemPromptInput?.value?.trim();
+            if (override) systemPromptOverrides[step.modelId] = override;
+        });
+    }
+
+    try {
+        const response = await fetch('/api/pipeline', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                input,
+                steps,
+                guid: getSessionGuid(),
+                temperature: temperatureInput?.value,
+                systemPrompt: systemPromptValue,
+                systemPrompts: systemPromptOverrides,
+                modelParams: collectModelParams(),
+                modelVersions: collectModelVersions(),
+                submissionId
+            })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showToast(data.error || `Could not run the pipeline: ${response.status}`, 'error');
+            return;
+        }
+
+        await readSseEvents(response, (eventType, parsedData, eventData) => {
+            const historyOptions = { recordHistory: false };
+            switch (eventType) {
+                case 'submission_started':
+                    activeSubmissionIds.delete(submissionId);
+                    submissionId = parsedData.submissionId;
+                    activeSubmissionIds.add(submissionId);
+                    break;
+                case 'pipeline_step': {
+                    const model = modelElements[parsedData.model];
+                    if (model?.outputDisplay) {
+                        model.outputDisplay.value += `${model.outputDisplay.value ? '\n' : ''}--- Step ${parsedData.step}/${parsedData.steps}${parsedData.label ? `: ${parsedData.label}` : ''} ---\n`;
+                    }
+                    setModelRunning(parsedData.model, submissionId);
+                    break;
+                }
+                case 'model_delta':
+                    appendModelDelta(parsedData.model, parsedData.delta);
+                    break;
+                case 'model_retry':
+                    displayRetry(parsedData.model, parsedData);
+                    break;
+                case 'model_warning':
+                    markUnsupportedParams(parsedData.model, parsedData.unsupportedParams || []);
+                    showToast(parsedData.message, 'warning');
+                    break;
+                case 'budget_warning':
+                    displayBudgetWarning(parsedData);
+                    break;
+                case 'model_result':
+                    displayResult(parsedData.model, 'Success', parsedData.result, historyOptions);
+                    recordResponseUsage(parsedData.model, parsedData.usage, parsedData.cost);
+                    break;
+                case 'model_error':
+                    if (modelElements[parsedData.model]?.ApiResponsePanel && parsedData.details) {
+                        modelElements[parsedData.model].ApiResponsePanel.textContent = parsedData.details;
+                    }
+                    displayResult(parsedData.model, 'Error', parsedData.error, historyOptions);
+                    break;
+                case 'model_cancelled':
+                    displayResult(parsedData.model, 'Cancelled', parsedData.partial, historyOptions);
+                    break;
+                case 'model_skipped':
+                    displayResult(parsedData.model, 'Skipped', parsedData.result, historyOptions);
+                    break;
+                case 'pipeline_step_complete':
+                    setModelRunning(parsedData.model, null);
+                    break;
+                case 'pipeline_complete':
+                    showToast(parsedData.message, parsedData.output === null ? 'warning' : 'success');
+                    break;
+                case 'server_error':
+                    console.error('Server Error:', parsedData.message + (parsedData.error ? ` (${parsedData.error})` : ''));
+                    showToast('Server Error: ' + parsedData.message, 'error');
+                    break;
+                default:
+                    console.warn(`Unexpected SSE event during a pipeline run: ${eventType}, Data: ${eventData}`);
+            }
+        });
+    } catch (error) {
+        console.error('Pipeline run failed:', error);
+        showToast('Network request failed: ' + error.message, 'error');
+    } finally {
+        activeSubmissionIds.delete(submissionId);
+        Object.keys(runningModels)
+            .filter(modelId => runningModels[modelId] === submissionId)
+            .forEach(modelId => setModelRunning(modelId, null));
+        if (stopBtn) stopBtn.disabled = activeSubmissionIds.size === 0;
+        if (loadingIndicator) loadingIndicator.style.display = 'none';
+        runButton.disabled = false;
+    }
+}
+
+/**
+ * Shows or hides the debate settings.
+ */
+function toggleDebatePanel() {
+    debatePanel.hidden = !debatePanel.hidden;
+}
+
+/**
+ * Adds a collapsible section with a model's answer in one debate round to its column; only the newest round
+ * is expanded.
+ * @param {string} modelId
+ * @param {string} title - e.g. "Round 1".
+ * @param {string} text - The answer, or the error that ended the model's part in the debate.
+ */
+function addDebateRoundSection(modelId, title, text) {
+    const container = modelElements[modelId]?.debateRounds;
+    if (!container) return;
+    container.querySelectorAll('.collapsible.active').forEach(button => {
+        button.classList.remove('active');
+        button.nextElementSibling.style.maxHeight = null;
+    });
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'collapsible active';
+    button.textContent = title;
+    const content = document.createElement('div');
+    content.className = 'content';
+    const answer = document.createElement('pre');
+    answer.textContent = text;
+    content.appendChild(answer);
+    button.addEventListener('click', () => {
+        button.classList.toggle('active');
+        content.style.maxHeight = content.style.maxHeight ? null : content.scrollHeight + 'px';
+    });
+    container.append(button, content);
+    content.style.maxHeight = content.scrollHeight + 'px';
+}
+
+/**
+ * Starts a debate on the input box's text between the enabled models. The rounds stream into the columns and
+ * are kept as collapsible sections below them; the debate's messages go into the models' chat histories.
+ */
+async function handleStartDebate() {
+    const question = inputArea.value?.trim();
+    if (!question) {
+        alert('Please enter a question before starting the debate.');
+        return;
+    }
+    const modelIds = modelsConfig
+        .filter(modelConfig => modelElements[modelConfig.id]?.enableCheckbox.checked)
+        .map(modelConfig => modelConfig.id);
+    if (modelIds.length < 2) {
+        showToast('Enable at least two models for a debate.', 'warning');
+        return;
+    }
+    const startButton = document.getElementById('startDebate');
+    let submissionId = self.crypto.randomUUID();
+
+    modelIds.forEach(modelId => {
+        const model = modelElements[modelId];
+        model.outputDisplay.value = '';
+        model.outputDisplay.classList.remove('success', 'error', 'skip');
+        model.debateRounds.innerHTML = '';
+    });
+    clearJudgeResults();
+    startButton.disabled = true;
+    if (loadingIndicator) loadingIndicator.style.display = 'inline';
+    activeSubmissionIds.add(submissionId);
+    if (stopBtn) stopBtn.disabled = false;
+
+    let systemPromptValue = '';
+    const systemPromptOverrides = {};
+    if (toggleCheckbox?.checked) {
+        systemPromptValue = systemPrompt?.value?.trim() ?? '';
+        modelIds.forEach(modelId => {
+            const override = modelElements[modelId].systemPromptInput?.value?.trim();
+            if (override) systemPromptOverrides[modelId] = override;
+        });
+    }
+
+    try {
+        const response = await fetch('/api/debate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                question,
+                modelIds,
+                rounds: Number(document.getElementById('debateRounds').value),
+                moderator: document.getElementById('debateModerator').value,
+                guid: getSessionGuid(),
+                temperature: temperatureInput?.value,
+                systemPrompt: systemPromptValue,
+                systemPrompts: systemPromptOverrides,
+                modelParams: collectModelParams(),
+                modelVersions: collectModelVersions(),
+                submissionId
+            })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showToast(data.error || `Could not start the debate: ${response.status}`, 'error');
+            return;
+        }
+
+        await readSseEvents(response, (eventType, parsedData, eventData) => {
+            const historyOptions = { recordHistory: false };
+            switch (eventType) {
+                case 'submission_started':
+                    activeSubmissionIds.delete(submissionId);
+                    submissionId = parsedData.submissionId;
+                    activeSubmissionIds.add(submissionId);
+                    break;
+                case 'debate_round':
+                    parsedData.models.forEach(modelId => {
+                        const model = modelElements[modelId];
+                        if (!model?.outputDisplay) return;
+                        const title = parsedData.round === 0 ? 'Opening answer' : `Round ${parsedData.round}/${parsedData.rounds}`;
+                        model.outputDisplay.value += `${model.outputDisplay.value ? '\n' : ''}--- ${title} ---\n`;
+                        setModelRunning(modelId, submissionId);
+                    });
+                    break;
+                case 'model_delta':
+                    appendModelDelta(parsedData.model, parsedData.delta);
+                    break;
+                case 'model_retry':
+                    displayRetry(parsedData.model, parsedData);
+                    break;
+                case 'model_warning':
+                    markUnsupportedParams(parsedData.model, parsedData.unsupportedParams || []);
+                    showToast(parsedData.message, 'warning');
+                    break;
+                case 'context_trimmed':
+                    displayContextTrim(parsedData.model, parsedData);
+                    break;
+                case 'budget_warning':
+                    displayBudgetWarning(parsedData);
+                    break;
+                case 'model_result':
+                    displayResult(parsedData.model, 'Success', parsedData.result, historyOptions);
+                    recordResponseUsage(parsedData.model, parsedData.usage, parsedData.cost);
+                    setModelRunning(parsedData.model, null);
+                    break;
+                case 'model_error':
+                    if (modelElements[parsedData.model]?.ApiResponsePanel && parsedData.details) {
+                        modelElements[parsedData.model].ApiResponsePanel.textContent = parsedData.details;
+                    }
+                    displayResult(parsedData.model, 'Error', parsedData.error, historyOptions);
+                    setModelRunning(parsedData.model, null);
+                    break;
+                case 'model_cancelled':
+                    displayResult(parsedData.model, 'Cancelled', parsedData.partial, historyOptions);
+                    setModelRunning(parsedData.model, null);
+                    break;
+                case 'model_skipped':
+                    displayResult(parsedData.model, 'Skipped', parsedData.result, historyOptions);
+                    setModelRunning(parsedData.model, null);
+                    break;
+                case 'debate_round_complete':
+                    parsedData.answers.forEach(answer => {
+                        const title = parsedData.round === 0 ? 'Opening answer' : `Round ${parsedData.round}`;
+                        addDebateRoundSection(answer.model, answer.status === 'success' ? title : `${title} (${answer.status}, out of the debate)`,
+                            answer.status === 'success' ? answer.content : (answer.error || ''));
+                    });
+                    break;
+                case 'debate_complete':
+                    showToast(parsedData.message, parsedData.finalAnswers.length >= 2 ? 'success' : 'warning');
+                    break;
+                case 'server_error':
+                    console.error('Server Error:', parsedData.message + (parsedData.error ? ` (${parsedData.error})` : ''));
+                    showToast('Server Error: ' + parsedData.message, 'error');
+                    break;
+                default:
+                    console.warn(`Unexpected SSE event during a debate: ${eventType}, Data: ${eventData}`);
+            }
+        });
+    } catch (error) {
+        console.error('Debate failed:', error);
+        showToast('Network request failed: ' + error.message, 'error');
+    } finally {
+        activeSubmissionIds.delete(submissionId);
+        Object.keys(runningModels)
+            .filter(modelId => runningModels[modelId] === submissionId)
+            .forEach(modelId => setModelRunning(modelId, null));
+        if (stopBtn) stopBtn.disabled = activeSubmissionIds.size === 0;
+        if (loadingIndicator) loadingIndicator.style.display = 'none';
+        startButton.disabled = false;
+        // The server recorded the debate in the chat histories
+        await Promise.all(modelIds.map(refreshModelHistory));
+    }
+}
+
+/**
+ * Shows or hides the compare panel; its source lists are filled fresh each time it opens.
+ */
+function toggleComparePanel() {
+    comparePanel.hidden = !comparePanel.hidden;
+    if (!comparePanel.hidden) {
+        renderCompareSources();
+    }
+}
+
+/**
+ * Lists what can be compared: every column's output, the samples of the last submission and the model messages
+ * in each history. During an arena round only the blind columns are listed, under their labels and in their
+ * shuffled order, so the list does not tell who is who before the vote.
+ * @returns {Array<CompareSource>}
+ */
+function collectCompareSources() {
+    const blindColumns = modelsConfig
+        .filter(modelConfig => modelElements[modelConfig.id]?.column.classList.contains('arena-blind'))
+        .map(modelConfig => {
+            const model = modelElements[modelConfig.id];
+            return { key: model.arenaLabel.textContent, name: model.arenaLabel.textContent, model };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const columns = blindColumns.length > 0
+        ? blindColumns
+        : modelsConfig.filter(modelConfig => modelElements[modelConfig.id]).map(modelConfig => ({ key: modelConfig.id, name: modelConfig.name, model: modelElements[modelConfig.id] }));
+
+    const sources = [];
+    columns.forEach(({ key, name, model }) => {
+        if (model.outputDisplay?.value.trim()) {
+            sources.push({ value: `output:${key}`, label: `${name}: output`, text: model.outputDisplay.value });
+        }
+        (model.sampleSet?.samples || []).forEach((sample, index) => {
+            sources.push({ value: `sample:${key}:${index}`, label: `${name}: sample ${index + 1}`, text: sample.content });
+        });
+        model.chatData.forEach((message, index) => {
+            if (message.role !== 'model') return;
+            sources.push({ value: `message:${key}:${index}`, label: `${name}: message ${index + 1}`, text: message.fullContent });
+        });
+    });
+    return sources;
+}
+
+/**
+ * Fills both source pickers, keeping their choices where those still exist. A new right-hand choice defaults to
+ * the second source, so two different texts are picked from the start.
+ */
+function renderCompareSources() {
+    compareSources = collectCompareSources();
+    ['compareLeft', 'compareRight'].forEach((selectId, position) => {
+        const select = document.getElementById(selectId);
+        const selected = select.value;
+        select.innerHTML = '';
+        compareSources.forEach(source => {
+            const option = document.createElement('option');
+            option.value = source.value;
+            option.textContent = source.label;
+            select.appendChild(option);
+        });
+        const fallback = compareSources[Math.min(position, compareSources.length - 1)]?.value ?? '';
+        select.value = compareSources.some(source => source.value === selected) ? selected : fallback;
+    });
+}
+
+/**
+ * Splits a text into diff tokens: words and the whitespace between them, or whole lines.
+ * @param {string} text
+ * @param {'words'|'lines'} granularity
+ * @returns {Array<string>}
+ */
+function tokenizeForDiff(text, granularity) {
+    if (granularity === 'lines') {
+        return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    }
+    return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Computes the shortest edit script between two token lists (Myers' algorithm) and merges neighbouring tokens
+ * of the same kind. Texts too different to diff within COMPARE_MAX_EDITS edits are reported as one deletion
+ * and one insertion.
+ * @param {Array<string>} a - The left tokens.
+ * @param {Array<string>} b - The right tokens.
+ * @returns {Array<DiffSegment>}
+ */
+function diffTokens(a, b) {
+    // The common start and end need no search
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+    const left = a.slice(prefix, a.length - suffix);
+    const right = b.slice(prefix, b.length - suffix);
+
+    const operations = [];
+    const n = left.length;
+    const m = right.length;
+    const max = Math.min(n + m, COMPARE_MAX_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d] holds the furthest x per diagonal -d-1..d+1 before edit d
+    const trace = [];
+    let found = n + m === 0;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && left[x] === right[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    if (!found) {
+        operations.push(...left.map(token => ({ type: 'delete', token })), ...right.map(token => ({ type: 'insert', token })));
+    } else {
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const previous = trace[d];
+            const at = (k) => previous[k + d + 1];
+            const k = x - y;
+            const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+            while (x > previousX && y > previousY) {
+                operations.push({ type: 'equal', token: left[x - 1] });
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                operations.push(x === previousX ? { type: 'insert', token: right[y - 1] } : { type: 'delete', token: left[x - 1] });
+            }
+            x = previousX;
+            y = previousY;
+        }
+        operations.reverse();
+    }
+
+    const all = [
+        ...a.slice(0, prefix).map(token => ({ type: 'equal', token })),
+        ...operations,
+        ...a.slice(a.length - suffix).map(token => ({ type: 'equal', token })),
+    ];
+    return all.reduce((segments, { type, token }) => {
+        const last = segments[segments.length - 1];
+        if (last?.type === type) {
+            last.text += token;
+        } else {
+            segments.push({ type, text: token });
+        }
+        return segments;
+    }, []);
+}
+
+/**
+ * @param {string} text
+ * @returns {number} The number of words in the text.
+ */
+function countWords(text) {
+    return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Describes two texts and their diff: their lengths, how many words they share and how many were added or removed.
+ * @param {string} leftText
+ * @param {string} rightText
+ * @param {Array<DiffSegment>} segments
+ * @returns {string}
+ */
+function describeDiff(leftText, rightText, segments) {
+    const wordsIn = (type) => segments.filter(segment => segment.type === type).reduce((sum, segment) => sum + countWords(segment.text), 0);
+    const leftWords = countWords(leftText);
+    const rightWords = countWords(rightText);
+    const shared = wordsIn('equal');
+    const percentOf = (total) => total === 0 ? '-' : `${Math.round(shared / total * 100)}%`;
+    return `Left: ${leftWords} words, ${leftText.length} characters. Right: ${rightWords} words, ${rightText.length} characters. `
+        + `Shared: ${shared} words (${percentOf(leftWords)} of left, ${percentOf(rightWords)} of right). `
+        + `Removed: ${wordsIn('delete')} words, added: ${wordsIn('insert')} words.`;
+}
+
+/**
+ * Renders diff segments into an element; `types` picks the segments shown (e.g. only the left text's for its side).
+ * @param {HTMLElement} element
+ * @param {Array<DiffSegment>} segments
+ * @param {Array<DiffSegment['type']>} types
+ */
+function renderDiffSegments(element, segments, types) {
+    element.replaceChildren(...segments.filter(segment => types.includes(segment.type)).map(segment => {
+        if (segment.type === 'equal') return document.createTextNode(segment.text);
+        const mark = document.createElement(segment.type === 'insert' ? 'ins' : 'del');
+        mark.className = segment.type === 'insert' ? 'diff-insert' : 'diff-delete';
+        mark.textContent = segment.text;
+        return mark;
+    }));
+}
+
+/**
+ * Compares the two picked texts and shows the diff side by side or inline, with the summary above it.
+ */
+function handleCompare() {
+    const left = compareSources.find(source => source.value === document.getElementById('compareLeft').value);
+    const right = compareSources.find(source => source.value === document.getElementById('compareRight').value);
+    if (!left || !right) {
+        showToast('Pick two texts to compare; the columns have no output yet.', 'warning');
+        return;
+    }
+    const granularity = document.getElementById('compareGranularity').value;
+    const segments = diffTokens(tokenizeForDiff(left.text, granularity), tokenizeForDiff(right.text, granularity));
+
+    const result = document.getElementById('compareResult');
+    const summary = document.createElement('div');
+    summary.className = 'compare-summary';
+    summary.textContent = describeDiff(left.text, right.text, segments);
+    const view = document.createElement('div');
+    if (document.getElementById('compareView').value === 'inline') {
+        view.className = 'compare-inline';
+        renderDiffSegments(view, segments, ['equal', 'delete', 'insert']);
+    } else {
+        view.className = 'compare-side-by-side';
+        [[left, ['equal', 'delete']], [right, ['equal', 'insert']]].forEach(([source, types]) => {
+            const pane = document.createElement('div');
+            pane.className = 'compare-pane';
+            const heading = document.createElement('h5');
+            heading.textContent = source.label;
+            const text = document.createElement('div');
+            renderDiffSegments(text, segments, types);
+            pane.append(heading, text);
+            view.appendChild(pane);
+        });
+    }
+    result.replaceChildren(summary, view);
+}
+
+/**
+ * Turns arena mode on or off. Turning it off reveals the columns of a round that was not voted on.
+ */
+function toggleArenaMode() {
+    arenaMode = !arenaMode;
+    toggleArenaBtn.classList.toggle('arena-on', arenaMode);
+    toggleArenaBtn.title = arenaMode
+        ? 'Arena mode is on: answers are shown blind until you vote'
+        : 'Compare answers blind and vote for the best';
+    if (!arenaMode) {
+        revealArenaColumns();
+    }
+    showToast(arenaMode ? 'Arena mode on: the next answers are shown blind.' : 'Arena mode off.', 'info');
+}
+
+/**
+ * Hides who answers a fresh arena submission: the asked models' columns are shuffled and labeled A, B, ...,
+ * and the other columns are hidden so they cannot give the lineup away.
+ * @param {Array<string>} modelIds - The models the prompt goes to.
+ */
+function startArenaRound(modelIds) {
+    arenaRound = null;
+    arenaVotePanel.hidden = true;
+    const shuffled = [...modelIds];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    Object.entries(modelElements).forEach(([modelId, model]) => {
+        const position = shuffled.indexOf(modelId);
+        model.column.classList.toggle('arena-blind', position !== -1);
+        model.column.classList.toggle('arena-out', position === -1);
+        model.column.style.order = position === -1 ? '' : String(position);
+        model.arenaLabel.textContent = position === -1 ? '' : `Model ${String.fromCharCode(65 + position)}`;
+    });
+}
+
+/**
+ * Shows the vote buttons of a round opened by the server (arena_round event), in the columns' shuffled order.
+ * @param {{roundId: string, models: Array<string>}} round
+ */
+function showArenaVote(round) {
+    arenaRound = round;
+    const labelOf = (modelId) => modelElements[modelId]?.arenaLabel.textContent || modelId;
+    const votes = round.models
+        .slice()
+        .sort((a, b) => labelOf(a).localeCompare(labelOf(b)))
+        .map(modelId => [modelId, `${labelOf(modelId)} is better`]);
+    votes.push(['tie', 'Tie'], ['both_bad', round.models.length === 2 ? 'Both are bad' : 'All are bad']);
+
+    arenaVotePanel.replaceChildren(...votes.map(([vote, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'submit-btn btn-tertiary';
+        button.textContent = label;
+        button.addEventListener('click', () => handleArenaVote(vote));
+        return button;
+    }));
+    arenaVotePanel.hidden = false;
+}
+
+/**
+ * Sends the vote on the open arena round, then reveals which model wrote which answer.
+ * @param {string} vote - The model of the better answer, 'tie' or 'both_bad'.
+ */
+async function handleArenaVote(vote) {
+    if (!arenaRound) return;
+    try {
+        const response = await fetch('/api/arena/votes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ roundId: arenaRound.roundId, vote })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || 'Could not record the vote.', 'error');
+            if (response.status === 404) revealArenaColumns();
+            return;
+        }
+        /** @type {ArenaVote} */
+        const recorded = data.vote;
+        const lineup = recorded.models
+            .map(contender => `${modelElements[contender.modelId]?.arenaLabel.textContent || contender.modelId}: ${contender.name} (${contender.model})`)
+            .sort()
+            .join(', ');
+        revealArenaColumns();
+        showToast(`Vote recorded. ${lineup}`, 'success');
+    } catch (error) {
+        console.error('Error recording the arena vote:', error);
+        showToast('Network error while recording the vote.', 'error');
+    }
+}
+
+/**
+ * Shows every column with its name and color again, in the usual order, and closes the vote.
+ */
+function revealArenaColumns() {
+    arenaRound = null;
+    if (arenaVotePanel) arenaVotePanel.hidden = true;
+    Object.values(modelElements).forEach(model => {
+        model.column.classList.remove('arena-blind', 'arena-out');
+        model.column.style.order = '';
+        model.arenaLabel.textContent = '';
+    });
+}
+
+/**
+ * This function toggles between DEFAULT (the registry's defaultChecked models), ALL (all models), and none (no model) selection
+ */
+async function toggleCurrentModelSelection(e) {
     let localState = currentModelState;
     switch (localState) {
         case SELECTED_MODELS.DEFAULT:
@@ -1002,14 +3636,14 @@ async function toggleCurrentModelSelection(e) {
             break;
         case SELECTED_MODELS.NONE:
             currentModelState = SELECTED_MODELS.DEFAULT;
-            modelsConfig.filter(v => v.id == 'gemini').forEach(v => {
+            modelsConfig.filter(v => v.defaultChecked).forEach(v => {
                 let enabledId = document.getElementById(v.enableId);
                 let histId = document.getElementById(v.trackHistoryId);
                 enabledId.checked = true;
                 histId.disabled = false;
                 histId.checked = true;
             });
-            modelsConfig.filter(v => v.id != 'gemini').forEach(v => {
+            modelsConfig.filter(v => !v.defaultChecked).forEach(v => {
                 let enabledId = document.getElementById(v.enableId);
                 let histId = document.getElementById(v.trackHistoryId);
                 enabledId.checked = false;
@@ -1075,6 +3709,7 @@ async function handleRemoveLastMessage(e, modelId) {
                     // If it's for individual messages, it would be just `countToRemoveNum`.
                     // We will need to clarify this with backend. For now, assuming pairs (user + model messages)
                 }
+                adjustChildForks(modelId, forkIndex => Math.min(forkIndex, modelElement.chatData.length));
                 renderConversationHistory(modelId); // Re-render the updated history
 
                 // Also clear the quest textarea if it's the last few entries
@@ -1152,24 +3787,414 @@ async function handleSystemPromptTick(e) {
             systemPromptContainer.classList.remove('visible');
         }
     }
+    // The per-model overrides follow the same toggle
+    document.querySelectorAll('.model-system-prompt').forEach(area => {
+        area.classList.toggle('visible', Boolean(toggleCheckbox?.checked));
+    });
 }
 
 // --- Initialization ---
-async function populateAllModels(params) {
+
+/**
+ * Builds the inputs of a column's parameter panel. Parameters the provider does not accept stay editable
+ * but are flagged, and the server reports them with a model_warning instead of sending them.
+ * @param {ModelConfig} modelConfig - The model the panel belongs to.
+ * @returns {string} The panel's inner HTML.
+ */
+function createParamFields(modelConfig) {
+    const supportedParams = modelConfig.supportedParams || [];
+    const [minTemperature, maxTemperature] = modelConfig.temperatureRange || [0, 2];
+    return GENERATION_PARAM_FIELDS.map(field => {
+        const isSupported = supportedParams.includes(field.key);
+        let title = isSupported ? field.label : `${modelConfig.name} does not support ${field.label}; it will not be sent.`;
+        if (field.key === 'temperature' && isSupported) {
+            title = `0-2, sent to ${modelConfig.name} as ${minTemperature}-${maxTemperature}`;
+        }
+        const inputId = escapeHtml(`param-${modelConfig.id}-${field.key}`);
+        return `
+            <div class="param-field${isSupported ? '' : ' unsupported'}" title="${escapeHtml(title)}">
+                <label for="${inputId}">${field.label}</label>
+                <input type="${field.type}" id="${inputId}" data-param="${field.key}" placeholder="${field.placeholder}"
+                    ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''}
+                    ${field.step !== undefined ? `step="${field.step}"` : ''} />
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Builds the output column for one model, mirroring the controls every column offers.
+ * @param {ModelConfig} modelConfig - The model to render a column for.
+ * @returns {HTMLElement} The column element (not yet attached to the document).
+ */
+function createModelColumn(modelConfig) {
+    const { id, name, shortName, color, defaultChecked, htmlColumnId, trackHistoryId, enableId } = modelConfig;
+    const column = document.createElement('div');
+    column.className = 'output-column';
+    column.dataset.modelId = id;
+    column.style.borderTopColor = color;
+
+    column.innerHTML = `
+        <h3 class="column-header" title="${escapeHtml(name)}">${escapeHtml(shortName)}${modelConfig.local ? ' <span class="local-badge">local</span>' : ''}</h3>
+        <h3 class="arena-label"></h3>
+        <select class="model-version" title="Model version (more are loaded from the provider when opened)">
+            <option value="${escapeHtml(modelConfig.model)}">${escapeHtml(modelConfig.model)}</option>
+        </select>
+        <div>
+            <input type="checkbox" ${defaultChecked ? 'checked="checked"' : ''} id="${escapeHtml(trackHistoryId)}" /><label
+                for="${escapeHtml(trackHistoryId)}" class="labeledCheck">Chat</label>
+            <input type="checkbox" ${defaultChecked ? 'checked="checked"' : ''} id="${escapeHtml(enableId)}" /><label for="${escapeHtml(enableId)}"
+                class="labeledCheck">Enabled</label>
+            <button type="button" class="clearButton">Cls</button>
+            <button type="button" class="retryButton">Rty</button>
+            <button type="button" class="stopButton" disabled="disabled" title="Stop this model's running request">Stop</button>
+            <input type="number" min="1" max="999" class="clearLastValue" hidden="hidden" value="1">
+            <button type="button" class="removeLastButton" hidden="hidden" title="Remove Last Message">×</button>
+            <button type="button" class="saveData">Export</button>
+            <button type="button" class="paramsButton" title="Generation parameters">Params</button>
+            <button type="button" class="duplicateButton" title="Add a copy of this column to compare another version">Dup</button>
+            <button type="button" class="copyHistoryButton" title="Copy this conversation history to other models">Copy</button>
+            ${modelConfig.clonedFrom ? '<button type="button" class="removeColumnButton" title="Remove this copy">Drop</button>' : ''}
+        </div>
+        <div class="param-panel">${createParamFields(modelConfig)}</div>
+        <div class="copy-panel"></div>
+        <textarea class="input-area model-system-prompt" placeholder="Optional system prompt for ${escapeHtml(name)} only (overrides the shared one)..."></textarea>
+        <textarea class="output-display" id="${escapeHtml(htmlColumnId)}" readonly></textarea>
+        <div class="usage-line"></div>
+        <div class="sample-tabs"></div>
+        <div class="judge-result"></div>
+        <div class="debate-rounds"></div>
+        <div class="conversation-history">
+            <h4>Conversation History</h4>
+            <div class="history-list" id="history-${escapeHtml(id)}"></div>
+        </div>
+        <button class="collapsible">Response ${escapeHtml(shortName)}</button>
+        <div class="content">
+            <pre class="api-response"></pre>
+        </div>
+    `;
+    column.querySelector('.column-header').style.color = color;
+    return column;
+}
+
+/**
+ * Fills a column's version picker from the provider's model list (once per page load).
+ * Keeps the current choice; when the provider cannot be asked, the configured versions are shown instead.
+ * @param {string} modelId - The column's model ID.
+ */
+async function loadModelVersions(modelId) {
+    const versionSelect = modelElements[modelId]?.versionSelect;
+    if (!versionSelect || versionSelect.dataset.loaded) return;
+    versionSelect.dataset.loaded = 'true';
+
+    try {
+        const response = await fetch(`/api/models/${encodeURIComponent(modelId)}/versions`);
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || `Could not load versions for ${modelId}.`, 'error');
+            return;
+        }
+        if (data.error) {
+            showToast(`${data.error} Showing the configured versions.`, 'warning');
+        }
+
+        const chosenVersion = versionSelect.value;
+        versionSelect.innerHTML = '';
+        data.models.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version;
+            option.textContent = version === data.current ? `${version} (default)` : version;
+            versionSelect.appendChild(option);
+        });
+        versionSelect.value = chosenVersion;
+    } catch (error) {
+        console.error(`Could not load versions for ${modelId}:`, error);
+        versionSelect.dataset.loaded = ''; // Try again next time
+    }
+}
+
+/**
+ * Duplicates a model's column on the server and renders the copy, so two versions can run side by side.
+ * @param {string} modelId - The column to duplicate.
+ */
+async function handleDuplicateModel(modelId) {
+    try {
+        const response = await fetch(`/api/models/${encodeURIComponent(modelId)}/clone`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || `Could not duplicate ${modelId}.`, 'error');
+            return;
+        }
+
+        const modelConfig = {
+            ...data.model,
+            htmlColumnId: `${data.model.id}Out`,
+            trackHistoryId: `trackHistory-${data.model.id}`,
+            enableId: `enable-${data.model.id}`
+        };
+        modelsConfig.push(modelConfig);
+        document.getElementById('outputSection')?.appendChild(createModelColumn(modelConfig));
+        initializeModelColumn(modelConfig);
+
+        const modelEl = modelElements[modelConfig.id];
+        if (modelEl) {
+            // A copy is meant for comparison, so it starts enabled and follows the System toggle
+            modelEl.enableCheckbox.checked = true;
+            modelEl.enableCheckbox.dispatchEvent(new Event('change'));
+            modelEl.trackHistoryCheckbox.checked = true;
+            modelEl.systemPromptInput?.classList.toggle('visible', Boolean(toggleCheckbox?.checked));
+        }
+        showToast(`Added ${modelConfig.name}. Pick a version in its column.`, 'success');
+    } catch (error) {
+        console.error(`Could not duplicate ${modelId}:`, error);
+        showToast('Network error: Could not duplicate the column.', 'error');
+    }
+}
+
+/**
+ * Removes a duplicated column and its server-side history.
+ * @param {string} modelId - The duplicated column's model ID.
+ */
+async function handleRemoveModelColumn(modelId) {
+    if (!confirm(`Remove the column ${modelId} and its history?`)) return;
+    try {
+        const response = await fetch(`/api/models/${encodeURIComponent(modelId)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            showToast(data.error || `Could not remove ${modelId}.`, 'error');
+            return;
+        }
+
+        modelElements[modelId]?.column.remove();
+        delete modelElements[modelId];
+        modelsConfig = modelsConfig.filter(modelConfig => modelConfig.id !== modelId);
+        showToast(data.message, 'success');
+    } catch (error) {
+        console.error(`Could not remove ${modelId}:`, error);
+        showToast('Network error: Could not remove the column.', 'error');
+    }
+}
+
+/**
+ * Fetches the provider registry from the server, fills `modelsConfig` and renders one column per model.
+ */
+async function populateAllModels() {
+    const outputSection = document.getElementById('outputSection');
     try {
-        const response = await fetch('/api/populateAllModels', { // NEW ENDPOINT
+        const response = await fetch('/api/populateAllModels', {
             method: 'GET',
             headers: { 'Content-Type': 'application/json' }
         });
 
-        if (response.ok) {
-            const data = response.json();
-        } else {
-            console.log('not okay', response);
+        if (!response.ok) {
+            console.error('Could not load models:', response.status);
+            showToast(`Could not load models: ${response.status}`, 'error');
+            return;
+        }
+
+        const data = await response.json();
+        modelsConfig = data.models.map(model => ({
+            ...model,
+            htmlColumnId: `${model.id}Out`,
+            trackHistoryId: `trackHistory-${model.id}`,
+            enableId: `enable-${model.id}`
+        }));
+
+        if (outputSection) {
+            outputSection.innerHTML = '';
+            modelsConfig.forEach(modelConfig => outputSection.appendChild(createModelColumn(modelConfig)));
         }
     }
-    catch(e) {
-        console.log('could not call', e);
+    catch (e) {
+        console.error('Could not load models:', e);
+        showToast('Network error: Could not load models.', 'error');
+    }
+}
+
+/**
+ * Caches a rendered column's elements in `modelElements` and attaches its listeners.
+ * Used on page load and whenever a column is added later (e.g. a duplicated model).
+ * @param {ModelConfig} modelConfig - The model whose column is already in the document.
+ */
+function initializeModelColumn(modelConfig) {
+    const column = document.querySelector(`.output-column[data-model-id="${modelConfig.id}"]`);
+    if (column) {
+        modelElements[modelConfig.id] = {
+            column: column,
+            outputDisplay: document.getElementById(modelConfig.htmlColumnId),
+            trackHistoryCheckbox: document.getElementById(modelConfig.trackHistoryId),
+            enableCheckbox: document.getElementById(modelConfig.enableId),
+            clearButton: column.querySelector('.clearButton'),
+            retryButton: column.querySelector('.retryButton'),
+            removeLastCount: column.querySelector('.clearLastValue'),
+            removeLastButton: column.querySelector('.removeLastButton'),
+            cutOffReasonLabel: column.querySelector(`#${modelConfig.id}CutOffReason`), // These IDs might need to be dynamic for full support
+            cutOffReasonValueSpan: column.querySelector(`#${modelConfig.id}CutOffReasonValue`), // These IDs might need to be dynamic for full support
+            saveDataButton: column.querySelector('.saveData'),
+            collapsibleButton: column.querySelector('.collapsible'),
+            ApiResponsePanel: column.querySelector('.api-response'),
+            chatData: [], // Initialize empty structured chat history for each model
+            branches: null, // Filled once the history is forked (or restored with branches)
+            contextTrim: null, // Set by context_trimmed events
+            streamStartIndex: null, // Set while a streamed answer is being appended
+            historyListElement: column.querySelector('.history-list'), // Get reference to the history list div
+            systemPromptInput: column.querySelector('.model-system-prompt'),
+            paramsButton: column.querySelector('.paramsButton'),
+            paramPanel: column.querySelector('.param-panel'),
+            versionSelect: column.querySelector('.model-version'),
+            duplicateButton: column.querySelector('.duplicateButton'),
+            removeColumnButton: column.querySelector('.removeColumnButton'),
+            stopButton: column.querySelector('.stopButton'),
+            copyHistoryButton: column.querySelector('.copyHistoryButton'),
+            copyPanel: column.querySelector('.copy-panel'),
+            usageLine: column.querySelector('.usage-line'),
+            sampleTabs: column.querySelector('.sample-tabs'),
+            sampleSet: null, // Set by model_samples events
+            judgeResult: column.querySelector('.judge-result'),
+            arenaLabel: column.querySelector('.arena-label'),
+            debateRounds: column.querySelector('.debate-rounds'),
+            lastUsage: null, // Usage and cost of the last response
+            usageTotals: null // Token and cost totals of this model in the session
+        };
+
+        const modelEl = modelElements[modelConfig.id];
+
+        // Synchronize 'Chat' checkbox with 'Enabled' checkbox state
+        if (modelEl.enableCheckbox && modelEl.trackHistoryCheckbox) {
+            const updateChatCheckboxState = () => {
+                const isEnabled = modelEl.enableCheckbox.checked;
+                modelEl.trackHistoryCheckbox.disabled = !isEnabled;
+                if (!isEnabled) {
+                    modelEl.trackHistoryCheckbox.checked = false; // Uncheck if disabled
+                    // If you wanted it to be checked AND enabled:
+                    // else { modelEl.trackHistoryCheckbox.checked = true; }
+                    // For Gemini, it's always checked and disabled initially
+                }
+            };
+
+            modelEl.enableCheckbox.addEventListener('change', updateChatCheckboxState);
+            updateChatCheckboxState(); // Initialize state on page load
+        }
+
+        // Attach Clear button listener
+        if (modelEl.clearButton) {
+            modelEl.clearButton.addEventListener('click', () => {
+                if (modelEl.outputDisplay) {
+                    modelEl.outputDisplay.value = '';
+                    modelEl.outputDisplay.classList.remove('success', 'error', 'skip');
+                }
+                // modelEl.chatData = []; // Clear client-side history for this model
+                renderConversationHistory(modelConfig.id); // Re-render empty history for this model
+            });
+        } else {
+            console.warn(`Clear button not found for model: ${modelConfig.id}`);
+        }
+
+        // Attach Retry button listener
+        if (modelEl.retryButton) {
+            modelEl.retryButton.addEventListener('click', (e) => {
+                if (!lastQuery) {
+                    alert('Nothing in query to retry!');
+                    return false;
+                }
+                handleSubmitClick(e, [modelConfig.id]);
+            });
+        } else {
+            console.warn(`Retry button not found for model: ${modelConfig.id}`);
+        }
+
+        // Attach Remove Last button listener
+        if (modelEl.removeLastButton) {
+            modelEl.removeLastButton.addEventListener('click', (e) => {
+                handleRemoveLastMessage(e, modelConfig.id);
+            });
+        } else {
+            console.warn(`Remove Last button not found for model: ${modelConfig.id}`);
+        }
+
+        // Attach the parameter panel toggle
+        if (modelEl.paramsButton && modelEl.paramPanel) {
+            modelEl.paramsButton.addEventListener('click', () => {
+                modelEl.paramPanel.classList.toggle('visible');
+            });
+        }
+
+        // The version list is fetched from the provider the first time the picker is used
+        if (modelEl.versionSelect) {
+            const loadOnce = () => loadModelVersions(modelConfig.id);
+            modelEl.versionSelect.addEventListener('focus', loadOnce, { once: true });
+            modelEl.versionSelect.addEventListener('mousedown', loadOnce, { once: true });
+        }
+
+        if (modelEl.stopButton) {
+            modelEl.stopButton.addEventListener('click', () => {
+                const submissionId = runningModels[modelConfig.id];
+                if (submissionId) cancelRequest(submissionId, modelConfig.id);
+            });
+        }
+
+        if (modelEl.duplicateButton) {
+            modelEl.duplicateButton.addEventListener('click', () => handleDuplicateModel(modelConfig.id));
+        }
+
+        if (modelEl.removeColumnButton) {
+            modelEl.removeColumnButton.addEventListener('click', () => handleRemoveModelColumn(modelConfig.id));
+        }
+
+        if (modelEl.copyHistoryButton && modelEl.copyPanel) {
+            modelEl.copyHistoryButton.addEventListener('click', () => {
+                if (!modelEl.copyPanel.classList.contains('visible')) renderCopyPanel(modelConfig.id);
+                modelEl.copyPanel.classList.toggle('visible');
+            });
+        }
+
+        // Attach the collapsible handler
+        if (modelEl.collapsibleButton) {
+            modelEl.collapsibleButton.addEventListener('click', (e) => {
+                const currentTarget = e.target;
+                currentTarget.classList.toggle("active");
+                var content = currentTarget.nextElementSibling;
+                if (content.style.maxHeight) {
+                    content.style.maxHeight = null;
+                } else {
+                    content.style.maxHeight = content.scrollHeight + "px";
+                }
+            });
+        } else {
+            console.warn(`not found the response collapse buttong for model ${modelConfig.id}`)
+        }
+
+        // Attach the saveData button
+        if (modelEl.saveDataButton) {
+            modelEl.saveDataButton.addEventListener('click', (e) => {
+                if (modelEl.chatData && modelEl.chatData.length) {
+                    // Export the structured chatData (user prompts + model responses)
+                    let exportContent = modelEl.chatData.map(msg => `${msg.role.toUpperCase()}: ${msg.fullContent}`).join('\n');
+                    let blob = new Blob([exportContent], { type: 'text/plain;charset=utf-8' });
+                    let filename = `${modelConfig.id}_chat_history_${getSessionGuid().substring(0, 8)}.txt`;
+
+                    // Create a temporary link and trigger download
+                    let a = document.createElement('a');
+                    a.href = URL.createObjectURL(blob);
+                    a.download = filename;
+                    document.body.appendChild(a);
+                    a.click();
+                    document.body.removeChild(a);
+                    URL.revokeObjectURL(a.href);
+
+                    showToast(`Exported chat history for ${modelConfig.name}.`, 'success');
+                } else {
+                    showToast(`No chat data to export for ${modelConfig.name}.`, 'warning');
+                }
+            });
+        } else {
+            console.warn(`not found the save data button for model ${modelConfig.id}`)
+        }
+
+        // Initial render of history (will be empty on load)
+        renderConversationHistory(modelConfig.id);
+
+    } else {
+        console.warn(`Could not find HTML column for model: ${modelConfig.id}`);
     }
 }
 
@@ -1177,18 +4202,21 @@ async function populateAllModels(params) {
  * Initializes the application by setting up DOM elements, caches, and event listeners.
  */
 async function initializeApp() {
+    toastMessageElement = document.getElementById('toastMessage');
 
-    // get all models
+    // get all models and render their columns
     await populateAllModels();
 
 
     // --- Cache DOM Elements ---
     inputArea = document.getElementById('inputBox'); // Corrected from class to ID
     submitBtn = document.getElementById('submitBtn');
+    stopBtn = document.getElementById('stopBtn');
     loadingIndicator = document.getElementById('loadingIndicator');
     shiftBtn = document.getElementById('shift');
     clearHistoryBtn = document.getElementById('clearHistory');
     temperatureInput = document.getElementById('temperatureInput');
+    samplesInput = document.getElementById('samplesInput');
     clearAllOutputBtn = document.getElementById('clearAllOutput');
     saveGuidBtn = document.getElementById('saveGuid');
     toggleSelectionBtn = document.getElementById('toggleSelection');
@@ -1196,147 +4224,56 @@ async function initializeApp() {
     questTextArea = document.getElementById('quest');
     clearHistoryValueInput = document.getElementById('clearHistoryValue');
     toastMessageElement = document.getElementById('toastMessage');
+    attachmentInput = document.getElementById('attachmentInput');
+    attachmentListElement = document.getElementById('attachmentList');
+    sessionSidebar = document.getElementById('sessionSidebar');
+    sessionListElement = document.getElementById('sessionList');
+    toggleSessionsBtn = document.getElementById('toggleSessions');
+    newSessionBtn = document.getElementById('newSession');
+    sessionUsageElement = document.getElementById('sessionUsage');
+    judgePanel = document.getElementById('judgePanel');
+    judgeModelSelect = document.getElementById('judgeModel');
+    judgeTemplateSelect = document.getElementById('judgeTemplate');
+    synthesisPanel = document.getElementById('synthesisPanel');
+    synthesisModelSelect = document.getElementById('synthesisModel');
+    synthesisSaveCheckbox = document.getElementById('synthesisSave');
+    synthesisOutput = document.getElementById('synthesisOutput');
+    toggleArenaBtn = document.getElementById('toggleArena');
+    arenaVotePanel = document.getElementById('arenaVote');
+    pipelinePanel = document.getElementById('pipelinePanel');
+    pipelineSelect = document.getElementById('pipelineSelect');
+    pipelineStepsElement = document.getElementById('pipelineSteps');
+    debatePanel = document.getElementById('debatePanel');
+    comparePanel = document.getElementById('comparePanel');
 
     // Initialize GUID
     getSessionGuid(); // Ensures GUID is set on load
 
     // --- Initialize Model Elements and Attach Listeners ---
-    modelsConfig.forEach(modelConfig => {
-        const column = document.querySelector(`.output-column[data-model-id="${modelConfig.id}"]`);
-        if (column) {
-            modelElements[modelConfig.id] = {
-                column: column,
-                outputDisplay: document.getElementById(modelConfig.htmlColumnId),
-                trackHistoryCheckbox: document.getElementById(modelConfig.trackHistoryId),
-                enableCheckbox: document.getElementById(modelConfig.enableId),
-                clearButton: column.querySelector('.clearButton'),
-                retryButton: column.querySelector('.retryButton'),
-                removeLastCount: column.querySelector('.clearLastValue'),
-                removeLastButton: column.querySelector('.removeLastButton'),
-                cutOffReasonLabel: column.querySelector(`#${modelConfig.id}CutOffReason`), // These IDs might need to be dynamic for full support
-                cutOffReasonValueSpan: column.querySelector(`#${modelConfig.id}CutOffReasonValue`), // These IDs might need to be dynamic for full support
-                saveDataButton: column.querySelector('.saveData'),
-                collapsibleButton: column.querySelector('.collapsible'),
-                ApiResponsePanel: column.querySelector('.api-response'),
-                chatData: [], // Initialize empty structured chat history for each model
-                historyListElement: column.querySelector('.history-list') // Get reference to the history list div
-            };
-
-            const modelEl = modelElements[modelConfig.id];
-
-            // Synchronize 'Chat' checkbox with 'Enabled' checkbox state
-            if (modelEl.enableCheckbox && modelEl.trackHistoryCheckbox) {
-                const updateChatCheckboxState = () => {
-                    const isEnabled = modelEl.enableCheckbox.checked;
-                    modelEl.trackHistoryCheckbox.disabled = !isEnabled;
-                    if (!isEnabled) {
-                        modelEl.trackHistoryCheckbox.checked = false; // Uncheck if disabled
-                        // If you wanted it to be checked AND enabled:
-                        // else { modelEl.trackHistoryCheckbox.checked = true; }
-                        // For Gemini, it's always checked and disabled initially
-                    }
-                };
-
-                modelEl.enableCheckbox.addEventListener('change', updateChatCheckboxState);
-                updateChatCheckboxState(); // Initialize state on page load
-            }
-
-            // Attach Clear button listener
-            if (modelEl.clearButton) {
-                modelEl.clearButton.addEventListener('click', () => {
-                    if (modelEl.outputDisplay) {
-                        modelEl.outputDisplay.value = '';
-                        modelEl.outputDisplay.classList.remove('success', 'error', 'skip');
-                    }
-                    // modelEl.chatData = []; // Clear client-side history for this model
-                    renderConversationHistory(modelConfig.id); // Re-render empty history for this model
-                });
-            } else {
-                console.warn(`Clear button not found for model: ${modelConfig.id}`);
-            }
-
-            // Attach Retry button listener
-            if (modelEl.retryButton) {
-                modelEl.retryButton.addEventListener('click', (e) => {
-                    if (!lastQuery) {
-                        alert('Nothing in query to retry!');
-                        return false;
-                    }
-                    // Construct retry flags dynamically for the specific model being retried
-                    const retryFlags = modelsConfig.map(m => m.id === modelConfig.id);
-                    handleSubmitClick(e, ...retryFlags);
-                });
-            } else {
-                console.warn(`Retry button not found for model: ${modelConfig.id}`);
-            }
-
-            // Attach Remove Last button listener
-            if (modelEl.removeLastButton) {
-                modelEl.removeLastButton.addEventListener('click', (e) => {
-                    handleRemoveLastMessage(e, modelConfig.id);
-                });
-            } else {
-                console.warn(`Remove Last button not found for model: ${modelConfig.id}`);
-            }
-
-            // Attach the collapsible handler
-            if (modelEl.collapsibleButton) {
-                modelEl.collapsibleButton.addEventListener('click', (e) => {
-                    const currentTarget = e.target;
-                    currentTarget.classList.toggle("active");
-                    var content = currentTarget.nextElementSibling;
-                    if (content.style.maxHeight) {
-                        content.style.maxHeight = null;
-                    } else {
-                        content.style.maxHeight = content.scrollHeight + "px";
-                    }
-                });
-            } else {
-                console.warn(`not found the response collapse buttong for model ${modelConfig.id}`)
-            }
-
-            // Attach the saveData button
-            if (modelEl.saveDataButton) {
-                modelEl.saveDataButton.addEventListener('click', (e) => {
-                    if (modelEl.chatData && modelEl.chatData.length) {
-                        // Export the structured chatData (user prompts + model responses)
-                        let exportContent = modelEl.chatData.map(msg => `${msg.role.toUpperCase()}: ${msg.fullContent}`).join('\n');
-                        let blob = new Blob([exportContent], { type: 'text/plain;charset=utf-8' });
-                        let filename = `${modelConfig.id}_chat_history_${getSessionGuid().substring(0, 8)}.txt`;
-
-                        // Create a temporary link and trigger download
-                        let a = document.createElement('a');
-                        a.href = URL.createObjectURL(blob);
-                        a.download = filename;
-                        document.body.appendChild(a);
-                        a.click();
-                        document.body.removeChild(a);
-                        URL.revokeObjectURL(a.href);
-
-                        showToast(`Exported chat history for ${modelConfig.name}.`, 'success');
-                    } else {
-                        showToast(`No chat data to export for ${modelConfig.name}.`, 'warning');
-                    }
-                });
-            } else {
-                console.warn(`not found the save data button for model ${modelConfig.id}`)
-            }
+    modelsConfig.forEach(initializeModelColumn);
 
-            // Initial render of history (will be empty on load)
-            renderConversationHistory(modelConfig.id);
-
-        } else {
-            console.warn(`Could not find HTML column for model: ${modelConfig.id}`);
-        }
-    });
+    // Resume the saved session; a brand-new GUID simply has nothing stored yet
+    await restoreSession(getSessionGuid(), { quiet: true });
 
     // --- Attach Global Event Listeners ---
+    if (attachmentInput) {
+        attachmentInput.addEventListener('change', handleAttachmentChange);
+    } else {
+        console.warn('Attachment input (#attachmentInput) not found.');
+    }
+
     if (submitBtn) {
         submitBtn.addEventListener('click', handleSubmitClick);
     } else {
         console.warn('Submit button (#submitBtn) not found.');
     }
 
+    if (stopBtn) {
+        stopBtn.addEventListener('click', handleStopClick);
+    } else {
+        console.warn('Stop button (#stopBtn) not found.');
+    }
+
     if (shiftBtn) {
         shiftBtn.addEventListener('click', handleShiftClick)
     } else {
@@ -1362,6 +4299,77 @@ async function initializeApp() {
         console.warn('save guid buttong (#saveGuid) not found');
     }
 
+    if (toggleSessionsBtn) {
+        toggleSessionsBtn.addEventListener('click', toggleSessionSidebar);
+    } else {
+        console.warn('Sessions button (#toggleSessions) not found.');
+    }
+
+    if (newSessionBtn) {
+        newSessionBtn.addEventListener('click', handleNewSession);
+    } else {
+        console.warn('New session button (#newSession) not found.');
+    }
+
+    if (judgePanel) {
+        document.getElementById('toggleJudge').addEventListener('click', toggleJudgePanel);
+        judgeModelSelect.addEventListener('change', saveJudgeSettings);
+        judgeTemplateSelect.addEventListener('change', () => {
+            showJudgeTemplate(judgeTemplates.find(template => template.id === judgeTemplateSelect.value));
+            saveJudgeSettings();
+        });
+        document.getElementById('saveJudgeTemplate').addEventListener('click', handleSaveJudgeTemplate);
+        document.getElementById('deleteJudgeTemplate').addEventListener('click', handleDeleteJudgeTemplate);
+        renderJudgeModelOptions();
+        await loadJudgeTemplates();
+    } else {
+        console.warn('Judge panel (#judgePanel) not found.');
+    }
+
+    if (synthesisPanel) {
+        document.getElementById('toggleSynthesis').addEventListener('click', toggleSynthesisPanel);
+        synthesisModelSelect.addEventListener('change', saveSynthesisSettings);
+        synthesisSaveCheckbox.addEventListener('change', saveSynthesisSettings);
+        synthesisSaveCheckbox.checked = Boolean(readSynthesisSettings().saveToHistory);
+        renderSynthesisModelOptions();
+    } else {
+        console.warn('Synthesis panel (#synthesisPanel) not found.');
+    }
+
+    if (toggleArenaBtn) {
+        toggleArenaBtn.addEventListener('click', toggleArenaMode);
+    } else {
+        console.warn('Arena button (#toggleArena) not found.');
+    }
+
+    if (pipelinePanel) {
+        document.getElementById('togglePipeline').addEventListener('click', togglePipelinePanel);
+        pipelineSelect.addEventListener('change', () => showPipeline(pipelines.find(pipeline => pipeline.id === pipelineSelect.value)));
+        document.getElementById('addPipelineStep').addEventListener('click', () => addPipelineStep());
+        document.getElementById('savePipeline').addEventListener('click', handleSavePipeline);
+        document.getElementById('deletePipeline').addEventListener('click', handleDeletePipeline);
+        document.getElementById('runPipeline').addEventListener('click', handleRunPipeline);
+        await loadPipelines();
+    } else {
+        console.warn('Pipeline panel (#pipelinePanel) not found.');
+    }
+
+    if (debatePanel) {
+        document.getElementById('toggleDebate').addEventListener('click', toggleDebatePanel);
+        document.getElementById('startDebate').addEventListener('click', handleStartDebate);
+    } else {
+        console.warn('Debate panel (#debatePanel) not found.');
+    }
+
+    if (comparePanel) {
+        document.getElementById('toggleCompare').addEventListener('click', toggleComparePanel);
+        // Outputs change with every answer, so the pickers are refreshed when they are opened
+        ['compareLeft', 'compareRight'].forEach(selectId => document.getElementById(selectId).addEventListener('focus', renderCompareSources));
+        document.getElementById('runCompare').addEventListener('click', handleCompare);
+    } else {
+        console.warn('Compare panel (#comparePanel) not found.');
+    }
+
     if (toggleSelectionBtn) {
         toggleSelectionBtn.addEventListener('click', toggleCurrentModelSelection);
     }
@@ -0,0 +1,40 @@
+// routes/adminRoutes.js
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+
+const { ADMIN_TOKEN } = require('../config');
+const budgetService = require('../services/budgetService');
+
+/**
+ * Lets a request through only with `Authorization: Bearer <ADMIN_TOKEN>`. The admin endpoints are
+ * disabled while ADMIN_TOKEN is not set.
+ */
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: "Admin endpoints are disabled: set ADMIN_TOKEN to enable them." });
+  }
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  // Compare digests, so the comparison takes the same time whatever the token's length
+  const digest = (value) => crypto.createHash('sha256').update(value || '').digest();
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN))) {
+    return res.status(401).json({ error: "A valid admin token is required." });
+  }
+  next();
+}
+
+router.use('/api/admin', requireAdminToken);
+
+/**
+ * Reports current spend against the budgets: today's total by provider, each session's total, recent days and the limits.
+ * GET /api/admin/spend?days=7
+ */
+router.get('/api/admin/spend', (req, res) => {
+  const days = parseInt(req.query.days || '7', 10);
+  if (Number.isNaN(days) || days < 1) {
+    return res.status(400).json({ error: "days must be a positive number." });
+  }
+  res.json(budgetService.getSpendReport(days));
+});
+
+module.exports = router;
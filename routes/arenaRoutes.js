@@ -0,0 +1,40 @@
+// routes/arenaRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const arenaService = require('../services/arenaService');
+
+/**
+ * Records the vote on an arena round (opened by /api/submit with `arena: true`) and reveals its models.
+ * POST /api/arena/votes {roundId, vote: <modelId>|"tie"|"both_bad"}
+ */
+router.post('/api/arena/votes', (req, res) => {
+  const { roundId, vote } = req.body;
+  if (!roundId || !vote) {
+    return res.status(400).json({ error: "roundId and vote are required." });
+  }
+
+  try {
+    const record = arenaService.recordVote(roundId, vote);
+    res.json({ message: 'Vote recorded.', vote: record });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_ROUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'INVALID_VOTE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error recording the vote on arena round ${roundId}:`, error);
+    res.status(500).json({ error: 'An error occurred while recording the vote.' });
+  }
+});
+
+/**
+ * Rates every model version that took part in a vote (Elo and Bradley-Terry), best first.
+ * GET /api/arena/leaderboard
+ */
+router.get('/api/arena/leaderboard', (req, res) => {
+  res.json(arenaService.getLeaderboard());
+});
+
+module.exports = router;
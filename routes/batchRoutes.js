@@ -2,16 +2,21 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
+const fs = require('fs');
 const multer = require('multer');
 const axios = require('axios');
 
 const batchJobService = require('../services/batchJobService');
 const fileUploadService = require('../services/fileUploadService');
+const budgetService = require('../services/budgetService');
 const { GOOGLE_API_KEY, OPENAI_API_KEY, BATCH_GENERATE_CONTENT_URL  } = require('../config'); // Needed for some direct checks
 
 // Multer storage configuration: files will be stored in a temporary 'uploads/' directory
 const upload = multer({ dest: 'uploads/' });
 
+// Provider whose budget each file-upload target counts against
+const FILE_UPLOAD_PROVIDERS = { gemini: 'gemini', openai: 'gpt' };
+
 router.get("/bulk", (req, res) => {
   res.sendFile(path.join(__dirname, "..", "public", "bulk.html"));
 });
@@ -71,6 +76,12 @@ router.post('/upload-batch-file', upload.single('userFile'), async (req, res) =>
   const contentTypeForMetadata = 'application/json';
   const targetModel = req.body.targetModel; // 'gemini' or 'openai'
 
+  const budget = FILE_UPLOAD_PROVIDERS[targetModel] && budgetService.checkBudget(null, FILE_UPLOAD_PROVIDERS[targetModel]);
+  if (budget && !budget.allowed) {
+    await fs.promises.unlink(tempFilePath).catch(() => {}); // Uploads are otherwise removed once sent on
+    return res.status(403).json({ error: budget.reason });
+  }
+
   try {
     if (targetModel === 'gemini') {
       if (!GOOGLE_API_KEY) throw new Error('Google API key not configured.');
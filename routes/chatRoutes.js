@@ -3,17 +3,56 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 
-const { MODEL_IDENTIFIERS, MODELS_CONFIG, RESPONSE_DELIMITER, FINISH_REASON_DELIMITER } = require('../config');
+const { RESPONSE_DELIMITER, FINISH_REASON_DELIMITER, getProviders, getProviderIds, getProvider, toPublicProvider, cloneProvider, unregisterProvider } = require('../config');
 const { sendSseEvent } = require('../utils/sse');
 const historyService = require('../services/historyService');
 const llmService = require('../services/llmService'); // Contains callLLMAPI and now delimiters
+const localModelService = require('../services/localModelService');
+const modelCatalogService = require('../services/modelCatalogService');
+const submissionService = require('../services/submissionService');
+const judgeService = require('../services/judgeService');
+const arenaService = require('../services/arenaService');
+const pipelineService = require('../services/pipelineService');
+const debateService = require('../services/debateService');
+const synthesisService = require('../services/synthesisService');
+const sampleService = require('../services/sampleService');
 
 // --- Helper for Model API Calls (to reduce boilerplate in the switch) ---
-async function callModelAndSendSSE(modelId, messageForModel, isChat, guid, res, temperature, systemPrompt) {
-  const historyContainer = historyService.getHistoryContainer(modelId);
+/**
+ * Calls one model and reports its progress and result on the SSE stream.
+ * @param {object} [callOptions] - Passed on to llmService.callLLMAPI: `params`, `model` (version), `attachments`, `userMessage` and the abort `signal`.
+ * With `samples` above 1, the model is asked for that many answers instead (llmService.sampleLLMAPI) and they are reported
+ * with `model_samples`; for chat calls they wait in a sample set until one is kept (POST /api/samples/:sampleSetId/keep).
+ * Models whose spending limit is used up are reported with `model_skipped`.
+ */
+async function callModelAndSendSSE(modelId, messageForModel, isChat, guid, res, temperature, systemPrompt, callOptions = {}) {
+  const { params, model: modelVersion } = callOptions;
   try {
-    const result = await llmService.callLLMAPI(modelId, messageForModel, isChat, guid, historyContainer, temperature, systemPrompt);
-    if (result.success) {
+    // Parameters this provider does not accept are left out of the request; say so instead of dropping them silently.
+    const unsupportedParams = llmService.getUnsupportedParams(modelId, params);
+    if (unsupportedParams.length > 0) {
+      sendSseEvent(res, 'model_warning', {
+        model: modelId,
+        unsupportedParams,
+        message: `Not supported by ${modelId}, not sent: ${unsupportedParams.join(', ')}`,
+      });
+    }
+    // Forward each streamed chunk as it arrives; model_result below still carries the assembled text.
+    const onDelta = (delta) => sendSseEvent(res, 'model_delta', { model: modelId, delta });
+    const onRetry = (retry) => sendSseEvent(res, 'model_retry', { model: modelId, ...retry });
+    // The history was longer than the model's context budget; tell the page which messages were left out
+    const onContextTrimmed = (trim) => sendSseEvent(res, 'context_trimmed', { model: modelId, ...trim });
+    // Spend crossed a warning threshold of a session, daily or provider limit
+    const onBudgetWarning = (warning) => sendSseEvent(res, 'budget_warning', { model: modelId, ...warning });
+    const { samples: sampleCount, ...llmOptions } = callOptions;
+    const result = sampleCount > 1
+      ? await llmService.sampleLLMAPI(modelId, messageForModel, isChat, guid, temperature, systemPrompt, sampleCount, { ...llmOptions, onRetry, onContextTrimmed, onBudgetWarning })
+      : await llmService.callLLMAPI(modelId, messageForModel, isChat, guid, temperature, systemPrompt, { ...llmOptions, onDelta, onRetry, onContextTrimmed, onBudgetWarning });
+    if (result.budgetExceeded) {
+      const skipReason = `Skipped: ${result.error}`;
+      sendSseEvent(res, 'model_skipped', { model: modelId, result: skipReason, budget: result.budgetExceeded });
+      return { model: modelId, result: skipReason, status: 'skipped' };
+    } else if (result.success) {
       let formattedText = result.content;
       if (result.finishReason) {
         // --- Use the directly imported FINISH_REASON_DELIMITER ---
@@ -22,11 +61,32 @@ async function callModelAndSendSSE(modelId, messageForModel, isChat, guid, res,
       // --- Use the directly imported RESPONSE_DELIMITER ---
       const formattedResult = formattedText + RESPONSE_DELIMITER + JSON.stringify(result.rawResponse);
 
-      sendSseEvent(res, 'model_result', { model: modelId, result: formattedResult });
-      return { model: modelId, result: formattedResult, status: 'success' };
+      if (result.samples) {
+        const sampleSetId = result.pendingMessages
+          ? sampleService.openSampleSet({ modelId, model: modelVersion, guid, messages: result.pendingMessages, historyLength: result.historyLength, samples: result.samples })
+          : null;
+        sendSseEvent(res, 'model_samples', {
+          model: modelId,
+          sampleSetId,
+          samples: result.samples,
+          variance: sampleService.describeVariance(result.samples),
+          rawResponse: result.rawResponse,
+          usage: result.usage,
+          cost: result.cost,
+          modelVersion: modelVersion || getProvider(modelId)?.model,
+        });
+        // Steps after the submission (judge, synthesis) use the first sample
+        return { model: modelId, result: formattedResult, content: result.content, samples: result.samples, status: 'success' };
+      }
+      sendSseEvent(res, 'model_result', { model: modelId, result: formattedResult, finishReason: result.finishReason, usage: result.usage, cost: result.cost, modelVersion: modelVersion || getProvider(modelId)?.model });
+      return { model: modelId, result: formattedResult, content: result.content, status: 'success' };
+    } else if (result.cancelled) {
+      sendSseEvent(res, 'model_cancelled', { model: modelId, partial: result.partialContent });
+      return { model: modelId, result: result.error, status: 'cancelled' };
     } else {
-      const errorMessage = `${result.errorCode} ${result.error}`;
-      sendSseEvent(res, 'model_error', { model: modelId, error: errorMessage });
+      // Show the category in the column; the raw provider body goes along as `details` for the response panel
+      const errorMessage = result.errorLabel ? `${result.errorLabel}: ${result.error}` : `${result.errorCode} ${result.error}`;
+      sendSseEvent(res, 'model_error', { model: modelId, error: errorMessage, category: result.errorCategory, details: result.details });
       return { model: modelId, error: errorMessage, status: 'error' };
     }
   } catch (error) {
@@ -37,6 +97,78 @@ async function callModelAndSendSSE(modelId, messageForModel, isChat, guid, res,
   }
 }
 
+/**
+ * Has the chosen judge model score a submission's successful responses and reports the verdict on the SSE stream
+ * (`judge_result`, or `judge_error` when no verdict could be had).
+ * @param {import('express').Response} res
+ * @param {{modelId: string, templateId: string}} judge - The judge model and the template with its rubric.
+ * @param {string} question - The prompt the models answered.
+ * @param {Array<object>} results - The models' results, as returned by callModelAndSendSSE.
+ * @param {string} guid
+ * @param {AbortSignal} [signal]
+ */
+async function judgeAndSendSSE(res, judge, question, results, guid, signal) {
+  const responses = results
+    .filter(result => result.status === 'success')
+    .map(result => ({ model: result.model, text: result.content }));
+  try {
+    const verdict = await judgeService.judgeResponses({ judgeModelId: judge.modelId, templateId: judge.templateId, question, responses, guid, signal });
+    sendSseEvent(res, 'judge_result', verdict);
+  } catch (error) {
+    console.error(`Judging by ${judge.modelId} failed:`, error.message);
+    sendSseEvent(res, 'judge_error', { judgeModel: judge.modelId, error: error.message });
+  }
+}
+
+/**
+ * Has the chosen model merge a submission's successful responses into one cited answer. The answer streams as
+ * `synthesis_delta` events after `synthesis_started` and ends with `synthesis_result` (or `synthesis_error`).
+ * @param {import('express').Response} res
+ * @param {{modelId: string, saveToHistory?: boolean}} synthesis - The merging model; with `saveToHistory`, the answer
+ * is also added to the chat histories of `historyModelIds`.
+ * @param {string} question - The prompt the models answered.
+ * @param {Array<object>} results - The models' results, as returned by callModelAndSendSSE.
+ * @param {string} guid
+ * @param {number|string} temperature
+ * @param {Array<string>} historyModelIds - The models that answered with their chat history on.
+ * @param {AbortSignal} [signal]
+ */
+async function synthesizeAndSendSSE(res, synthesis, question, results, guid, temperature, historyModelIds, signal) {
+  const responses = results
+    .filter(result => result.status === 'success')
+    .map(result => ({ model: result.model, text: result.content }));
+  sendSseEvent(res, 'synthesis_started', { synthesisModel: synthesis.modelId, models: responses.map(response => response.model) });
+  try {
+    const onDelta = (delta) => sendSseEvent(res, 'synthesis_delta', { synthesisModel: synthesis.modelId, delta });
+    const merged = await synthesisService.synthesizeResponses({ modelId: synthesis.modelId, question, responses, guid, temperature, signal, onDelta });
+    const savedTo = synthesis.saveToHistory && historyModelIds.length > 0 && await synthesisService.saveSynthesis(historyModelIds, guid, merged)
+      ? historyModelIds
+      : [];
+    sendSseEvent(res, 'synthesis_result', { ...merged, savedTo });
+  } catch (error) {
+    console.error(`Synthesis by ${synthesis.modelId} failed:`, error.message);
+    sendSseEvent(res, 'synthesis_error', { synthesisModel: synthesis.modelId, error: error.message });
+  }
+}
+
+/**
+ * Registers a submission for an SSE response and announces its ID, so its model calls can be cancelled
+ * through /api/cancel; all of them are cancelled when the client disconnects.
+ * @param {import('express').Response} res - The SSE response (headers already sent).
+ * @param {string} [submissionId] - ID chosen by the client.
+ * @returns {string} The submission ID in use.
+ */
+function openSubmissionStream(res, submissionId) {
+  const activeSubmissionId = submissionService.startSubmission(submissionId);
+  sendSseEvent(res, 'submission_started', { submissionId: activeSubmissionId });
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client disconnected from SSE stream; cancelling its model calls.');
+      submissionService.cancelSubmission(activeSubmissionId);
+    }
+  });
+  return activeSubmissionId;
+}
 
 /**
  * Handles the root route by serving the index.html file.
@@ -46,12 +178,90 @@ router.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "..", "public", "index.html"));
 });
 
+/**
+ * Returns the provider registry (browser-safe fields only) so the chat page can render its columns.
+ * Local model servers (Ollama, llama.cpp) are probed first so installed models show up as columns.
+ * GET /api/populateAllModels[?refresh=1]
+ */
+router.get("/api/populateAllModels", async (req, res) => {
+  try {
+    await localModelService.discoverLocalModels(req.query.refresh === '1');
+  } catch (error) {
+    console.error('Local model discovery failed:', error);
+  }
+  res.json({ models: getProviders().map(toPublicProvider) });
+});
+
+/**
+ * Lists the model versions a provider offers, for the column's version picker.
+ * GET /api/models/:modelId/versions[?refresh=1]
+ */
+router.get('/api/models/:modelId/versions', async (req, res) => {
+  const { modelId } = req.params;
+  if (!getProvider(modelId)) {
+    return res.status(404).json({ error: `Unknown model: ${modelId}` });
+  }
+
+  try {
+    res.json(await modelCatalogService.listModelVersions(modelId, req.query.refresh === '1'));
+  } catch (error) {
+    console.error(`Error listing versions for ${modelId}:`, error);
+    res.status(500).json({ error: `An error occurred while listing versions for ${modelId}.` });
+  }
+});
+
+/**
+ * Duplicates a model's column so two versions of the same provider can run side by side.
+ * The copy gets its own id and history and lasts until the server restarts.
+ * POST /api/models/:modelId/clone
+ */
+router.post('/api/models/:modelId/clone', async (req, res) => {
+  const { modelId } = req.params;
+  if (!getProvider(modelId)) {
+    return res.status(404).json({ error: `Unknown model: ${modelId}` });
+  }
+
+  try {
+    const clone = cloneProvider(modelId);
+    res.status(201).json({ model: toPublicProvider(clone) });
+  } catch (error) {
+    console.error(`Error cloning ${modelId}:`, error);
+    res.status(500).json({ error: `An error occurred while duplicating ${modelId}.` });
+  }
+});
+
+/**
+ * Removes a duplicated column created by /api/models/:modelId/clone, together with its history.
+ * Providers from config/providers.json cannot be removed this way.
+ * DELETE /api/models/:modelId
+ */
+router.delete('/api/models/:modelId', async (req, res) => {
+  const { modelId } = req.params;
+  const provider = getProvider(modelId);
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown model: ${modelId}` });
+  }
+  if (!provider.clonedFrom) {
+    return res.status(400).json({ error: "Only duplicated models can be removed." });
+  }
+
+  await historyService.deleteModelHistory(modelId);
+  unregisterProvider(modelId);
+  res.json({ message: `Removed ${provider.name}.` });
+});
+
 /**
  * Handles API requests for submitting prompts to AI models and streaming responses via SSE.
+ * With `judge: {modelId, templateId}`, the judge model then scores the successful responses (`judge_result`).
+ * With `arena: true`, the successful responses open a blind arena round to vote on (`arena_round`, see /api/arena/votes).
+ * With `samples: N` (2-5), every model is asked for N answers (`model_samples`); none is stored until one is kept.
+ * With `synthesis: {modelId, saveToHistory}`, that model merges the successful responses into one answer citing them
+ * (`synthesis_result`); not in arena mode, where it would give the models away.
  * POST /api/submit
  */
 router.post("/api/submit", async (req, res) => {
-  const { text: originalRawInput, parsedDirectives, enabledList, checkedList, guid, temperature, systemPrompt } = req.body;
+  const { text: originalRawInput, parsedDirectives, enabledList, checkedList, guid, temperature, systemPrompt, systemPrompts, modelParams, modelVersions, attachments, modelIds, submissionId, questEntry, judge, arena, synthesis, samples } = req.body;
+  const submittedAt = new Date().toISOString();
 
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -59,10 +269,15 @@ router.post("/api/submit", async (req, res) => {
     'Connection': 'keep-alive',
   });
 
+  // enabledList/checkedList are indexed like modelIds (the column order the page rendered);
+  // older clients omit modelIds and rely on the registry order served by /api/populateAllModels.
+  const modelIdentifiers = Array.isArray(modelIds) ? modelIds : getProviderIds();
+  // Files attached in the chat page go to every enabled model, in that model's native multimodal format.
+  const messageAttachments = Array.isArray(attachments) ? attachments : [];
   const enabledModelsIndices = enabledList.map((isEnabled, index) => isEnabled ? index : -1).filter(index => index !== -1);
 
   if (enabledModelsIndices.length === 0) {
-    MODEL_IDENTIFIERS.forEach(modelId => {
+    modelIdentifiers.forEach(modelId => {
       sendSseEvent(res, 'model_skipped', { model: modelId, result: "Skipped: No models enabled for this request." });
     });
     sendSseEvent(res, 'all_complete', { message: 'No models enabled. Request aborted.', finalResults: [] });
@@ -70,14 +285,29 @@ router.post("/api/submit", async (req, res) => {
     return;
   }
 
+  const activeSubmissionId = openSubmissionStream(res, submissionId);
+
+  // Fresh questions (not retries) go to the session's quest log, which the session sidebar restores
+  if (guid && typeof questEntry === 'string' && questEntry) {
+    try {
+      await historyService.addQuestEntry(guid, questEntry);
+    } catch (error) {
+      console.error(`Could not record the question for session ${guid}:`, error);
+    }
+  }
+
+  // Arena rounds compare one answer per model
+  const sampleCount = arena ? 1 : sampleService.normalizeSampleCount(samples);
   const processingPromises = [];
+  // What each model was sent, kept for the arena round
+  const arenaContenders = new Map();
 
   for (const modelIndex of enabledModelsIndices) {
-    const modelId = MODEL_IDENTIFIERS[modelIndex];
-    const modelConfig = MODELS_CONFIG.find(m => m.id === modelId);
+    const modelId = modelIdentifiers[modelIndex];
+    const modelConfig = getProvider(modelId);
 
     if (!modelConfig) {
-      console.error(`Configuration not found for modelId: ${modelId}`);
+      console.error(`Configuration not found for model index: ${modelIndex}`);
       sendSseEvent(res, 'model_skipped', { model: modelId, result: `Skipped: Configuration missing.` });
       processingPromises.push(Promise.resolve({ model: modelId, result: "Skipped: Configuration missing.", status: 'skipped' }));
       continue;
@@ -101,27 +331,230 @@ router.post("/api/submit", async (req, res) => {
       messageForModel = "No specific message generated for this model.";
     }
 
+    // A model that cannot read one of the attached files is skipped rather than sent a partial message.
+    const unsupportedAttachments = llmService.getUnsupportedAttachments(modelId, messageAttachments, modelVersions?.[modelId]);
+    if (unsupportedAttachments.length > 0) {
+      const skipReason = `Skipped: ${modelConfig.name} cannot take ${unsupportedAttachments.map(({ name, kind }) => `${name} (${kind})`).join(', ')}.`;
+      sendSseEvent(res, 'model_skipped', { model: modelId, result: skipReason });
+      processingPromises.push(Promise.resolve({ model: modelId, result: skipReason, status: 'skipped' }));
+      continue;
+    }
+
     const isChat = checkedList[modelIndex];
+    // A per-model system prompt (persona) overrides the shared one for this column only.
+    const modelSystemPrompt = systemPrompts?.[modelId]?.trim() || systemPrompt;
+
+    arenaContenders.set(modelId, { modelId, model: modelVersions?.[modelId], params: modelParams?.[modelId], systemPrompt: modelSystemPrompt });
 
     // Using the unified callModelAndSendSSE helper
-    processingPromises.push(callModelAndSendSSE(modelId, messageForModel, isChat, guid, res, temperature, systemPrompt));
+    processingPromises.push(callModelAndSendSSE(modelId, messageForModel, isChat, guid, res, temperature, modelSystemPrompt, {
+      params: modelParams?.[modelId],
+      model: modelVersions?.[modelId],
+      attachments: messageAttachments,
+      samples: sampleCount,
+      signal: submissionService.getModelSignal(activeSubmissionId, modelId),
+    }));
   }
 
   Promise.all(processingPromises)
-    .then(allResults => {
+    .then(async allResults => {
       sendSseEvent(res, 'all_complete', { message: 'All model responses processed.', finalResults: allResults });
+      // Arena mode: the answers can only be compared when at least two models gave one
+      const answered = allResults.filter(result => result.status === 'success');
+      if (arena && answered.length >= 2) {
+        const round = arenaService.openRound({
+          guid,
+          prompt: parsedDirectives.commonMessage,
+          temperature,
+          submittedAt,
+          models: answered.map(result => arenaContenders.get(result.model)),
+        });
+        sendSseEvent(res, 'arena_round', { roundId: round.id, models: round.models.map(contender => contender.modelId) });
+      }
+      // Optional judge step: the stream stays open until the verdict is in
+      if (judge?.modelId && judge?.templateId) {
+        await judgeAndSendSSE(res, judge, parsedDirectives.commonMessage, allResults, guid, submissionService.getModelSignal(activeSubmissionId, `judge:${judge.modelId}`));
+      }
+      // Optional synthesis step, after the judge so both do not stream at once
+      if (synthesis?.modelId && !arena && answered.length > 0) {
+        // Sampled models have not stored the question yet (see sampleService), so the merged answer cannot follow it
+        const historyModelIds = answered
+          .filter(result => !result.samples)
+          .map(result => result.model)
+          .filter(modelId => checkedList[modelIdentifiers.indexOf(modelId)]);
+        await synthesizeAndSendSSE(res, synthesis, parsedDirectives.commonMessage, allResults, guid, temperature, historyModelIds, submissionService.getModelSignal(activeSubmissionId, `synthesis:${synthesis.modelId}`));
+      }
     })
     .catch(error => {
       console.error("Unhandled error in Promise.all for SSE:", error);
       sendSseEvent(res, 'server_error', { message: 'An unexpected server error occurred.', error: error.message || error });
     })
     .finally(() => {
+      submissionService.finishSubmission(activeSubmissionId);
       res.end();
     });
+});
+
+/**
+ * Runs a pipeline: the steps run one after another, each streaming into its model's column, and each step's
+ * prompt can use the input and the earlier steps' outputs. Steps do not use or change the models' chat history.
+ * `pipeline_step` marks where a step starts and `pipeline_step_complete` where it ends; a step that fails or is
+ * stopped ends the chain, and the later steps are reported with `model_skipped`. `pipeline_complete` closes the stream.
+ * POST /api/pipeline {input, steps: [{modelId, prompt, label}] | pipelineId, guid, temperature, systemPrompt, systemPrompts, modelParams, modelVersions, submissionId}
+ */
+router.post('/api/pipeline', async (req, res) => {
+  const { input, pipelineId, guid, temperature, systemPrompt, systemPrompts, modelParams, modelVersions, submissionId } = req.body;
+  if (typeof input !== 'string' || !input.trim()) {
+    return res.status(400).json({ error: "input is required." });
+  }
 
-  req.on('close', () => {
-    console.log('Client disconnected from SSE stream.');
+  let steps;
+  try {
+    const pipeline = pipelineId ? await pipelineService.getPipeline(pipelineId) : null;
+    if (pipelineId && !pipeline) {
+      return res.status(404).json({ error: `No saved pipeline with id ${pipelineId}.` });
+    }
+    steps = pipelineService.normalizeSteps(pipeline ? pipeline.steps : req.body.steps);
+  } catch (error) {
+    if (error.code === 'INVALID_PIPELINE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error preparing a pipeline run:', error);
+    return res.status(500).json({ error: 'An error occurred while preparing the pipeline.' });
+  }
+  const unknownStep = steps.find(step => !getProvider(step.modelId));
+  if (unknownStep) {
+    return res.status(404).json({ error: `Unknown model: ${unknownStep.modelId}` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
   });
+  const activeSubmissionId = openSubmissionStream(res, submissionId);
+  const outputs = [];
+  const stepResults = [];
+  try {
+    for (const [index, step] of steps.entries()) {
+      const stepNumber = index + 1;
+      if (stepResults.length > 0 && stepResults[stepResults.length - 1].status !== 'success') {
+        const skipReason = `Skipped: step ${stepNumber - 1} did not finish.`;
+        sendSseEvent(res, 'model_skipped', { model: step.modelId, step: stepNumber, result: skipReason });
+        stepResults.push({ step: stepNumber, model: step.modelId, result: skipReason, status: 'skipped' });
+        continue;
+      }
+
+      const prompt = pipelineService.renderStepPrompt(step.prompt, input, outputs);
+      sendSseEvent(res, 'pipeline_step', { step: stepNumber, steps: steps.length, model: step.modelId, label: step.label, prompt });
+      const result = await callModelAndSendSSE(step.modelId, prompt, false, guid, res, temperature, systemPrompts?.[step.modelId]?.trim() || systemPrompt, {
+        params: modelParams?.[step.modelId],
+        model: modelVersions?.[step.modelId],
+        signal: submissionService.getModelSignal(activeSubmissionId, step.modelId),
+      });
+      outputs.push(result.content ?? '');
+      stepResults.push({ step: stepNumber, ...result });
+      sendSseEvent(res, 'pipeline_step_complete', { step: stepNumber, model: step.modelId, status: result.status });
+    }
+    const lastStep = stepResults[stepResults.length - 1];
+    sendSseEvent(res, 'pipeline_complete', {
+      message: lastStep.status === 'success' ? 'Pipeline finished.' : 'Pipeline stopped before its last step.',
+      finalResults: stepResults,
+      output: lastStep.status === 'success' ? lastStep.content : null,
+    });
+  } catch (error) {
+    console.error('Unhandled error in a pipeline run:', error);
+    sendSseEvent(res, 'server_error', { message: 'An unexpected server error occurred.', error: error.message || error });
+  } finally {
+    submissionService.finishSubmission(activeSubmissionId);
+    res.end();
+  }
+});
+
+/**
+ * Runs a debate: the models answer the question, then for `rounds` rounds each one gets the others' latest answers
+ * (with their names and the moderator's instructions) to revise or rebut them. Everything goes through the models'
+ * chat histories. `debate_round` marks where a round starts (round 0 holds the opening answers) and
+ * `debate_round_complete` carries the round's answers. A model that fails or is stopped leaves the debate, which
+ * ends early when fewer than two are left. `debate_complete` closes the stream.
+ * POST /api/debate {question, modelIds, rounds, moderator, guid, temperature, systemPrompt, systemPrompts, modelParams, modelVersions, submissionId}
+ */
+router.post('/api/debate', async (req, res) => {
+  const { question, guid, temperature, systemPrompt, systemPrompts, modelParams, modelVersions, submissionId } = req.body;
+  if (typeof question !== 'string' || !question.trim() || !guid) {
+    return res.status(400).json({ error: "question and guid are required." });
+  }
+  let debate;
+  try {
+    debate = debateService.normalizeDebate(req.body);
+  } catch (error) {
+    if (error.code === 'INVALID_DEBATE') {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  const activeSubmissionId = openSubmissionStream(res, submissionId);
+  /** @type {Map<string, string>} Each participant's latest answer */
+  const latestAnswers = new Map();
+  let participants = debate.modelIds;
+  let lastRound = -1;
+  try {
+    for (let round = 0; round <= debate.rounds && participants.length >= 2; round++) {
+      sendSseEvent(res, 'debate_round', { round, rounds: debate.rounds, models: participants });
+      const results = await Promise.all(participants.map(modelId => {
+        const message = round === 0 ? question : debateService.buildRoundPrompt({
+          moderator: debate.moderator,
+          answers: participants.filter(other => other !== modelId).map(other => ({ modelId: other, text: latestAnswers.get(other) })),
+          round,
+          rounds: debate.rounds,
+        });
+        return callModelAndSendSSE(modelId, message, true, guid, res, temperature, systemPrompts?.[modelId]?.trim() || systemPrompt, {
+          params: modelParams?.[modelId],
+          model: modelVersions?.[modelId],
+          signal: submissionService.getModelSignal(activeSubmissionId, modelId),
+        });
+      }));
+      results.filter(result => result.status === 'success').forEach(result => latestAnswers.set(result.model, result.content));
+      participants = results.filter(result => result.status === 'success').map(result => result.model);
+      lastRound = round;
+      sendSseEvent(res, 'debate_round_complete', {
+        round,
+        answers: results.map(({ model, status, content, error }) => ({ model, status, content, error })),
+      });
+    }
+    const finished = lastRound === debate.rounds;
+    sendSseEvent(res, 'debate_complete', {
+      message: finished ? 'Debate finished.' : `Debate ended after round ${lastRound}: fewer than two models were left.`,
+      finalAnswers: participants.map(modelId => ({ model: modelId, content: latestAnswers.get(modelId) })),
+    });
+  } catch (error) {
+    console.error('Unhandled error in a debate:', error);
+    sendSseEvent(res, 'server_error', { message: 'An unexpected server error occurred.', error: error.message || error });
+  } finally {
+    submissionService.finishSubmission(activeSubmissionId);
+    res.end();
+  }
+});
+
+/**
+ * Cancels a running submission (Stop button), or only one model's call in it (a column's Stop button).
+ * Cancelled models report `model_cancelled` on the submission's SSE stream; their user message is not kept in history.
+ * POST /api/cancel
+ */
+router.post('/api/cancel', async (req, res) => {
+  const { submissionId, modelId } = req.body;
+  if (!submissionId) {
+    return res.status(400).json({ error: "submissionId is required." });
+  }
+
+  const cancelled = submissionService.cancelSubmission(submissionId, modelId);
+  res.json({ cancelled, message: cancelled ? "Cancelled." : "Nothing to cancel: the request has already finished." });
 });
 
 /**
@@ -135,7 +568,7 @@ router.post('/api/clearHistory', async (req, res) => {
   }
 
   try {
-    historyService.clearHistory(guid, valueToClear);
+    await historyService.clearHistory(guid, valueToClear);
     res.json({ message: "Data cleared successfully" });
   } catch (error) {
     console.error("Error processing request for clear history:", error);
@@ -154,7 +587,7 @@ router.post('/api/removeLastMessage', async (req, res) => {
   }
 
   try {
-    const modified = historyService.removeLastMessages(modelId, guid, clearCount);
+    const modified = await historyService.removeLastMessages(modelId, guid, clearCount);
     if (modified) {
       res.json({ message: "Last message(s) removed successfully" });
     } else {
@@ -177,7 +610,7 @@ router.post('/api/moveMessage', async (req, res) => {
   }
 
   try {
-    const modified = historyService.moveMessage(modelId, guid, oldIndex, newIndex);
+    const modified = await historyService.moveMessage(modelId, guid, oldIndex, newIndex);
     if (modified) {
       res.json({ message: "Message moved successfully" });
     } else {
@@ -200,7 +633,7 @@ router.post('/api/deleteMessage', async (req, res) => {
   }
 
   try {
-    const modified = historyService.deleteMessage(modelId, guid, messageIndex);
+    const modified = await historyService.deleteMessage(modelId, guid, messageIndex);
     if (modified) {
       res.json({ message: "Message deleted successfully" });
     } else {
@@ -212,6 +645,172 @@ router.post('/api/deleteMessage', async (req, res) => {
   }
 });
 
+/**
+ * Handles requests to edit the text of a message in a model's conversation history.
+ * POST /api/editMessage
+ */
+router.post('/api/editMessage', async (req, res) => {
+  const { modelId, guid, messageIndex, text } = req.body;
+  if (!modelId || !guid || typeof messageIndex !== 'number' || messageIndex < 0 || typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: "modelId, guid, a valid messageIndex and a non-empty text are required." });
+  }
+
+  try {
+    const edited = await historyService.editMessage(modelId, guid, messageIndex, text);
+    if (edited) {
+      res.json({ message: "Message edited successfully", edited });
+    } else {
+      res.status(404).json({ message: "Message not found or history does not exist for this model/session at the given index." });
+    }
+  } catch (error) {
+    console.error(`Error processing request for editMessage (${modelId}):`, error);
+    res.status(500).json({ error: `An error occurred while editing the message for ${modelId}.` });
+  }
+});
+
+/**
+ * Copies a model's history (or the messages from `start` up to, not including, `end`) to one or more other models,
+ * converting them to each target's message format. `replace` overwrites the targets' histories instead of appending.
+ * POST /api/copyHistory
+ */
+router.post('/api/copyHistory', async (req, res) => {
+  const { guid, sourceModelId, targetModelIds, start, end, replace } = req.body;
+  const isIndex = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+  if (!guid || !sourceModelId || !Array.isArray(targetModelIds) || targetModelIds.length === 0 || !isIndex(start) || !isIndex(end)) {
+    return res.status(400).json({ error: "guid, sourceModelId and a non-empty targetModelIds array are required; start and end must be valid indices." });
+  }
+  const unknownModel = [sourceModelId, ...targetModelIds].find(modelId => !getProvider(modelId));
+  if (unknownModel) {
+    return res.status(404).json({ error: `Unknown model: ${unknownModel}` });
+  }
+
+  try {
+    const copied = await historyService.copyHistory(sourceModelId, targetModelIds, guid, { start, end, replace: Boolean(replace) });
+    if (copied) {
+      res.json({ message: `Copied ${copied} message(s)`, copied });
+    } else {
+      res.status(404).json({ message: "No messages in this range, or no other target model, for this model/session." });
+    }
+  } catch (error) {
+    console.error(`Error processing request for copyHistory (${sourceModelId}):`, error);
+    res.status(500).json({ error: `An error occurred while copying the history of ${sourceModelId}.` });
+  }
+});
+
+/**
+ * Re-runs a model from one of its user messages (optionally edited first): the message is sent again with the
+ * history before it, streaming the new answer like /api/submit. Only a successful answer replaces the message and
+ * everything after it; a failed or stopped re-run leaves the history as it was.
+ * POST /api/rerunMessage
+ */
+router.post('/api/rerunMessage', async (req, res) => {
+  const { modelId, guid, messageIndex, text, temperature, systemPrompt, params, model, submissionId } = req.body;
+  if (!modelId || !guid || typeof messageIndex !== 'number' || messageIndex < 0 || (text !== undefined && (typeof text !== 'string' || !text.trim()))) {
+    return res.status(400).json({ error: "modelId, guid and a valid messageIndex are required; text, if given, must not be empty." });
+  }
+  if (!getProvider(modelId)) {
+    return res.status(404).json({ error: `Unknown model: ${modelId}` });
+  }
+
+  let rerun;
+  try {
+    rerun = await historyService.getMessageForRerun(modelId, guid, messageIndex, text);
+  } catch (error) {
+    console.error(`Error processing request for rerunMessage (${modelId}):`, error);
+    return res.status(500).json({ error: `An error occurred while preparing the re-run for ${modelId}.` });
+  }
+  if (!rerun) {
+    return res.status(404).json({ message: "No user message at this index for this model/session." });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  const activeSubmissionId = openSubmissionStream(res, submissionId);
+  try {
+    const result = await callModelAndSendSSE(modelId, rerun.text, true, guid, res, temperature, systemPrompt, {
+      params,
+      model,
+      userMessage: rerun.message,
+      replaceFrom: messageIndex,
+      signal: submissionService.getModelSignal(activeSubmissionId, modelId),
+    });
+    sendSseEvent(res, 'all_complete', { message: 'Re-run processed.', finalResults: [result] });
+  } catch (error) {
+    console.error(`Unhandled error in a re-run of ${modelId}:`, error);
+    sendSseEvent(res, 'server_error', { message: 'An unexpected server error occurred.', error: error.message || error });
+  } finally {
+    submissionService.finishSubmission(activeSubmissionId);
+    res.end();
+  }
+});
+
+/**
+ * Lists a model's history branches in a session.
+ * GET /api/branches?modelId=...&guid=...
+ */
+router.get('/api/branches', async (req, res) => {
+  const { modelId, guid } = req.query;
+  if (!modelId || !guid) {
+    return res.status(400).json({ error: "modelId and guid are required." });
+  }
+
+  try {
+    res.json(await historyService.listBranches(modelId, guid));
+  } catch (error) {
+    console.error(`Error processing request for branches (${modelId}):`, error);
+    res.status(500).json({ error: `An error occurred while listing the branches for ${modelId}.` });
+  }
+});
+
+/**
+ * Forks a model's history after a message into a new branch, which becomes the active one.
+ * POST /api/forkBranch
+ */
+router.post('/api/forkBranch', async (req, res) => {
+  const { modelId, guid, messageIndex, name } = req.body;
+  if (!modelId || !guid || typeof messageIndex !== 'number' || messageIndex < 0) {
+    return res.status(400).json({ error: "modelId, guid, and a valid messageIndex are required." });
+  }
+
+  try {
+    const result = await historyService.forkBranch(modelId, guid, messageIndex, typeof name === 'string' ? name.trim() : undefined);
+    if (result) {
+      res.json({ message: "Branch created", ...result });
+    } else {
+      res.status(404).json({ message: "Message not found or history does not exist for this model/session at the given index." });
+    }
+  } catch (error) {
+    console.error(`Error processing request for forkBranch (${modelId}):`, error);
+    res.status(500).json({ error: `An error occurred while forking the history for ${modelId}.` });
+  }
+});
+
+/**
+ * Switches a model to another history branch; its next messages continue that branch.
+ * POST /api/switchBranch
+ */
+router.post('/api/switchBranch', async (req, res) => {
+  const { modelId, guid, branchId } = req.body;
+  if (!modelId || !guid || !branchId) {
+    return res.status(400).json({ error: "modelId, guid, and branchId are required." });
+  }
+
+  try {
+    const result = await historyService.switchBranch(modelId, guid, branchId);
+    if (result) {
+      res.json({ message: "Branch switched", ...result });
+    } else {
+      res.status(404).json({ message: "Branch not found for this model/session." });
+    }
+  } catch (error) {
+    console.error(`Error processing request for switchBranch (${modelId}):`, error);
+    res.status(500).json({ error: `An error occurred while switching branches for ${modelId}.` });
+  }
+});
+
 // The /api/moveToLast route was a specific case of /api/moveMessage.
 // It should be refactored or removed if its functionality is covered by /api/moveMessage.
 // For now, I'm omitting it to reduce redundancy. If needed, you can implement it
@@ -0,0 +1,53 @@
+// routes/judgeRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const judgeService = require('../services/judgeService');
+
+/**
+ * Lists the judge templates (rubric and prompt), built-in ones first.
+ * GET /api/judgeTemplates
+ */
+router.get('/api/judgeTemplates', async (req, res) => {
+  try {
+    res.json({ templates: await judgeService.listTemplates() });
+  } catch (error) {
+    console.error('Error listing judge templates:', error);
+    res.status(500).json({ error: 'An error occurred while listing the judge templates.' });
+  }
+});
+
+/**
+ * Saves a judge template, replacing the saved template with the same id.
+ * POST /api/judgeTemplates {id, name, scale: {min, max}, criteria: [{name, description, weight}], prompt}
+ */
+router.post('/api/judgeTemplates', async (req, res) => {
+  try {
+    const template = await judgeService.saveTemplate(req.body);
+    res.json({ message: `Saved judge template ${template.name}.`, template });
+  } catch (error) {
+    if (error.code === 'INVALID_TEMPLATE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving a judge template:', error);
+    res.status(500).json({ error: 'An error occurred while saving the judge template.' });
+  }
+});
+
+/**
+ * Deletes a saved judge template; built-in templates cannot be deleted.
+ * DELETE /api/judgeTemplates/:id
+ */
+router.delete('/api/judgeTemplates/:id', async (req, res) => {
+  try {
+    if (!await judgeService.deleteTemplate(req.params.id)) {
+      return res.status(404).json({ error: 'No saved judge template with this id.' });
+    }
+    res.json({ message: 'Judge template deleted.' });
+  } catch (error) {
+    console.error(`Error deleting judge template ${req.params.id}:`, error);
+    res.status(500).json({ error: 'An error occurred while deleting the judge template.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// routes/pipelineRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const pipelineService = require('../services/pipelineService');
+
+/**
+ * Lists the saved pipelines.
+ * GET /api/pipelines
+ */
+router.get('/api/pipelines', async (req, res) => {
+  try {
+    res.json({ pipelines: await pipelineService.listPipelines() });
+  } catch (error) {
+    console.error('Error listing pipelines:', error);
+    res.status(500).json({ error: 'An error occurred while listing the pipelines.' });
+  }
+});
+
+/**
+ * Saves a pipeline, replacing the saved pipeline with the same id. Run one with POST /api/pipeline.
+ * POST /api/pipelines {id, name, steps: [{modelId, prompt, label}]}
+ */
+router.post('/api/pipelines', async (req, res) => {
+  try {
+    const pipeline = await pipelineService.savePipeline(req.body);
+    res.json({ message: `Saved pipeline ${pipeline.name}.`, pipeline });
+  } catch (error) {
+    if (error.code === 'INVALID_PIPELINE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving a pipeline:', error);
+    res.status(500).json({ error: 'An error occurred while saving the pipeline.' });
+  }
+});
+
+/**
+ * Deletes a saved pipeline.
+ * DELETE /api/pipelines/:id
+ */
+router.delete('/api/pipelines/:id', async (req, res) => {
+  try {
+    if (!await pipelineService.deletePipeline(req.params.id)) {
+      return res.status(404).json({ error: 'No saved pipeline with this id.' });
+    }
+    res.json({ message: 'Pipeline deleted.' });
+  } catch (error) {
+    console.error(`Error deleting pipeline ${req.params.id}:`, error);
+    res.status(500).json({ error: 'An error occurred while deleting the pipeline.' });
+  }
+});
+
+module.exports = router;
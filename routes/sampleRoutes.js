@@ -0,0 +1,32 @@
+// routes/sampleRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const sampleService = require('../services/sampleService');
+
+/**
+ * Keeps one of a model's samples (from a /api/submit with `samples`): it is stored in the model's chat history
+ * after the user message, and the other samples are dropped.
+ * POST /api/samples/:sampleSetId/keep {index}
+ */
+router.post('/api/samples/:sampleSetId/keep', async (req, res) => {
+  const { sampleSetId } = req.params;
+  try {
+    const { modelId, sample } = await sampleService.keepSample(sampleSetId, req.body.index);
+    res.json({ message: 'Sample added to the chat history.', model: modelId, sample });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_SAMPLE_SET') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'INVALID_SAMPLE') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'STALE_SAMPLE_SET') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error(`Error keeping a sample of set ${sampleSetId}:`, error);
+    res.status(500).json({ error: 'An error occurred while keeping the sample.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// routes/sessionRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const historyService = require('../services/historyService');
+
+/**
+ * Lists the stored chat sessions for the session sidebar, most recent first.
+ * GET /api/sessions
+ */
+router.get('/api/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await historyService.listSessions() });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'An error occurred while listing sessions.' });
+  }
+});
+
+/**
+ * Returns one session with every model's history and the quest log, so the chat page can restore its columns.
+ * GET /api/sessions/:guid
+ */
+router.get('/api/sessions/:guid', async (req, res) => {
+  try {
+    const session = await historyService.getSession(req.params.guid);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+    res.json({ session });
+  } catch (error) {
+    console.error(`Error loading session ${req.params.guid}:`, error);
+    res.status(500).json({ error: 'An error occurred while loading the session.' });
+  }
+});
+
+/**
+ * Renames a session.
+ * PATCH /api/sessions/:guid
+ */
+router.patch('/api/sessions/:guid', async (req, res) => {
+  const { title } = req.body;
+  if (typeof title !== 'string') {
+    return res.status(400).json({ error: 'title is required.' });
+  }
+
+  try {
+    const renamed = await historyService.renameSession(req.params.guid, title.trim());
+    if (!renamed) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+    res.json({ message: 'Session renamed.' });
+  } catch (error) {
+    console.error(`Error renaming session ${req.params.guid}:`, error);
+    res.status(500).json({ error: 'An error occurred while renaming the session.' });
+  }
+});
+
+/**
+ * Deletes a session together with every model's history in it.
+ * DELETE /api/sessions/:guid
+ */
+router.delete('/api/sessions/:guid', async (req, res) => {
+  try {
+    const deleted = await historyService.deleteSession(req.params.guid);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+    res.json({ message: 'Session deleted.' });
+  } catch (error) {
+    console.error(`Error deleting session ${req.params.guid}:`, error);
+    res.status(500).json({ error: 'An error occurred while deleting the session.' });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,12 @@ const config = require('./config');
 // --- Route Imports ---
 const chatRoutes = require('./routes/chatRoutes');
 const batchRoutes = require('./routes/batchRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const judgeRoutes = require('./routes/judgeRoutes');
+const arenaRoutes = require('./routes/arenaRoutes');
+const pipelineRoutes = require('./routes/pipelineRoutes');
+const sampleRoutes = require('./routes/sampleRoutes');
 
 // --- Express Server Setup ---
 const app = express();
@@ -34,6 +40,12 @@ app.use(cors()); // TODO: Restrict origins in production: https://expressjs.com/
 // Use the modularized routes
 app.use('/', chatRoutes);
 app.use('/', batchRoutes);
+app.use('/', sessionRoutes);
+app.use('/', adminRoutes);
+app.use('/', judgeRoutes);
+app.use('/', arenaRoutes);
+app.use('/', pipelineRoutes);
+app.use('/', sampleRoutes);
 
 
 // --- Generic Error Handling Middleware (optional but recommended) ---
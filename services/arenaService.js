@@ -0,0 +1,292 @@
+// services/arenaService.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getProvider, ARENA_VOTES_FILE } = require('../config');
+
+// --- Arena Rounds ---
+// A submission made in arena mode opens a round with the models that answered. The round waits in memory for the
+// vote; the vote is appended to ARENA_VOTES_FILE with everything needed to rate the models later.
+
+const ROUND_TTL_MS = 60 * 60 * 1000; // Rounds not voted on within an hour are dropped
+const VOTE_OUTCOMES = ['tie', 'both_bad'];
+const INITIAL_RATING = 1000;
+const ELO_K = 32;
+const BT_MAX_ITERATIONS = 200;
+
+/**
+ * @typedef {object} ArenaContender
+ * @property {string} modelId - The column that answered.
+ * @property {string} providerId - The provider (the source provider for cloned columns).
+ * @property {string} name - The provider's display name.
+ * @property {string} model - The model version that answered.
+ * @property {Record<string, string>} [params] - Generation parameters sent with the request.
+ * @property {string} [systemPrompt] - The system prompt the model got.
+ */
+
+/**
+ * @typedef {object} ArenaRound
+ * @property {string} id
+ * @property {string|null} guid
+ * @property {string} prompt
+ * @property {string} [temperature]
+ * @property {Array<ArenaContender>} models
+ * @property {string} submittedAt - ISO time the prompt was submitted.
+ * @property {string} answeredAt - ISO time the last answer came in.
+ */
+
+/**
+ * @typedef {ArenaRound & {votedAt: string, outcome: 'winner'|'tie'|'both_bad', winner: string|null}} ArenaVote
+ * `winner` is the modelId of the preferred answer when the outcome is 'winner'.
+ */
+
+/** @type {Map<string, ArenaRound>} Rounds waiting for a vote, by id. */
+const openRounds = new Map();
+/** @type {Array<ArenaVote>} Every vote, oldest first. */
+const votes = [];
+// Appends are chained so the file keeps the order of the votes
+let voteWrites = Promise.resolve();
+
+/**
+ * Reads the votes back from ARENA_VOTES_FILE. A damaged line is skipped rather than losing the rest.
+ */
+function loadVotes() {
+  let content;
+  try {
+    content = fs.readFileSync(ARENA_VOTES_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw new Error(`Could not read the arena votes ${ARENA_VOTES_FILE}: ${error.message}`);
+  }
+  content.split('\n').filter(line => line.trim()).forEach((line, index) => {
+    try {
+      votes.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Skipping line ${index + 1} of the arena votes: ${error.message}`);
+    }
+  });
+}
+
+loadVotes();
+
+/**
+ * @param {string} message
+ * @param {'UNKNOWN_ROUND'|'INVALID_VOTE'} code
+ * @returns {Error} An error about the vote the user sent.
+ */
+function voteError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Drops the rounds nobody voted on in time.
+ */
+function pruneRounds() {
+  const cutoff = Date.now() - ROUND_TTL_MS;
+  openRounds.forEach((round, id) => {
+    if (Date.parse(round.answeredAt) < cutoff) openRounds.delete(id);
+  });
+}
+
+/**
+ * Opens a round for the answers of an arena-mode submission.
+ * @param {object} submission
+ * @param {string|null} submission.guid
+ * @param {string} submission.prompt
+ * @param {string} [submission.temperature]
+ * @param {string} submission.submittedAt
+ * @param {Array<{modelId: string, model?: string, params?: Record<string, string>, systemPrompt?: string}>} submission.models
+ *   The models that answered; the version defaults to the provider's configured one.
+ * @returns {ArenaRound}
+ */
+function openRound({ guid, prompt, temperature, submittedAt, models }) {
+  pruneRounds();
+  /** @type {ArenaRound} */
+  const round = {
+    id: crypto.randomUUID(),
+    guid: guid || null,
+    prompt,
+    temperature,
+    models: models.map(({ modelId, model, params, systemPrompt }) => {
+      const provider = getProvider(modelId);
+      return {
+        modelId,
+        providerId: provider?.clonedFrom || modelId,
+        name: provider?.name || modelId,
+        model: model || provider?.model,
+        params: params || {},
+        systemPrompt: systemPrompt || '',
+      };
+    }),
+    submittedAt,
+    answeredAt: new Date().toISOString(),
+  };
+  openRounds.set(round.id, round);
+  return round;
+}
+
+/**
+ * Records the vote on an open round and closes it.
+ * @param {string} roundId
+ * @param {string} vote - The modelId of the better answer, 'tie' or 'both_bad'.
+ * @returns {ArenaVote} The stored vote, which reveals the models.
+ * @throws {Error} With code UNKNOWN_ROUND for unknown or expired rounds, INVALID_VOTE for a vote that names no model of the round.
+ */
+function recordVote(roundId, vote) {
+  pruneRounds();
+  const round = openRounds.get(roundId);
+  if (!round) {
+    throw voteError('This round is unknown, already voted on or expired.', 'UNKNOWN_ROUND');
+  }
+  const isOutcome = VOTE_OUTCOMES.includes(vote);
+  if (!isOutcome && !round.models.some(contender => contender.modelId === vote)) {
+    throw voteError(`vote must be one of the round's models, "tie" or "both_bad".`, 'INVALID_VOTE');
+  }
+
+  openRounds.delete(roundId);
+  /** @type {ArenaVote} */
+  const record = { ...round, votedAt: new Date().toISOString(), outcome: isOutcome ? vote : 'winner', winner: isOutcome ? null : vote };
+  votes.push(record);
+  voteWrites = voteWrites
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(ARENA_VOTES_FILE), { recursive: true });
+      await fs.promises.appendFile(ARENA_VOTES_FILE, `${JSON.stringify(record)}\n`);
+    })
+    .catch(error => console.error(`Could not write to the arena votes ${ARENA_VOTES_FILE}:`, error.message));
+  return record;
+}
+
+// --- Ratings ---
+
+/**
+ * Returns the key a contender is rated under: ratings are kept per model version, not per column.
+ * @param {ArenaContender} contender
+ * @returns {string}
+ */
+function ratingKey(contender) {
+  return `${contender.providerId}/${contender.model}`;
+}
+
+/**
+ * Turns votes into pairwise games. A winner beats every other model of its round (the losers play no game among
+ * themselves); a tie or a both-bad vote counts as a draw between every pair, as in public arenas. Two columns
+ * running the same version play no game.
+ * @param {Array<ArenaVote>} arenaVotes
+ * @returns {Array<{a: string, b: string, scoreA: number}>} scoreA is 1 for a win of `a`, 0.5 for a draw, 0 for a loss.
+ */
+function toGames(arenaVotes) {
+  return arenaVotes.flatMap(vote => vote.models.flatMap((first, index) => vote.models.slice(index + 1)
+    .filter(second => ratingKey(first) !== ratingKey(second))
+    .flatMap(second => {
+      if (vote.outcome !== 'winner') {
+        return [{ a: ratingKey(first), b: ratingKey(second), scoreA: 0.5 }];
+      }
+      if (first.modelId !== vote.winner && second.modelId !== vote.winner) {
+        return [];
+      }
+      return [{ a: ratingKey(first), b: ratingKey(second), scoreA: first.modelId === vote.winner ? 1 : 0 }];
+    })));
+}
+
+/**
+ * Online Elo over the games in the order they were played.
+ * @param {Array<{a: string, b: string, scoreA: number}>} games
+ * @returns {Map<string, number>}
+ */
+function computeElo(games) {
+  const ratings = new Map();
+  games.forEach(({ a, b, scoreA }) => {
+    const ratingA = ratings.get(a) ?? INITIAL_RATING;
+    const ratingB = ratings.get(b) ?? INITIAL_RATING;
+    const expectedA = 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+    ratings.set(a, ratingA + ELO_K * (scoreA - expectedA));
+    ratings.set(b, ratingB - ELO_K * (scoreA - expectedA));
+  });
+  return ratings;
+}
+
+/**
+ * Bradley-Terry strengths fitted with the minorization-maximization updates, shown on the Elo scale. Unlike Elo
+ * they do not depend on the order of the votes. Every pair that met gets one extra draw, so a model that never
+ * won still gets a finite rating.
+ * @param {Array<{a: string, b: string, scoreA: number}>} games
+ * @returns {Map<string, number>}
+ */
+function computeBradleyTerry(games) {
+  const wins = new Map(); // key -> points scored
+  const meetings = new Map(); // key -> Map(opponent -> games played)
+  const addMeeting = (a, b, count) => {
+    if (!meetings.has(a)) meetings.set(a, new Map());
+    meetings.get(a).set(b, (meetings.get(a).get(b) || 0) + count);
+  };
+  games.forEach(({ a, b, scoreA }) => {
+    const isFirstMeeting = !meetings.get(a)?.has(b);
+    const extra = isFirstMeeting ? 1 : 0;
+    wins.set(a, (wins.get(a) || 0) + scoreA + extra * 0.5);
+    wins.set(b, (wins.get(b) || 0) + (1 - scoreA) + extra * 0.5);
+    addMeeting(a, b, 1 + extra);
+    addMeeting(b, a, 1 + extra);
+  });
+
+  let strengths = new Map([...meetings.keys()].map(key => [key, 1]));
+  for (let iteration = 0; iteration < BT_MAX_ITERATIONS; iteration++) {
+    const next = new Map();
+    strengths.forEach((strength, key) => {
+      let denominator = 0;
+      meetings.get(key).forEach((count, opponent) => {
+        denominator += count / (strength + strengths.get(opponent));
+      });
+      next.set(key, wins.get(key) / denominator);
+    });
+    // Keep the geometric mean at 1 so the scale does not drift
+    const logMean = [...next.values()].reduce((sum, value) => sum + Math.log(value), 0) / next.size;
+    next.forEach((value, key) => next.set(key, value / Math.exp(logMean)));
+    const change = Math.max(...[...next].map(([key, value]) => Math.abs(value - strengths.get(key))));
+    strengths = next;
+    if (change < 1e-9) break;
+  }
+  return new Map([...strengths].map(([key, strength]) => [key, INITIAL_RATING + 400 * Math.log10(strength)]));
+}
+
+/**
+ * Rates every model version that took part in a vote, best first by Bradley-Terry rating.
+ * @returns {{votes: number, ratings: Array<{model: string, providerId: string, name: string, elo: number, bradleyTerry: number, votes: number, wins: number, losses: number, ties: number, bothBad: number}>}}
+ */
+function getLeaderboard() {
+  const games = toGames(votes);
+  const elo = computeElo(games);
+  const bradleyTerry = computeBradleyTerry(games);
+
+  const entries = new Map();
+  votes.forEach(vote => {
+    vote.models.forEach(contender => {
+      const key = ratingKey(contender);
+      if (!entries.has(key)) {
+        entries.set(key, { model: contender.model, providerId: contender.providerId, name: getProvider(contender.providerId)?.name || contender.name, votes: 0, wins: 0, losses: 0, ties: 0, bothBad: 0 });
+      }
+      const entry = entries.get(key);
+      entry.votes += 1;
+      if (vote.outcome === 'winner') {
+        entry[vote.winner === contender.modelId ? 'wins' : 'losses'] += 1;
+      } else {
+        entry[vote.outcome === 'tie' ? 'ties' : 'bothBad'] += 1;
+      }
+    });
+  });
+
+  const ratings = [...entries].map(([key, entry]) => ({
+    ...entry,
+    elo: Math.round(elo.get(key) ?? INITIAL_RATING),
+    bradleyTerry: Math.round(bradleyTerry.get(key) ?? INITIAL_RATING),
+  }));
+  ratings.sort((a, b) => b.bradleyTerry - a.bradleyTerry || b.elo - a.elo);
+  return { votes: votes.length, ratings };
+}
+
+module.exports = {
+  openRound,
+  recordVote,
+  getLeaderboard,
+};
@@ -9,8 +9,12 @@ const {
   ANTHROPIC_MODEL,
   ANTHROPIC_MAX_TOKENS,
   OPENAI_API_KEY,
+  getModelConfig,
+  getModelPricing,
 } = require('../config');
 const { getNonZeroStatus } = require('../utils/batchHelpers');
+const { withTotalTokens, calculateCost } = require('../utils/usage');
+const budgetService = require('./budgetService');
 
 // --- In-Memory Job Store (TO BE REPLACED WITH PERSISTENT STORAGE) ---
 const jobs = {}; // Structure: { internalJobId: { model, method, prompts, status, fullName, llmJobId, result, createdAt, lastChecked, successData } }
@@ -153,6 +157,9 @@ async function submitBatchJob(method, prompts, models, isSingleBatchChat, temper
     };
 
     try {
+      // Bulk jobs belong to no session, so only the daily and provider limits apply
+      const budget = budgetService.checkBudget(null, modelId);
+      if (!budget.allowed) throw new Error(budget.reason);
       if (modelId === 'gemini') {
         if (!GOOGLE_API_KEY) throw new Error('Gemini API key not configured.');
         const geminiRequests = formatGeminiBatchRequests(prompts, isSingleBatchChat, temperature, systemPrompt);
@@ -409,6 +416,9 @@ async function getBatchJobResult(internalJobIds, isSingleBatchChat, isFileUpload
         job.status = 'FAILED';
         job.result = `Failed to check status: ${error.message}`;
       }
+      if (job.status === 'COMPLETED') {
+        recordBatchSpend(job);
+      }
       job.lastChecked = new Date();
       statusUpdates[internalJobId] = { status: job.status, result: job.result, lastChecked: job.lastChecked, usageData: job.usageData };
     });
@@ -417,6 +427,22 @@ async function getBatchJobResult(internalJobIds, isSingleBatchChat, isFileUpload
   }
 }
 
+/**
+ * Books the cost of a finished text-input job against the budgets, once. Regular prices are used
+ * (the providers' batch discounts are not applied), so the booked spend errs on the high side.
+ * @param {object} job - An entry of `jobs` whose usageData has been read.
+ */
+function recordBatchSpend(job) {
+  if (job.spendRecorded || !job.usageData || typeof job.usageData !== 'object') {
+    return;
+  }
+  // Gemini usage is aggregated into a usageMetadata object, Claude's is summed in the Messages API shape
+  const rawUsage = job.model === 'gemini' ? job.usageData.usageMetadata : job.usageData;
+  const usage = withTotalTokens(getModelConfig(job.model)?.parseUsage(rawUsage));
+  budgetService.recordSpend({ guid: null, modelId: job.model, usage, cost: calculateCost(usage, getModelPricing(job.model)) });
+  job.spendRecorded = true;
+}
+
 /**
  * Parses Gemini batch inline responses from the LRO object.
  * @param {Object} lroInfo The full LRO response data.
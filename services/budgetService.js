@@ -0,0 +1,264 @@
+// services/budgetService.js
+const fs = require('fs');
+const path = require('path');
+const {
+  getProvider,
+  getProviders,
+  getModelPricing,
+  PRICING_CURRENCY,
+  PRICING_FILE,
+  BUDGET_SESSION_LIMIT,
+  BUDGET_DAILY_LIMIT,
+  BUDGET_PROVIDER_DAILY_LIMIT,
+  BUDGET_WARN_THRESHOLDS,
+  BUDGET_LEDGER_FILE,
+} = require('../config');
+
+// --- Spend Ledger ---
+// Every priced call is appended to BUDGET_LEDGER_FILE as one JSON line. The totals the limits are checked against
+// are kept in memory and rebuilt from the ledger at startup, so limits hold across restarts.
+
+/**
+ * @typedef {object} LedgerEntry
+ * @property {string} at - ISO time of the call.
+ * @property {string|null} guid - The session the call was made for (null for bulk jobs).
+ * @property {string} providerId - The provider the spend counts against (the source provider for cloned columns).
+ * @property {string} modelId - The provider (column) that was called.
+ * @property {string} [model] - The model version.
+ * @property {import('../config/adapters/shared').Usage} [usage]
+ * @property {number} cost - In PRICING_CURRENCY.
+ */
+
+/**
+ * @typedef {object} BudgetStatus
+ * @property {'session'|'daily'|'provider'} scope
+ * @property {number} spent
+ * @property {number} limit
+ * @property {string} reason - Says which limit was reached, for the skipped column.
+ */
+
+/**
+ * @typedef {object} BudgetWarning
+ * @property {'session'|'daily'|'provider'} scope
+ * @property {number} threshold - The share of the limit that was crossed (1 when the limit was reached).
+ * @property {number} spent
+ * @property {number} limit
+ * @property {string} currency
+ * @property {string} message
+ */
+
+/** @type {{ days: Map<string, {total: number, providers: Map<string, number>}>, sessions: Map<string, number> }} */
+const spend = { days: new Map(), sessions: new Map() };
+// Appends are chained so ledger lines keep the order of the calls
+let ledgerWrites = Promise.resolve();
+
+/**
+ * Returns the UTC day a time falls on, as the key days are totalled under.
+ * @param {Date|string} [time]
+ * @returns {string} e.g. "2025-11-20"
+ */
+function dayKey(time = new Date()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Adds one ledger entry to the in-memory totals.
+ * @param {LedgerEntry} entry
+ */
+function addToTotals(entry) {
+  const day = dayKey(entry.at);
+  if (!spend.days.has(day)) {
+    spend.days.set(day, { total: 0, providers: new Map() });
+  }
+  const dayTotals = spend.days.get(day);
+  dayTotals.total += entry.cost;
+  dayTotals.providers.set(entry.providerId, (dayTotals.providers.get(entry.providerId) || 0) + entry.cost);
+  if (entry.guid) {
+    spend.sessions.set(entry.guid, (spend.sessions.get(entry.guid) || 0) + entry.cost);
+  }
+}
+
+/**
+ * Rebuilds the totals from the ledger file. A damaged line is skipped rather than losing the rest.
+ */
+function loadLedger() {
+  let content;
+  try {
+    content = fs.readFileSync(BUDGET_LEDGER_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw new Error(`Could not read the spend ledger ${BUDGET_LEDGER_FILE}: ${error.message}`);
+  }
+  content.split('\n').filter(line => line.trim()).forEach((line, index) => {
+    try {
+      const entry = JSON.parse(line);
+      if (Number.isFinite(entry.cost)) addToTotals(entry);
+    } catch (error) {
+      console.error(`Skipping line ${index + 1} of the spend ledger: ${error.message}`);
+    }
+  });
+}
+
+loadLedger();
+
+// --- Limits ---
+
+/**
+ * Returns the provider whose budget a column's calls count against: copies made with cloneProvider share their source's.
+ * @param {string} modelId
+ * @returns {string}
+ */
+function getBudgetProviderId(modelId) {
+  return getProvider(modelId)?.clonedFrom || modelId;
+}
+
+/**
+ * Formats an amount in the pricing currency; small amounts keep enough decimals to be told apart from zero.
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+  return `${amount.toFixed(amount > 0 && amount < 0.01 ? 4 : 2)} ${PRICING_CURRENCY}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text with its first letter in upper case.
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Lists the limits a call counts against, with what has been spent under each. Limits that are not set are left out.
+ * @param {string|null} guid
+ * @param {string} modelId
+ * @returns {Array<{scope: 'session'|'daily'|'provider', spent: number, limit: number, subject: string, period: string}>}
+ */
+function getApplicableLimits(guid, modelId) {
+  const providerId = getBudgetProviderId(modelId);
+  const today = spend.days.get(dayKey());
+  const providerLimit = getProvider(providerId)?.budget.dailyLimit ?? BUDGET_PROVIDER_DAILY_LIMIT;
+  return [
+    guid && { scope: 'session', spent: spend.sessions.get(guid) || 0, limit: BUDGET_SESSION_LIMIT, subject: 'this session', period: '' },
+    { scope: 'daily', spent: today?.total || 0, limit: BUDGET_DAILY_LIMIT, subject: 'all providers together', period: ' today' },
+    { scope: 'provider', spent: today?.providers.get(providerId) || 0, limit: providerLimit, subject: getProvider(providerId)?.name || providerId, period: ' today' },
+  ].filter(entry => entry && entry.limit > 0);
+}
+
+/**
+ * Checks whether a model may be called: it may not once any limit it counts against is used up. A model version
+ * without prices may not be called while a limit applies to it either, as its spend could not be counted.
+ * Calls already running are not stopped, so spend can end up slightly above a limit.
+ * @param {string|null} guid - The session GUID (null for calls outside a session, e.g. bulk jobs).
+ * @param {string} modelId
+ * @param {string} [model] - The model version; the provider's configured one when omitted.
+ * @returns {{allowed: true}|({allowed: false} & BudgetStatus)}
+ */
+function checkBudget(guid, modelId, model) {
+  const limits = getApplicableLimits(guid, modelId);
+  const reached = limits.find(entry => entry.spent >= entry.limit);
+  if (reached) {
+    const limitName = reached.scope === 'session' ? 'session limit' : 'daily limit';
+    return {
+      allowed: false,
+      scope: reached.scope,
+      spent: reached.spent,
+      limit: reached.limit,
+      reason: `Budget reached: ${reached.subject} spent ${formatAmount(reached.spent)}${reached.period} of the ${formatAmount(reached.limit)} ${limitName}.`,
+    };
+  }
+  if (limits.length > 0 && !getModelPricing(modelId, model)) {
+    const [limit] = limits;
+    return {
+      allowed: false,
+      scope: limit.scope,
+      spent: limit.spent,
+      limit: limit.limit,
+      reason: `No prices for ${model || getProvider(modelId)?.model || modelId}, so its spend cannot be counted against the spending limits. Add it to ${path.basename(PRICING_FILE)} or pick a priced version.`,
+    };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Books the cost of a call and returns a warning for each limit whose warning threshold (BUDGET_WARN_THRESHOLDS)
+ * or end it crossed. Only the highest threshold crossed by one call is reported per limit.
+ * @param {object} call
+ * @param {string|null} call.guid
+ * @param {string} call.modelId
+ * @param {string} [call.model]
+ * @param {import('../config/adapters/shared').Usage} [call.usage]
+ * @param {number} call.cost - In PRICING_CURRENCY; calls without a known cost are not booked.
+ * @returns {Array<BudgetWarning>}
+ */
+function recordSpend({ guid, modelId, model, usage, cost }) {
+  if (!Number.isFinite(cost) || cost <= 0) {
+    return [];
+  }
+  const before = getApplicableLimits(guid, modelId);
+  /** @type {LedgerEntry} */
+  const entry = { at: new Date().toISOString(), guid: guid || null, providerId: getBudgetProviderId(modelId), modelId, model, usage, cost };
+  addToTotals(entry);
+  ledgerWrites = ledgerWrites
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(BUDGET_LEDGER_FILE), { recursive: true });
+      await fs.promises.appendFile(BUDGET_LEDGER_FILE, `${JSON.stringify(entry)}\n`);
+    })
+    .catch(error => console.error(`Could not write to the spend ledger ${BUDGET_LEDGER_FILE}:`, error.message));
+
+  return before.flatMap(({ scope, spent, limit, subject, period }) => {
+    const after = spent + cost;
+    const crossed = [...BUDGET_WARN_THRESHOLDS, 1]
+      .filter(threshold => spent < threshold * limit && after >= threshold * limit)
+      .sort((a, b) => b - a)[0];
+    if (crossed === undefined) {
+      return [];
+    }
+    const limitName = scope === 'session' ? 'session limit' : 'daily limit';
+    const message = crossed === 1
+      ? `${capitalize(subject)} reached the ${formatAmount(limit)} ${limitName} (${formatAmount(after)} spent${period}); further requests are skipped.`
+      : `${capitalize(subject)} spent ${formatAmount(after)}${period}, ${Math.round((after / limit) * 100)}% of the ${formatAmount(limit)} ${limitName}.`;
+    return [{ scope, threshold: crossed, spent: after, limit, currency: PRICING_CURRENCY, message }];
+  });
+}
+
+/**
+ * Summarizes current spend for the admin endpoint: today's totals by provider, every session's lifetime spend
+ * (highest first), the daily totals of the last `days` days and the limits in force.
+ * @param {number} [days=7]
+ * @returns {object}
+ */
+function getSpendReport(days = 7) {
+  const today = dayKey();
+  const todayTotals = spend.days.get(today);
+  return {
+    currency: PRICING_CURRENCY,
+    today: {
+      date: today,
+      total: todayTotals?.total || 0,
+      providers: Object.fromEntries(todayTotals?.providers || []),
+    },
+    days: [...spend.days.keys()].sort().reverse().slice(0, days)
+      .map(date => ({ date, total: spend.days.get(date).total })),
+    sessions: [...spend.sessions.entries()]
+      .map(([guid, total]) => ({ guid, total }))
+      .sort((a, b) => b.total - a.total),
+    limits: {
+      session: BUDGET_SESSION_LIMIT || null,
+      daily: BUDGET_DAILY_LIMIT || null,
+      providerDaily: BUDGET_PROVIDER_DAILY_LIMIT || null,
+      providers: Object.fromEntries(getProviders()
+        .filter(provider => !provider.clonedFrom && provider.budget.dailyLimit !== undefined)
+        .map(provider => [provider.id, provider.budget.dailyLimit])),
+      warnThresholds: BUDGET_WARN_THRESHOLDS,
+    },
+    ledgerFile: BUDGET_LEDGER_FILE,
+  };
+}
+
+module.exports = {
+  checkBudget,
+  recordSpend,
+  getSpendReport,
+};
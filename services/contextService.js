@@ -0,0 +1,198 @@
+// services/contextService.js
+const crypto = require('crypto');
+const { getProvider, CONTEXT_STRATEGY, CONTEXT_KEEP_TURNS, CONTEXT_SUMMARY_MODEL } = require('../config');
+const { estimateTextTokens, estimateMessageTokens } = require('../utils/tokens');
+const historyService = require('./historyService');
+
+// --- Context Budgets ---
+// A model's budget is its context window (limits.contextWindow) minus the tokens reserved for the answer and the
+// system prompt. Stored histories are never shortened here: only the messages sent for one call are trimmed.
+
+const CONTEXT_STRATEGIES = ['drop_oldest', 'keep_last_n', 'summarize'];
+// A summary may take up this share of the budget (at most SUMMARY_MAX_TOKENS)
+const SUMMARY_BUDGET_SHARE = 0.25;
+const SUMMARY_MAX_TOKENS = 1000;
+const SUMMARY_HEADER = '[Summary of the earlier conversation]';
+const SUMMARY_SYSTEM_PROMPT = 'You condense conversations. Reply with the summary only.';
+
+/**
+ * @typedef {object} ContextTrim
+ * @property {string} strategy - The strategy that was applied; 'drop_oldest' when the configured one could not be.
+ * @property {number} droppedMessages - How many of the oldest messages were left out (summarized ones included).
+ * @property {number} keptMessages - How many messages were sent.
+ * @property {boolean} summarized - Whether a summary of the left-out messages was sent in their place.
+ * @property {string} [summaryModel] - The model that wrote the summary.
+ * @property {number} estimatedTokens - Estimated size of the whole history.
+ * @property {number} sentTokens - Estimated size of what was sent.
+ * @property {number} budget - The tokens available for the history.
+ * @property {string} [warning] - Why the configured strategy was not (fully) applied.
+ */
+
+/**
+ * Returns how a model's history is kept within its context window: the provider's `context` settings,
+ * falling back to CONTEXT_STRATEGY, CONTEXT_KEEP_TURNS and CONTEXT_SUMMARY_MODEL.
+ * @param {string} modelId
+ * @returns {{contextWindow: number|undefined, strategy: string, keepTurns: number, summaryModel: string}}
+ */
+function getContextSettings(modelId) {
+  const provider = getProvider(modelId);
+  const context = provider?.context || {};
+  const strategy = [context.strategy, CONTEXT_STRATEGY].find(name => CONTEXT_STRATEGIES.includes(name)) || 'drop_oldest';
+  return {
+    contextWindow: provider?.limits.contextWindow,
+    strategy,
+    keepTurns: Math.max(1, context.keepTurns ?? CONTEXT_KEEP_TURNS),
+    summaryModel: context.summaryModel || CONTEXT_SUMMARY_MODEL || modelId,
+  };
+}
+
+/**
+ * Hashes messages in provider-neutral form, to tell whether a stored summary still matches them.
+ * @param {Array<import('../config/adapters/shared').CanonicalMessage>} messages
+ * @returns {string}
+ */
+function hashMessages(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+/**
+ * Writes messages out as a plain transcript for the summary model.
+ * @param {Array<import('../config/adapters/shared').CanonicalMessage>} messages
+ * @returns {string}
+ */
+function toTranscript(messages) {
+  return messages.map(message => {
+    const attachments = message.attachments.map(attachment => `[${attachment.name}]`);
+    return `${message.role === 'user' ? 'User' : 'Assistant'}: ${[...attachments, message.text].join(' ')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Fits the messages of one call into the model's context budget. Histories within budget, and models without
+ * a known context window, are returned unchanged. Otherwise the oldest turns are left out according to the
+ * model's strategy; the kept messages always start with a user message and include the newest one.
+ * - drop_oldest: leaves out as few of the oldest turns as needed.
+ * - keep_last_n: keeps the last `keepTurns` turns (fewer if they do not fit either).
+ * - summarize: replaces the oldest turns by a summary, written by the summary model and stored with the session,
+ *   so later calls reuse it until the history outgrows it. Enough turns are summarized for the rest to fill at most
+ *   half the budget. When the summary cannot be written, drop_oldest is used instead.
+ * @param {string} modelId
+ * @param {object} apiConfig - The model configuration (see config/adapters), for its message converters.
+ * @param {Array<object>} history - The messages to send, the new user message last.
+ * @param {object} [options]
+ * @param {string} [options.guid] - The session GUID, under which summaries are stored.
+ * @param {string} [options.systemPrompt] - Counted against the budget.
+ * @param {number} [options.reservedTokens=0] - Tokens kept free for the answer.
+ * @param {(summaryModelId: string, prompt: string, systemPrompt: string) => Promise<string>} [options.summarize] - Asks a model for a summary.
+ * @returns {Promise<{messages: Array<object>, trim: ContextTrim|null}>} The messages to send, and what was trimmed (null if nothing).
+ */
+async function fitHistory(modelId, apiConfig, history, { guid, systemPrompt, reservedTokens = 0, summarize } = {}) {
+  const settings = getContextSettings(modelId);
+  if (!settings.contextWindow || !apiConfig.toCanonical) {
+    return { messages: history, trim: null };
+  }
+
+  const canonical = history.map(apiConfig.toCanonical);
+  const sizes = canonical.map(estimateMessageTokens);
+  const tokensFrom = (start) => sizes.slice(start).reduce((total, size) => total + size, 0);
+  const estimatedTokens = tokensFrom(0);
+  const budget = settings.contextWindow - reservedTokens - estimateTextTokens(systemPrompt);
+  // Trimming can only start the sent history at a later user message
+  const turnStarts = canonical.map((message, index) => (message.role === 'user' ? index : -1)).filter(index => index > 0);
+  if (estimatedTokens <= budget || turnStarts.length === 0) {
+    return { messages: history, trim: null };
+  }
+
+  const lastTurnStart = turnStarts[turnStarts.length - 1];
+  const dropOldest = (limit, from = 0) => turnStarts.find(start => start >= from && tokensFrom(start) <= limit) ?? lastTurnStart;
+  let strategy = settings.strategy;
+  let start;
+  let summary = null;
+  let warning;
+
+  if (strategy === 'keep_last_n') {
+    const userStarts = canonical.map((message, index) => (message.role === 'user' ? index : -1)).filter(index => index >= 0);
+    start = dropOldest(budget, userStarts[userStarts.length - settings.keepTurns] ?? 0);
+  } else if (strategy === 'summarize') {
+    try {
+      ({ start, summary } = await summarizeOldestTurns(modelId, guid, canonical, { budget, settings, turnStarts, tokensFrom, dropOldest, summarize }));
+    } catch (error) {
+      console.warn(`Could not summarize the history of ${modelId}, dropping the oldest turns instead:`, error.message);
+      warning = `The summary could not be written (${error.message}); the oldest turns were dropped instead.`;
+      strategy = 'drop_oldest';
+    }
+  }
+  if (start === undefined) {
+    start = dropOldest(budget);
+  }
+
+  const messages = history.slice(start);
+  if (summary) {
+    const first = canonical[start];
+    messages[0] = apiConfig.fromCanonical({ ...first, text: `${SUMMARY_HEADER}\n${summary.text}\n\n---\n\n${first.text}` });
+  }
+  const sentTokens = tokensFrom(start) + (summary ? estimateTextTokens(summary.text) : 0);
+  if (sentTokens > budget && !warning) {
+    warning = 'The newest turn alone is larger than the context budget.';
+  }
+  return {
+    messages,
+    trim: {
+      strategy,
+      droppedMessages: start,
+      keptMessages: messages.length,
+      summarized: Boolean(summary),
+      ...(summary ? { summaryModel: summary.model } : {}),
+      estimatedTokens,
+      sentTokens,
+      budget,
+      ...(warning ? { warning } : {}),
+    },
+  };
+}
+
+/**
+ * Finds or writes the summary that stands in for a history's oldest turns.
+ * The stored summary is reused while it still matches those turns and the turns after it fit next to it;
+ * a new one builds on the stored one, so earlier turns are not summarized again.
+ * @param {string} modelId
+ * @param {string} guid
+ * @param {Array<import('../config/adapters/shared').CanonicalMessage>} canonical - The history in provider-neutral form.
+ * @param {object} context - Budget helpers computed by fitHistory.
+ * @returns {Promise<{start: number, summary: import('./historyService').ContextSummary}>} Where the kept messages start.
+ */
+async function summarizeOldestTurns(modelId, guid, canonical, { budget, settings, turnStarts, tokensFrom, dropOldest, summarize }) {
+  if (!summarize || !guid) {
+    throw new Error('no summary model available');
+  }
+  const stored = await historyService.getContextSummary(modelId, guid);
+  const storedIsCurrent = stored && turnStarts.includes(stored.coveredCount)
+    && stored.hash === hashMessages(canonical.slice(0, stored.coveredCount));
+  if (storedIsCurrent && estimateTextTokens(stored.text) + tokensFrom(stored.coveredCount) <= budget) {
+    return { start: stored.coveredCount, summary: stored };
+  }
+
+  const summaryTokens = Math.min(SUMMARY_MAX_TOKENS, Math.floor(budget * SUMMARY_BUDGET_SHARE));
+  const start = dropOldest((budget - summaryTokens) / 2);
+  const from = storedIsCurrent && stored.coveredCount <= start ? stored.coveredCount : 0;
+  const prompt = [
+    `Summarize the conversation below in at most ${Math.floor(summaryTokens * 0.75)} words, so that it can be continued without it.`,
+    'Keep facts, names, numbers, decisions and open questions.',
+    ...(from ? [`It continues an earlier part that was summarized as:\n${stored.text}`] : []),
+    `Conversation:\n${toTranscript(canonical.slice(from, start))}`,
+  ].join('\n\n');
+  const text = (await summarize(settings.summaryModel, prompt, SUMMARY_SYSTEM_PROMPT) || '').trim();
+  if (!text) {
+    throw new Error('the summary model returned no text');
+  }
+
+  const summary = { coveredCount: start, hash: hashMessages(canonical.slice(0, start)), text, model: settings.summaryModel };
+  await historyService.saveContextSummary(modelId, guid, summary);
+  return { start, summary };
+}
+
+module.exports = {
+  CONTEXT_STRATEGIES,
+  getContextSettings,
+  fitHistory,
+};
@@ -0,0 +1,77 @@
+// services/debateService.js
+const { getProvider } = require('../config');
+
+// --- Debates ---
+// In a debate every participant first answers the question, then gets a number of rounds in which it sees the
+// other participants' latest answers, with their names, and revises or rebuts them. The rounds go through the
+// participants' own chat histories, so each one keeps its earlier answers in context.
+
+const MAX_DEBATE_ROUNDS = 5;
+const DEFAULT_MODERATOR_INSTRUCTIONS = "Below are the other participants' latest answers to the same question. "
+  + 'Point out anything in them you believe is wrong or missing, and revise your own answer where they convinced you. '
+  + 'Say so when you still disagree, and why.';
+const FINAL_ROUND_NOTE = 'This is the last round: end with your final answer to the question.';
+
+/**
+ * @param {string} message
+ * @returns {Error} An error for debate settings the user has to fix (code INVALID_DEBATE).
+ */
+function invalidDebate(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_DEBATE';
+  return error;
+}
+
+/**
+ * Checks a debate's settings.
+ * @param {object} settings
+ * @param {Array<string>} settings.modelIds - The participants.
+ * @param {number} settings.rounds - Revision rounds after the opening answers.
+ * @param {string} [settings.moderator] - Instructions sent with the other participants' answers; a default when empty.
+ * @returns {{modelIds: Array<string>, rounds: number, moderator: string}}
+ * @throws {Error} With code INVALID_DEBATE when the settings are invalid.
+ */
+function normalizeDebate({ modelIds, rounds, moderator }) {
+  const participants = Array.isArray(modelIds) ? [...new Set(modelIds)] : [];
+  if (participants.length < 2) {
+    throw invalidDebate('A debate needs at least two models.');
+  }
+  const unknown = participants.find(modelId => !getProvider(modelId));
+  if (unknown) {
+    throw invalidDebate(`Unknown model: ${unknown}`);
+  }
+  if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_DEBATE_ROUNDS) {
+    throw invalidDebate(`rounds must be a whole number from 1 to ${MAX_DEBATE_ROUNDS}.`);
+  }
+  return {
+    modelIds: participants,
+    rounds,
+    moderator: (typeof moderator === 'string' && moderator.trim()) || DEFAULT_MODERATOR_INSTRUCTIONS,
+  };
+}
+
+/**
+ * Builds the message a participant gets in a revision round: the moderator's instructions and every other
+ * participant's latest answer, each headed with the participant's name.
+ * @param {object} round
+ * @param {string} round.moderator
+ * @param {Array<{modelId: string, text: string}>} round.answers - The other participants' latest answers.
+ * @param {number} round.round - The round, from 1.
+ * @param {number} round.rounds - The number of revision rounds.
+ * @returns {string}
+ */
+function buildRoundPrompt({ moderator, answers, round, rounds }) {
+  const attributed = answers
+    .map(({ modelId, text }) => `--- Answer from ${getProvider(modelId)?.name || modelId} ---\n${text}`)
+    .join('\n\n');
+  const parts = [`Debate round ${round} of ${rounds}. ${moderator}`, attributed];
+  if (round === rounds) {
+    parts.push(FINAL_ROUND_NOTE);
+  }
+  return parts.join('\n\n');
+}
+
+module.exports = {
+  normalizeDebate,
+  buildRoundPrompt,
+};
@@ -2,6 +2,9 @@
 const axios = require("axios");
 const fs = require('fs');
 const fsPromise = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 const mime = require('mime-types');
 const nFormData = require('form-data'); // Renamed from FormData to nFormData to avoid conflict
 
@@ -12,13 +15,14 @@ const { UPLOAD_BASE_URL, GOOGLE_API_KEY, OPENAI_API_KEY } = require('../config')
  * @param {string} filePath - The local path to the file to upload (e.g., from Multer temp storage).
  * @param {string} displayName - The display name for the file in the API.
  * @param {string} initialRequestContentType - The Content-Type header for the initial metadata request (e.g., 'application/json').
+ * @param {string} [mimeType] - The file's MIME type; derived from the file name when omitted.
  * @returns {Promise<object>} - The parsed JSON response from the final upload step, containing file.uri etc.
  */
-async function uploadFileResumable(filePath, displayName, initialRequestContentType) {
+async function uploadFileResumable(filePath, displayName, initialRequestContentType, mimeType) {
   try {
     const fileStats = await fsPromise.stat(filePath); // Use async fs.promises.stat
     const numBytes = fileStats.size;
-    let mimeType = mime.lookup(filePath) || 'application/json';
+    mimeType = mimeType || mime.lookup(filePath) || 'application/json';
 
     console.log(`Uploading file from temp storage: ${filePath}`);
     console.log(`Size: ${numBytes} bytes`);
@@ -125,8 +129,22 @@ async function uploadFileToOpenAI(filePath, purpose) {
     }
 }
 
+/**
+ * Uploads a chat attachment (base64 from the browser) to the Gemini File API, for files too large to send inline.
+ * The bytes are written to a temporary file first because uploadFileResumable streams from disk (and deletes it afterwards).
+ * @param {import('../utils/attachments').Attachment} attachment - The prepared attachment.
+ * @returns {Promise<string>} The file URI to reference in a `file_data` part.
+ */
+async function uploadAttachmentToGemini(attachment) {
+  const safeName = path.basename(attachment.name).replace(/[^\w.\-]+/g, '_');
+  const tempFilePath = path.join(os.tmpdir(), `${crypto.randomUUID()}-${safeName}`);
+  await fsPromise.writeFile(tempFilePath, Buffer.from(attachment.data, 'base64'));
+  const uploaded = await uploadFileResumable(tempFilePath, attachment.name, 'application/json', attachment.mimeType);
+  return uploaded.file.uri;
+}
 
 module.exports = {
   uploadFileResumable,
+  uploadAttachmentToGemini,
   uploadFileToOpenAI,
 };
\ No newline at end of file
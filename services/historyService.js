@@ -1,43 +1,595 @@
 // services/historyService.js
 
-// --- In-Memory State Management (TO BE REPLACED WITH PERSISTENT STORAGE) ---
-/** @type {Record<string, Array<{ role: string, parts: Array<{ text: string }> }>>} Cache for Google Gemini chat sessions, keyed by session GUID. */
-const geminiChatSessions = {};
-/** @type {Record<string, Array<{ role: string, content: string }>>} Cache for Deepseek message history, keyed by session GUID. */
-const deepseekMessageHistories = {};
-/** @type {Record<string, Array<{ role: string, content: string }>>} Cache for OpenAI GPT message history, keyed by session GUID. */
-const openAIGptMessageHistories = {};
-/** @type {Record<string, Array<{ role: string, content: string }>>} Cache for Anthropic Claude message history, keyed by session GUID. */
-const anthropicClaudeMessageHistories = {};
-/** @type {Record<string, Array<{ role: string, content: string }>>} Cache for Grok message history, keyed by session GUID. */
-const grokMessageHistories = {};
-
-/**
- * Returns the appropriate history container for a given model ID.
+const { getProvider, getModelConfig, HISTORY_STORE, HISTORY_DATA_DIR } = require('../config');
+const { createStore } = require('./storage');
+const { addUsage } = require('../utils/usage');
+
+// --- Session Storage ---
+/**
+ * Sessions are keyed by the GUID the chat page generates. Each one holds every model's message array,
+ * stored in the provider's native message shape. The backend is chosen by HISTORY_STORE.
+ * @type {import('./storage').SessionStore}
+ */
+const store = createStore(HISTORY_STORE, { dataDir: HISTORY_DATA_DIR });
+
+/**
+ * Pending updates per session GUID. Every read-modify-write of a session is chained here, so concurrent
+ * model responses for the same session do not overwrite each other's messages.
+ * @type {Map<string, Promise<any>>}
+ */
+const sessionLocks = new Map();
+
+/**
+ * GUIDs of sessions deleted since the server started. Updates still queued or in flight for one of them
+ * (a model that was answering while the session was deleted) must not bring the session back.
+ * @type {Set<string>}
+ */
+const deletedSessions = new Set();
+
+/**
+ * Throws for model IDs that are not in the provider registry.
+ * @param {string} modelId
+ */
+function assertKnownModel(modelId) {
+  if (!getProvider(modelId)) {
+    throw new Error(`Invalid modelId: ${modelId}`);
+  }
+}
+
+/**
+ * Loads a session, applies `updater` and saves the session if the updater reports a change.
+ * Updates of the same session run one after another.
+ * @param {string} guid - The session GUID.
+ * @param {(session: import('./storage').Session) => boolean} updater - Mutates the session; returns true if it changed anything.
+ * @param {object} [options]
+ * @param {boolean} [options.create=true] - Start a new session when none exists (unless it was deleted); otherwise resolve to false.
+ * @returns {Promise<boolean>} What the updater returned.
+ */
+function updateSession(guid, updater, { create = true } = {}) {
+  return queueSessionTask(guid, async () => {
+    const now = new Date().toISOString();
+    let session = await store.loadSession(guid);
+    if (!session) {
+      if (!create || deletedSessions.has(guid)) return false;
+      session = { guid, title: '', createdAt: now, updatedAt: now, quest: [], histories: {}, branches: {} };
+    }
+    const modified = updater(session);
+    if (modified) {
+      // An emptied history is dropped rather than stored as an empty array
+      Object.keys(session.histories).forEach(modelId => {
+        if (session.histories[modelId].length === 0) delete session.histories[modelId];
+      });
+      session.updatedAt = now;
+      await store.saveSession(session);
+    }
+    return modified;
+  });
+}
+
+/**
+ * Runs `task` once every pending update of the session has settled, and makes later updates wait for it.
+ * @template T
+ * @param {string} guid - The session GUID.
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+function queueSessionTask(guid, task) {
+  const previous = sessionLocks.get(guid) || Promise.resolve();
+  const update = previous.catch(() => {}).then(task);
+  sessionLocks.set(guid, update);
+  update.finally(() => {
+    if (sessionLocks.get(guid) === update) sessionLocks.delete(guid);
+  }).catch(() => {});
+  return update;
+}
+
+/**
+ * Reduces a stored message (in any provider's native shape) to what the chat page's history list shows.
+ * @param {object} message - An OpenAI/Anthropic/Ollama `{role, content}` or Gemini `{role, parts}` message.
+ * @returns {{role: 'user'|'model', text: string, input: string}} `input` is the part of the text an edit replaces
+ * (see withMessageText), without inlined text files.
+ */
+function toDisplayMessage(message) {
+  if (typeof message.content === 'string') {
+    return { role: message.role === 'user' ? 'user' : 'model', text: message.content, input: message.content };
+  }
+  const parts = message.content || message.parts || [];
+  return {
+    role: message.role === 'user' ? 'user' : 'model',
+    text: parts.map(part => part.text ?? `[${part.type || 'file'}]`).join('\n'),
+    input: parts.findLast(part => part.text !== undefined)?.text ?? '',
+  };
+}
+
+/**
+ * Replaces the last text part of a list of message parts, or appends one if there is none.
+ * @param {Array<object>} parts
+ * @param {(part: object) => boolean} isText
+ * @param {object} textPart - The replacement part.
+ * @returns {Array<object>}
+ */
+function replaceLastTextPart(parts, isText, textPart) {
+  const index = parts.findLastIndex(isText);
+  return index === -1 ? [...parts, textPart] : parts.map((part, partIndex) => (partIndex === index ? textPart : part));
+}
+
+/**
+ * Replaces the text of a stored message, keeping its other parts (images, files) and its native shape.
+ * Text files are inlined as text parts before the typed text (see formatTextAttachment), so only the last text
+ * part is replaced.
+ * @param {object} message - A message as stored (see toDisplayMessage).
+ * @param {string} text - The new text.
+ * @returns {object} The edited copy.
+ */
+function withMessageText(message, text) {
+  if (Array.isArray(message.content)) {
+    return { ...message, content: replaceLastTextPart(message.content, part => part.type === 'text', { type: 'text', text }) };
+  }
+  if (Array.isArray(message.parts)) {
+    return { ...message, parts: replaceLastTextPart(message.parts, part => part.text !== undefined, { text }) };
+  }
+  return { ...message, content: text };
+}
+
+/**
+ * Summarises a session for the session list.
+ * @param {import('./storage').Session} session
+ * @returns {{guid: string, title: string, createdAt: string, updatedAt: string, models: Array<string>, messageCount: number}}
+ */
+function toSessionSummary(session) {
+  const histories = Object.values(session.histories);
+  return {
+    guid: session.guid,
+    title: session.title || session.quest?.[0] || 'Untitled session',
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    models: Object.keys(session.histories),
+    messageCount: histories.reduce((count, history) => count + history.length, 0),
+  };
+}
+
+/**
+ * Lists the stored sessions, most recently updated first.
+ * @returns {Promise<Array<ReturnType<typeof toSessionSummary>>>}
+ */
+async function listSessions() {
+  const sessions = await store.listSessions();
+  return sessions
+    .map(toSessionSummary)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Returns a session in the shape the chat page restores its columns from.
+ * @param {string} guid - The session GUID.
+ * @returns {Promise<object|null>} The summary plus `quest` (the questions asked), each model's
+ * display `messages`, `branches` and `usage` totals; null if the session does not exist.
+ */
+async function getSession(guid) {
+  await sessionLocks.get(guid)?.catch(() => {});
+  const session = await store.loadSession(guid);
+  if (!session) return null;
+  return {
+    ...toSessionSummary(session),
+    quest: session.quest || [],
+    messages: Object.fromEntries(Object.entries(session.histories)
+      .map(([modelId, history]) => [modelId, history.map(toDisplayMessage)])),
+    branches: Object.fromEntries(Object.keys(session.branches || {})
+      .map(modelId => [modelId, describeBranches(session, modelId)])),
+    usage: session.usage || {},
+  };
+}
+
+/**
+ * Renames a session.
+ * @param {string} guid - The session GUID.
+ * @param {string} title - The new title; an empty title falls back to the first question.
+ * @returns {Promise<boolean>} False if the session does not exist.
+ */
+function renameSession(guid, title) {
+  return updateSession(guid, (session) => {
+    session.title = title;
+    return true;
+  }, { create: false });
+}
+
+/**
+ * Deletes a session and every model's history in it.
+ * @param {string} guid - The session GUID.
+ * @returns {Promise<boolean>} False if the session does not exist.
+ */
+function deleteSession(guid) {
+  return queueSessionTask(guid, () => {
+    deletedSessions.add(guid);
+    return store.deleteSession(guid);
+  });
+}
+
+/**
+ * Adds a question to the session's quest log (the list of everything asked, shown above the columns).
+ * @param {string} guid - The session GUID.
+ * @param {string} text - The question as typed.
+ * @returns {Promise<boolean>}
+ */
+function addQuestEntry(guid, text) {
+  return updateSession(guid, (session) => {
+    session.quest = [...(session.quest || []), text];
+    return true;
+  });
+}
+
+/**
+ * Returns a copy of a model's conversation history for a session.
+ * @param {string} modelId
+ * @param {string} guid - The session GUID.
+ * @returns {Promise<Array<object>>} The messages, or an empty array if the model has no history yet.
+ */
+async function getHistory(modelId, guid) {
+  assertKnownModel(modelId);
+  await sessionLocks.get(guid)?.catch(() => {}); // Read after any pending write
+  const session = await store.loadSession(guid);
+  return session?.histories[modelId] || [];
+}
+
+/**
+ * Appends messages to a model's conversation history, e.g. a user message and the model's answer.
+ * @param {string} modelId
+ * @param {string} guid - The session GUID.
+ * @param {Array<object>} messages - Messages in the provider's native shape.
+ * @param {object} [options]
+ * @param {number} [options.expectedLength] - Store the messages only if the history still has this many messages,
+ * e.g. an answer picked later that must directly follow the history it was given.
+ * @param {number} [options.replaceFrom] - Drop the messages from this index on first, e.g. the turns after a
+ * re-run question, in the same update as the new ones are stored.
+ * @returns {Promise<boolean>} True if messages were stored.
+ */
+async function appendMessages(modelId, guid, messages, { expectedLength, replaceFrom } = {}) {
+  assertKnownModel(modelId);
+  if (messages.length === 0) return false;
+  return updateSession(guid, (session) => {
+    const history = session.histories[modelId] || [];
+    if (expectedLength !== undefined && history.length !== expectedLength) return false;
+    if (replaceFrom !== undefined) {
+      adjustChildForks(session, modelId, forkIndex => Math.min(forkIndex, replaceFrom));
+    }
+    session.histories[modelId] = [...history.slice(0, replaceFrom), ...messages];
+    return true;
+  });
+}
+
+/**
+ * Appends provider-neutral messages (see config/adapters/shared.js) to several models' histories, each converted
+ * to the model's own message shape, e.g. an answer that did not come from the models themselves.
+ * @param {Array<string>} modelIds
+ * @param {string} guid - The session GUID.
+ * @param {Array<import('../config/adapters/shared').CanonicalMessage>} messages
+ * @returns {Promise<boolean>} True if messages were stored.
+ */
+async function appendCanonicalMessages(modelIds, guid, messages) {
+  modelIds.forEach(assertKnownModel);
+  if (modelIds.length === 0 || messages.length === 0) return false;
+  return updateSession(guid, (session) => {
+    modelIds.forEach(modelId => {
+      const converted = messages.map(getModelConfig(modelId).fromCanonical);
+      session.histories[modelId] = [...(session.histories[modelId] || []), ...converted];
+    });
+    return true;
+  });
+}
+
+/**
+ * Drops every session's history for a model, e.g. when a duplicated column is removed.
+ * @param {string} modelId
+ * @returns {Promise<void>}
+ */
+async function deleteModelHistory(modelId) {
+  const sessions = await store.listSessions();
+  await Promise.all(sessions
+    .filter(session => session.histories[modelId] || session.branches?.[modelId])
+    .map(session => updateSession(session.guid, (current) => {
+      if (!current.histories[modelId] && !current.branches?.[modelId]) return false;
+      delete current.histories[modelId];
+      delete current.branches?.[modelId];
+      delete current.summaries?.[modelId];
+      return true;
+    })));
+}
+
+// --- Usage ---
+/**
+ * Adds a response's token usage and cost to the session's per-model totals.
+ * @param {string} modelId
+ * @param {string} guid - The session GUID.
+ * @param {import('../config/adapters/shared').Usage} [usage]
+ * @param {number} [cost] - Undefined when the model has no known prices.
+ * @returns {Promise<boolean>}
+ */
+function recordUsage(modelId, guid, usage, cost) {
+  assertKnownModel(modelId);
+  return updateSession(guid, (session) => {
+    session.usage = { ...session.usage, [modelId]: addUsage(session.usage?.[modelId], usage, cost) };
+    return true;
+  });
+}
+
+// --- Context Summaries ---
+/**
+ * @typedef {object} ContextSummary
+ * @property {number} coveredCount - How many of the oldest history messages the summary replaces.
+ * @property {string} hash - Hash of those messages, so a summary of messages edited since is not reused.
+ * @property {string} text - The summary.
+ * @property {string} model - The model that wrote it.
+ */
+
+/**
+ * Returns the summary contextService last wrote for a model's older turns in a session.
+ * @param {string} modelId
+ * @param {string} guid - The session GUID.
+ * @returns {Promise<ContextSummary|null>}
+ */
+async function getContextSummary(modelId, guid) {
+  await sessionLocks.get(guid)?.catch(() => {}); // Read after any pending write
+  const session = await store.loadSession(guid);
+  return session?.summaries?.[modelId] || null;
+}
+
+/**
+ * Stores a summary of a model's older turns, replacing the previous one.
+ * @param {string} modelId
+ * @param {string} guid - The session GUID.
+ * @param {ContextSummary} summary
+ * @returns {Promise<boolean>}
+ */
+function saveContextSummary(modelId, guid, summary) {
+  assertKnownModel(modelId);
+  return updateSession(guid, (session) => {
+    session.summaries = { ...session.summaries, [modelId]: summary };
+    return true;
+  });
+}
+
+// --- Branches ---
+// A model's history can be forked into branches that form a tree: every branch but the root names the branch
+// it was forked from and how many of that branch's messages it started with. The active branch's messages are
+// `session.histories[modelId]`, so every other history operation works on it unchanged; the other branches
+// keep their own copy in `session.branches[modelId].branches[].messages`.
+
+/**
+ * Returns a model's branch tree in a session, creating the root branch on first use.
+ * @param {import('./storage').Session} session
+ * @param {string} modelId
+ * @returns {{activeBranchId: string, branches: Array<{id: string, name: string, parentId: string|null, forkIndex: number, createdAt: string, messages?: Array<object>}>}}
+ */
+function getBranchTree(session, modelId) {
+  session.branches = session.branches || {};
+  if (!session.branches[modelId]) {
+    session.branches[modelId] = {
+      activeBranchId: 'main',
+      branches: [{ id: 'main', name: 'Main', parentId: null, forkIndex: 0, createdAt: session.createdAt }],
+    };
+  }
+  return session.branches[modelId];
+}
+
+/**
+ * Moves the fork points of the branches forked from a model's active branch after its messages were removed or
+ * moved, so they still say after how many of its messages they split off.
+ * @param {import('./storage').Session} session
+ * @param {string} modelId
+ * @param {(forkIndex: number) => number} adjust - The new fork index for an old one.
+ */
+function adjustChildForks(session, modelId, adjust) {
+  const tree = session.branches?.[modelId];
+  tree?.branches
+    .filter(branch => branch.parentId === tree.activeBranchId)
+    .forEach(branch => { branch.forkIndex = Math.max(0, adjust(branch.forkIndex)); });
+}
+
+/**
+ * Describes a model's branches for the chat page (without the stored messages).
+ * @param {import('./storage').Session} session
+ * @param {string} modelId
+ * @returns {{activeBranchId: string, branches: Array<{id: string, name: string, parentId: string|null, forkIndex: number, createdAt: string, messageCount: number}>}}
+ */
+function describeBranches(session, modelId) {
+  const tree = session.branches?.[modelId];
+  if (!tree) {
+    return {
+      activeBranchId: 'main',
+      branches: [{ id: 'main', name: 'Main', parentId: null, forkIndex: 0, createdAt: session.createdAt, messageCount: (session.histories[modelId] || []).length }],
+    };
+  }
+  return {
+    activeBranchId: tree.activeBranchId,
+    branches: tree.branches.map(({ messages, ...branch }) => ({
+      ...branch,
+      messageCount: branch.id === tree.activeBranchId ? (session.histories[modelId] || []).length : messages.length,
+    })),
+  };
+}
+
+/**
+ * Makes another branch the active one: the current messages are parked on the branch they belong to.
+ * @param {import('./storage').Session} session
+ * @param {string} modelId
+ * @param {string} branchId
+ */
+function activateBranch(session, modelId, branchId) {
+  const tree = getBranchTree(session, modelId);
+  const current = tree.branches.find(branch => branch.id === tree.activeBranchId);
+  const target = tree.branches.find(branch => branch.id === branchId);
+  current.messages = session.histories[modelId] || [];
+  session.histories[modelId] = target.messages || [];
+  delete target.messages;
+  tree.activeBranchId = branchId;
+}
+
+/**
+ * Lists a model's branches in a session.
+ * @param {string} modelId
+ * @param {string} guid - The session GUID.
+ * @returns {Promise<ReturnType<typeof describeBranches>>}
+ */
+async function listBranches(modelId, guid) {
+  assertKnownModel(modelId);
+  await sessionLocks.get(guid)?.catch(() => {});
+  const session = await store.loadSession(guid);
+  return session ? describeBranches(session, modelId) : describeBranches({ histories: {} }, modelId);
+}
+
+/**
+ * Forks the active branch after a message into a new branch and switches to it.
+ * The branch it came from keeps all of its messages.
+ * @param {string} modelId
+ * @param {string} guid - The session GUID.
+ * @param {number} messageIndex - The last message (0-based) the new branch starts with.
+ * @param {string} [name] - Defaults to "Branch N".
+ * @returns {Promise<{branchId: string, messages: Array<{role: string, text: string}>} & ReturnType<typeof describeBranches> | null>}
+ * The new branch tree and the new branch's messages, or null if the message does not exist.
+ */
+async function forkBranch(modelId, guid, messageIndex, name) {
+  assertKnownModel(modelId);
+  let result = null;
+  await updateSession(guid, (session) => {
+    const historyArray = session.histories[modelId];
+    if (!historyArray || historyArray.length <= messageIndex) {
+      return false; // No history or index out of bounds
+    }
+    const tree = getBranchTree(session, modelId);
+    const branchNumber = tree.branches.length + 1;
+    const branch = {
+      id: `branch-${branchNumber}`,
+      name: name || `Branch ${branchNumber}`,
+      parentId: tree.activeBranchId,
+      forkIndex: messageIndex + 1,
+      createdAt: new Date().toISOString(),
+      messages: historyArray.slice(0, messageIndex + 1),
+    };
+    tree.branches.push(branch);
+    activateBranch(session, modelId, branch.id);
+    result = {
+      branchId: branch.id,
+      ...describeBranches(session, modelId),
+      messages: session.histories[modelId].map(toDisplayMessage),
+    };
+    return true;
+  }, { create: false });
+  return result;
+}
+
+/**
+ * Switches a model to another of its branches.
  * @param {string} modelId
- * @returns {Record<string, Array<object>>} The history object for the model.
- */
-function getHistoryContainer(modelId) {
-  switch (modelId) {
-    case 'gemini':
-      return geminiChatSessions;
-    case 'deepseek':
-      return deepseekMessageHistories;
-    case 'gpt':
-      return openAIGptMessageHistories;
-    case 'claude':
-      return anthropicClaudeMessageHistories;
-    case 'grok':
-      return grokMessageHistories;
-    default:
-      throw new Error(`Invalid modelId: ${modelId}`);
+ * @param {string} guid - The session GUID.
+ * @param {string} branchId
+ * @returns {Promise<{messages: Array<{role: string, text: string}>} & ReturnType<typeof describeBranches> | null>}
+ * The branch tree and the now active branch's messages, or null if there is no such branch.
+ */
+async function switchBranch(modelId, guid, branchId) {
+  assertKnownModel(modelId);
+  let result = null;
+  await updateSession(guid, (session) => {
+    const tree = session.branches?.[modelId];
+    if (!tree || !tree.branches.some(branch => branch.id === branchId)) {
+      return false;
+    }
+    if (tree.activeBranchId !== branchId) {
+      activateBranch(session, modelId, branchId);
+    }
+    result = {
+      ...describeBranches(session, modelId),
+      messages: (session.histories[modelId] || []).map(toDisplayMessage),
+    };
+    return true;
+  }, { create: false });
+  return result;
+}
+
+/**
+ * Edits the text of a message in a model's conversation history.
+ * @param {string} modelId - The identifier for the model.
+ * @param {string} guid - The session GUID.
+ * @param {number} messageIndex - The 0-based index of the message to edit.
+ * @param {string} text - The new text.
+ * @returns {Promise<{role: string, text: string}|null>} The edited message as displayed, or null if it does not exist.
+ */
+async function editMessage(modelId, guid, messageIndex, text) {
+  assertKnownModel(modelId);
+  let edited = null;
+  await updateSession(guid, (session) => {
+    const historyArray = session.histories[modelId];
+    if (!historyArray || historyArray.length <= messageIndex) {
+      return false; // No history or index out of bounds
+    }
+
+    historyArray[messageIndex] = withMessageText(historyArray[messageIndex], text);
+    edited = toDisplayMessage(historyArray[messageIndex]);
+    return true;
+  });
+  return edited;
+}
+
+/**
+ * Reads a user message of a model's history so it can be resent. The history is not changed: the caller sends
+ * the message again with `replaceFrom: messageIndex` (see llmService.callLLMAPI), so only a successful answer
+ * replaces the message and everything after it.
+ * @param {string} modelId - The identifier for the model.
+ * @param {string} guid - The session GUID.
+ * @param {number} messageIndex - The 0-based index of the user message to resend.
+ * @param {string} [text] - Replaces the message's text in the copy that is resent.
+ * @returns {Promise<{message: object, text: string}|null>} The (edited) native message and its text,
+ * or null if there is no user message at that index.
+ */
+async function getMessageForRerun(modelId, guid, messageIndex, text) {
+  const historyArray = await getHistory(modelId, guid);
+  if (historyArray.length <= messageIndex || historyArray[messageIndex].role !== 'user') {
+    return null;
   }
+  const message = typeof text === 'string' ? withMessageText(historyArray[messageIndex], text) : historyArray[messageIndex];
+  return { message, text: toDisplayMessage(message).text };
+}
+
+// --- Copying Between Models ---
+/**
+ * Copies a model's conversation history, or a range of it, into other models' histories.
+ * Messages are converted through the provider-neutral form (see config/adapters/shared.js),
+ * so a conversation held with one provider can be continued with another.
+ * @param {string} sourceModelId - The model whose messages are copied.
+ * @param {Array<string>} targetModelIds - The models receiving them; the source itself is skipped.
+ * @param {string} guid - The session GUID.
+ * @param {object} [options]
+ * @param {number} [options.start=0] - The 0-based index of the first message to copy.
+ * @param {number} [options.end] - The index after the last message to copy; the end of the history when omitted.
+ * @param {boolean} [options.replace=false] - Replace the targets' histories instead of appending to them.
+ * @returns {Promise<number>} The number of messages copied to each target.
+ */
+async function copyHistory(sourceModelId, targetModelIds, guid, { start = 0, end, replace = false } = {}) {
+  assertKnownModel(sourceModelId);
+  targetModelIds.forEach(assertKnownModel);
+  const { toCanonical } = getModelConfig(sourceModelId);
+  let copied = 0;
+  await updateSession(guid, (session) => {
+    const messages = (session.histories[sourceModelId] || []).slice(start, end).map(toCanonical);
+    const targets = targetModelIds.filter(modelId => modelId !== sourceModelId);
+    if (messages.length === 0 || targets.length === 0) {
+      return false;
+    }
+
+    targets.forEach(modelId => {
+      const converted = messages.map(getModelConfig(modelId).fromCanonical);
+      session.histories[modelId] = replace ? converted : [...(session.histories[modelId] || []), ...converted];
+    });
+    copied = messages.length;
+    return true;
+  }, { create: false });
+  return copied;
 }
 
 /**
  * Clears chat history for a given session GUID across selected models.
  * @param {string} guid - The unique identifier for the current user session.
  * @param {number} valueToClear - The number of messages/turns to clear.
+ * @returns {Promise<boolean>} True if any history was modified.
  */
 function clearHistory(guid, valueToClear) {
   // The logic `valueToClear % 2 !== 0` suggests `valueToClear` should represent pairs,
@@ -47,23 +599,16 @@ function clearHistory(guid, valueToClear) {
   const effectiveClearCount = (valueToClear % 2 !== 0) ? valueToClear + 1 : valueToClear;
   const startIndex = 0; // Always clear from the beginning of the history.
 
-  const historyContainers = [
-    geminiChatSessions,
-    deepseekMessageHistories,
-    openAIGptMessageHistories,
-    anthropicClaudeMessageHistories,
-    grokMessageHistories,
-  ];
-
-  historyContainers.forEach(container => {
-    const historyArray = container[guid];
-    if (historyArray && historyArray.length > effectiveClearCount) {
-      historyArray.splice(startIndex, effectiveClearCount);
-    }
-    // If history becomes empty, clean up the session entry
-    if (historyArray && historyArray.length === 0) {
-        delete container[guid];
-    }
+  return updateSession(guid, (session) => {
+    let modified = false;
+    Object.entries(session.histories).forEach(([modelId, historyArray]) => {
+      if (historyArray.length > effectiveClearCount) {
+        historyArray.splice(startIndex, effectiveClearCount);
+        adjustChildForks(session, modelId, forkIndex => forkIndex - effectiveClearCount);
+        modified = true;
+      }
+    });
+    return modified;
   });
 }
 
@@ -72,21 +617,19 @@ function clearHistory(guid, valueToClear) {
  * @param {string} modelId - The identifier for the model.
  * @param {string} guid - The session GUID.
  * @param {number} clearCount - The number of messages to remove from the end.
- * @returns {boolean} True if history was modified, false otherwise.
+ * @returns {Promise<boolean>} True if history was modified, false otherwise.
  */
-function removeLastMessages(modelId, guid, clearCount) {
-  const historyContainer = getHistoryContainer(modelId);
-  const historyArray = historyContainer[guid];
-
-  if (historyArray && historyArray.length >= clearCount) {
-    historyArray.splice(-clearCount);
-    // If history becomes empty, clean up the session entry
-    if (historyArray.length === 0) {
-        delete historyContainer[guid];
+async function removeLastMessages(modelId, guid, clearCount) {
+  assertKnownModel(modelId);
+  return updateSession(guid, (session) => {
+    const historyArray = session.histories[modelId];
+    if (historyArray && historyArray.length >= clearCount) {
+      historyArray.splice(-clearCount);
+      adjustChildForks(session, modelId, forkIndex => Math.min(forkIndex, historyArray.length));
+      return true;
     }
-    return true;
-  }
-  return false;
+    return false;
+  });
 }
 
 /**
@@ -95,19 +638,21 @@ function removeLastMessages(modelId, guid, clearCount) {
  * @param {string} guid - The session GUID.
  * @param {number} oldIndex - The current index of the message.
  * @param {number} newIndex - The target index for the message.
- * @returns {boolean} True if message was moved, false otherwise (e.g., invalid indices).
+ * @returns {Promise<boolean>} True if message was moved, false otherwise (e.g., invalid indices).
  */
-function moveMessage(modelId, guid, oldIndex, newIndex) {
-  const historyContainer = getHistoryContainer(modelId);
-  const historyArray = historyContainer[guid];
-
-  if (!historyArray || historyArray.length <= oldIndex || historyArray.length <= newIndex) {
-    return false; // Invalid indices or no history
-  }
+async function moveMessage(modelId, guid, oldIndex, newIndex) {
+  assertKnownModel(modelId);
+  return updateSession(guid, (session) => {
+    const historyArray = session.histories[modelId];
+    if (!historyArray || historyArray.length <= oldIndex || historyArray.length <= newIndex) {
+      return false; // Invalid indices or no history
+    }
 
-  const [movedElement] = historyArray.splice(oldIndex, 1);
-  historyArray.splice(newIndex, 0, movedElement);
-  return true;
+    const [movedElement] = historyArray.splice(oldIndex, 1);
+    historyArray.splice(newIndex, 0, movedElement);
+    adjustChildForks(session, modelId, forkIndex => forkIndex - (oldIndex < forkIndex ? 1 : 0) + (newIndex < forkIndex ? 1 : 0));
+    return true;
+  });
 }
 
 /**
@@ -115,34 +660,43 @@ function moveMessage(modelId, guid, oldIndex, newIndex) {
  * @param {string} modelId - The identifier for the model.
  * @param {string} guid - The session GUID.
  * @param {number} messageIndex - The 0-based index of the message to delete.
- * @returns {boolean} True if message was deleted, false otherwise.
+ * @returns {Promise<boolean>} True if message was deleted, false otherwise.
  */
-function deleteMessage(modelId, guid, messageIndex) {
-  const historyContainer = getHistoryContainer(modelId);
-  const historyArray = historyContainer[guid];
-
-  if (!historyArray || historyArray.length <= messageIndex) {
-    return false; // No history or index out of bounds
-  }
+async function deleteMessage(modelId, guid, messageIndex) {
+  assertKnownModel(modelId);
+  return updateSession(guid, (session) => {
+    const historyArray = session.histories[modelId];
+    if (!historyArray || historyArray.length <= messageIndex) {
+      return false; // No history or index out of bounds
+    }
 
-  historyArray.splice(messageIndex, 1);
-  // If history array becomes empty, delete the GUID entry to clean up memory
-  if (historyArray.length === 0) {
-    delete historyContainer[guid];
-  }
-  return true;
+    historyArray.splice(messageIndex, 1);
+    adjustChildForks(session, modelId, forkIndex => (messageIndex < forkIndex ? forkIndex - 1 : forkIndex));
+    return true;
+  });
 }
 
 module.exports = {
-  getHistoryContainer,
+  listSessions,
+  getSession,
+  renameSession,
+  deleteSession,
+  addQuestEntry,
+  listBranches,
+  forkBranch,
+  switchBranch,
+  getHistory,
+  appendMessages,
+  appendCanonicalMessages,
+  deleteModelHistory,
   clearHistory,
   removeLastMessages,
   moveMessage,
   deleteMessage,
-  // Export the raw history objects (for llmService to directly modify)
-  geminiChatSessions,
-  deepseekMessageHistories,
-  openAIGptMessageHistories,
-  anthropicClaudeMessageHistories,
-  grokMessageHistories,
-};
\ No newline at end of file
+  editMessage,
+  getMessageForRerun,
+  copyHistory,
+  getContextSummary,
+  saveContextSummary,
+  recordUsage,
+};
@@ -0,0 +1,322 @@
+// services/judgeService.js
+const fs = require('fs');
+const path = require('path');
+const { HISTORY_STORE, HISTORY_DATA_DIR, getProvider } = require('../config');
+const llmService = require('./llmService');
+
+// --- Judge Templates ---
+// Built-in templates come from config/judgeTemplates.json and cannot be changed; templates saved from the chat page
+// are kept in <HISTORY_DATA_DIR>/judge-templates.json (in memory only with HISTORY_STORE=memory).
+
+/**
+ * @typedef {object} JudgeCriterion
+ * @property {string} name - Key of the score in the judge's answer, e.g. "accuracy".
+ * @property {string} [description] - What the judge should look for.
+ * @property {number} [weight=1] - Weight in the overall score.
+ */
+
+/**
+ * @typedef {object} JudgeTemplate
+ * @property {string} id
+ * @property {string} name
+ * @property {{min: number, max: number}} scale - The range every criterion is scored in.
+ * @property {Array<JudgeCriterion>} criteria - The rubric.
+ * @property {string} prompt - The judge prompt, with the placeholders {{question}}, {{criteria}}, {{responses}},
+ * {{min}} and {{max}}. How to answer is appended to it, so templates need not describe the JSON format.
+ * @property {boolean} [builtIn] - True for the templates in config/judgeTemplates.json.
+ */
+
+/**
+ * @typedef {object} JudgeEvaluation
+ * @property {string} model - The judged model's ID.
+ * @property {Record<string, number|null>} scores - Score per criterion; null when the judge left one out.
+ * @property {number|null} score - Weighted average of the scores.
+ * @property {string} rationale
+ */
+
+/**
+ * @typedef {object} JudgeVerdict
+ * @property {string} judgeModel - The judge's model ID.
+ * @property {{id: string, name: string}} template
+ * @property {{min: number, max: number}} scale
+ * @property {Array<JudgeEvaluation>} evaluations - One per judged response, in the order they were given.
+ * @property {string|null} best - The model whose answer the judge preferred.
+ * @property {import('../config/adapters/shared').Usage} [usage] - The judge call's usage.
+ * @property {{amount: number, currency: string}} [cost] - The judge call's cost.
+ */
+
+const BUILT_IN_TEMPLATES_FILE = path.join(__dirname, '..', 'config', 'judgeTemplates.json');
+const SAVED_TEMPLATES_FILE = HISTORY_STORE === 'file' ? path.join(HISTORY_DATA_DIR, 'judge-templates.json') : null;
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const JUDGE_SYSTEM_PROMPT = 'You evaluate answers strictly against the rubric you are given and reply with JSON only.';
+
+/** @type {Array<JudgeTemplate>} */
+const builtInTemplates = JSON.parse(fs.readFileSync(BUILT_IN_TEMPLATES_FILE, 'utf8')).templates
+  .map(template => ({ ...template, builtIn: true }));
+/** @type {Map<string, JudgeTemplate>|null} Loaded on first use */
+let savedTemplates = null;
+let templateWrites = Promise.resolve();
+
+/**
+ * Reads the saved templates once.
+ * @returns {Promise<Map<string, JudgeTemplate>>}
+ */
+async function loadSavedTemplates() {
+  if (savedTemplates) {
+    return savedTemplates;
+  }
+  let templates = [];
+  if (SAVED_TEMPLATES_FILE) {
+    try {
+      templates = JSON.parse(await fs.promises.readFile(SAVED_TEMPLATES_FILE, 'utf8')).templates || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read judge templates from ${SAVED_TEMPLATES_FILE}: ${error.message}`);
+    }
+  }
+  savedTemplates = new Map(templates.map(template => [template.id, template]));
+  return savedTemplates;
+}
+
+/**
+ * Writes the saved templates to a temporary file and renames it into place. Writes are chained, so two saves
+ * never share the temporary file.
+ * @returns {Promise<void>}
+ */
+function writeSavedTemplates() {
+  if (!SAVED_TEMPLATES_FILE) {
+    return Promise.resolve();
+  }
+  const write = templateWrites.then(async () => {
+    await fs.promises.mkdir(path.dirname(SAVED_TEMPLATES_FILE), { recursive: true });
+    const tempFile = `${SAVED_TEMPLATES_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ templates: [...savedTemplates.values()] }, null, 2));
+    await fs.promises.rename(tempFile, SAVED_TEMPLATES_FILE);
+  });
+  templateWrites = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Lists every judge template, built-in ones first.
+ * @returns {Promise<Array<JudgeTemplate>>}
+ */
+async function listTemplates() {
+  return [...builtInTemplates, ...(await loadSavedTemplates()).values()];
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<JudgeTemplate|undefined>}
+ */
+async function getTemplate(id) {
+  return builtInTemplates.find(template => template.id === id) || (await loadSavedTemplates()).get(id);
+}
+
+/**
+ * @param {string} message
+ * @returns {Error} An error for a template the user has to fix (code INVALID_TEMPLATE).
+ */
+function invalidTemplate(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TEMPLATE';
+  return error;
+}
+
+/**
+ * Checks a template sent by the chat page and brings it into the stored shape.
+ * @param {object} input
+ * @returns {JudgeTemplate}
+ * @throws {Error} With code INVALID_TEMPLATE when the template is invalid.
+ */
+function normalizeTemplate(input) {
+  const { id, name, criteria, prompt, scale: inputScale } = input || {};
+  const scale = inputScale || { min: 1, max: 10 };
+  if (typeof id !== 'string' || !TEMPLATE_ID_PATTERN.test(id)) {
+    throw invalidTemplate('id must be 1-64 lowercase letters, digits, "-" or "_".');
+  }
+  if (typeof prompt !== 'string' || !prompt.includes('{{responses}}')) {
+    throw invalidTemplate('prompt must contain the {{responses}} placeholder.');
+  }
+  if (!Number.isFinite(scale.min) || !Number.isFinite(scale.max) || scale.min >= scale.max) {
+    throw invalidTemplate('scale must have a min below its max.');
+  }
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    throw invalidTemplate('At least one criterion is required.');
+  }
+  const normalizedCriteria = criteria.map(criterion => {
+    if (typeof criterion?.name !== 'string' || !criterion.name.trim()) {
+      throw invalidTemplate('Every criterion needs a name.');
+    }
+    const weight = criterion.weight ?? 1;
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw invalidTemplate(`The weight of ${criterion.name} must be a positive number.`);
+    }
+    return { name: criterion.name.trim(), description: (criterion.description || '').trim(), weight };
+  });
+  return {
+    id,
+    name: (typeof name === 'string' && name.trim()) || id,
+    scale: { min: scale.min, max: scale.max },
+    criteria: normalizedCriteria,
+    prompt,
+  };
+}
+
+/**
+ * Saves a template, replacing the saved one with the same ID. Built-in templates cannot be replaced.
+ * @param {object} input - See JudgeTemplate.
+ * @returns {Promise<JudgeTemplate>} The saved template.
+ * @throws {Error} With code INVALID_TEMPLATE when the template is invalid or has a built-in template's ID.
+ */
+async function saveTemplate(input) {
+  const template = normalizeTemplate(input);
+  if (builtInTemplates.some(builtIn => builtIn.id === template.id)) {
+    throw invalidTemplate(`"${template.id}" is a built-in template; save your changes under another id.`);
+  }
+  (await loadSavedTemplates()).set(template.id, template);
+  await writeSavedTemplates();
+  return template;
+}
+
+/**
+ * Deletes a saved template.
+ * @param {string} id
+ * @returns {Promise<boolean>} False when there is no saved template with this ID (built-in ones included).
+ */
+async function deleteTemplate(id) {
+  const templates = await loadSavedTemplates();
+  if (!templates.delete(id)) {
+    return false;
+  }
+  await writeSavedTemplates();
+  return true;
+}
+
+// --- Judging ---
+
+/**
+ * Fills in a template's placeholders. Responses are numbered rather than named, so the judge cannot favour a provider.
+ * @param {JudgeTemplate} template
+ * @param {string} question
+ * @param {Array<{model: string, text: string}>} responses
+ * @returns {string}
+ */
+function renderJudgePrompt(template, question, responses) {
+  const values = {
+    question,
+    min: String(template.scale.min),
+    max: String(template.scale.max),
+    criteria: template.criteria
+      .map(criterion => `- ${criterion.name}${criterion.description ? `: ${criterion.description}` : ''}`)
+      .join('\n'),
+    responses: responses
+      .map((response, index) => `--- Response ${index + 1} ---\n${response.text}`)
+      .join('\n\n'),
+  };
+  const body = template.prompt.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => values[key] ?? placeholder);
+  const exampleScores = template.criteria.map(criterion => `"${criterion.name}": <score>`).join(', ');
+  return `${body}\n\nReply with JSON only, in this shape:\n`
+    + `{"evaluations": [{"response": <response number>, "scores": {${exampleScores}}, "rationale": "<two or three sentences>"}], "best": <number of the best response>}\n`
+    + `Include every response (1 to ${responses.length}) once.`;
+}
+
+/**
+ * Reads the judge's JSON answer; code fences and text around the object are ignored.
+ * @param {string} content
+ * @returns {object}
+ * @throws {Error} When no JSON object can be read.
+ */
+function parseJudgeAnswer(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('The judge did not answer with JSON.');
+  }
+  try {
+    return JSON.parse(content.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`The judge's JSON could not be read: ${error.message}`);
+  }
+}
+
+/**
+ * Turns the judge's answer into one evaluation per response. Scores outside the scale are clamped into it and
+ * missing ones are null; the weighted score averages the criteria that were scored.
+ * @param {JudgeTemplate} template
+ * @param {Array<{model: string, text: string}>} responses
+ * @param {object} answer - The parsed JSON answer.
+ * @returns {{evaluations: Array<JudgeEvaluation>, best: string|null}}
+ */
+function toEvaluations(template, responses, answer) {
+  const { min, max } = template.scale;
+  const byNumber = new Map((Array.isArray(answer.evaluations) ? answer.evaluations : [])
+    .map(evaluation => [Number(evaluation?.response), evaluation]));
+  const evaluations = responses.map((response, index) => {
+    const evaluation = byNumber.get(index + 1) || {};
+    const scores = Object.fromEntries(template.criteria.map(({ name }) => {
+      const value = Number(evaluation.scores?.[name]);
+      return [name, evaluation.scores?.[name] === undefined || Number.isNaN(value) ? null : Math.min(max, Math.max(min, value))];
+    }));
+    const scored = template.criteria.filter(({ name }) => scores[name] !== null);
+    const totalWeight = scored.reduce((total, { weight }) => total + weight, 0);
+    const score = totalWeight
+      ? Math.round((scored.reduce((total, { name, weight }) => total + scores[name] * weight, 0) / totalWeight) * 10) / 10
+      : null;
+    return { model: response.model, scores, score, rationale: typeof evaluation.rationale === 'string' ? evaluation.rationale : '' };
+  });
+  if (evaluations.every(evaluation => evaluation.score === null)) {
+    throw new Error('The judge returned no scores.');
+  }
+  const best = responses[Number(answer.best) - 1]?.model ?? null;
+  return { evaluations, best };
+}
+
+/**
+ * Has a judge model score the responses of one submission against a template's rubric.
+ * The judge call goes through llmService without history, so it counts towards usage and budgets like any other.
+ * @param {object} request
+ * @param {string} request.judgeModelId
+ * @param {string} request.templateId
+ * @param {string} request.question - The prompt the models answered.
+ * @param {Array<{model: string, text: string}>} request.responses - The successful responses.
+ * @param {string} [request.guid] - The session the judge call is booked to.
+ * @param {AbortSignal} [request.signal]
+ * @returns {Promise<JudgeVerdict>}
+ * @throws {Error} When the judge or template is unknown, the call fails or the answer cannot be read.
+ */
+async function judgeResponses({ judgeModelId, templateId, question, responses, guid, signal }) {
+  if (!getProvider(judgeModelId)) {
+    throw new Error(`Unknown judge model: ${judgeModelId}`);
+  }
+  const template = await getTemplate(templateId);
+  if (!template) {
+    throw new Error(`Unknown judge template: ${templateId}`);
+  }
+  if (responses.length === 0) {
+    throw new Error('There are no successful responses to judge.');
+  }
+
+  const prompt = renderJudgePrompt(template, question, responses);
+  const result = await llmService.callLLMAPI(judgeModelId, prompt, false, guid, 0, JUDGE_SYSTEM_PROMPT, { signal });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  const { evaluations, best } = toEvaluations(template, responses, parseJudgeAnswer(result.content));
+  return {
+    judgeModel: judgeModelId,
+    template: { id: template.id, name: template.name },
+    scale: template.scale,
+    evaluations,
+    best,
+    usage: result.usage,
+    cost: result.cost,
+  };
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  judgeResponses,
+};
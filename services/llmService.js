@@ -2,12 +2,30 @@
 const axios = require('axios');
 const { GoogleGenAI } = require('@google/genai');
 const { Anthropic } = require('@anthropic-ai/sdk');
-const { normalizeTemperature } = require('../utils/siteHelper');
+const { normalizeTemperature, sanitizeGenerationParams } = require('../utils/siteHelper');
+const { readSseStream } = require('../utils/sse');
+const { readNdjsonStream } = require('../utils/ndjson');
+const { prepareAttachment, getAttachmentKind } = require('../utils/attachments');
+const { classifyProviderError, CONTENT_FILTER_FINISH_REASONS, ERROR_CATEGORIES } = require('../utils/providerErrors');
+const { withRetry } = require('../utils/retry');
+const { withTotalTokens, calculateCost, addUsage } = require('../utils/usage');
+const { estimateTextTokens, estimateMessageTokens } = require('../utils/tokens');
+const fileUploadService = require('./fileUploadService');
+const historyService = require('./historyService');
+const contextService = require('./contextService');
+const budgetService = require('./budgetService');
 
 const {
   MODEL_CONFIGS,
+  getModelConfig,
+  getProvider,
+  getModelPricing,
+  PRICING_CURRENCY,
   GOOGLE_API_KEY,
   ANTHROPIC_API_KEY,
+  LLM_MAX_RETRIES,
+  LLM_RETRY_BASE_DELAY_MS,
+  LLM_RETRY_MAX_DELAY_MS,
 } = require('../config');
 
 // Initialize LLM SDKs once globally for efficiency
@@ -19,88 +37,398 @@ const anthropic = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
  * @param {string} modelId - The identifier for the model (e.g., 'gemini', 'deepseek').
  * @param {string} input - User's input message.
  * @param {boolean} [isChat=true] - Whether to maintain chat history.
- * @param {string} guid - Session GUID.
- * @param {Record<string, Array<object>>} historyContainer - The global object holding message histories for this model type.
+ * @param {string} guid - Session GUID; the model's history for it is read from and saved to historyService.
  * @param {Number} temperature - model temperature
  * @param {string} systemPrompt - the prompt to be used for system
- * @returns {Promise<{success: boolean, content?: string, rawResponse?: object, error?: string, errorCode?: string}>}
+ * @param {object} [options] - Optional call settings.
+ * @param {(delta: string) => void} [options.onDelta] - When set, the provider's streaming mode is used and each text chunk is passed here.
+ * @param {Record<string, any>} [options.params] - Per-model generation parameters (see GENERATION_PARAMS); `params.temperature` overrides `temperature`.
+ * @param {string} [options.model] - Model version to call instead of the provider's configured model (e.g. 'gemini-2.5-flash').
+ * @param {Array<import('../utils/attachments').Attachment>} [options.attachments] - Files sent with the user message; they stay in the history.
+ * @param {object} [options.userMessage] - An already formatted user message (e.g. one taken back out of the history to re-run);
+ * `input` and `attachments` are then not used.
+ * @param {number} [options.replaceFrom] - Re-run from this history index: only the history before it is sent, and a
+ * successful exchange replaces the messages from it on (if the history did not change meanwhile).
+ * @param {AbortSignal} [options.signal] - Cancels the provider call; nothing is added to the history then.
+ * @param {(info: {attempt: number, maxRetries: number, delayMs: number, category: string, label: string, message: string}) => void} [options.onRetry] - Called before a transient failure is retried.
+ * @param {(trim: import('./contextService').ContextTrim) => void} [options.onContextTrimmed] - Called when the history had to be trimmed to fit the context window.
+ * @param {(warning: import('./budgetService').BudgetWarning) => void} [options.onBudgetWarning] - Called when the call's cost crossed a budget warning threshold.
+ * @param {number} [options.samples] - Sample mode (see sampleLLMAPI): asks for this many answers in one request where the adapter
+ * takes a count, never streams and stores nothing in the history. The result then has `samples`, and for chat calls
+ * `pendingMessages` (the messages to store before the answer that is kept) and `historyLength` (the length of the
+ * history the samples answer).
+ * @returns {Promise<{success: boolean, content?: string, samples?: Array<{content: string, finishReason?: string}>, pendingMessages?: Array<object>, historyLength?: number, finishReason?: string, usage?: import('../config/adapters/shared').Usage,
+ * cost?: {amount: number, currency: string}, contextTrim?: object, rawResponse?: object, error?: string, errorCode?: string, errorCategory?: string, errorLabel?: string, details?: string, cancelled?: boolean, partialContent?: string,
+ * budgetExceeded?: import('./budgetService').BudgetStatus}>} `budgetExceeded` is set when the call was not made because a spending limit is used up.
  */
-async function callLLMAPI(modelId, input, isChat = true, guid, historyContainer, temperature, systemPrompt) {
-  const apiConfig = MODEL_CONFIGS[modelId];
+async function callLLMAPI(modelId, input, isChat = true, guid, temperature, systemPrompt, options = {}) {
+  const apiConfig = getModelConfig(modelId, options.model);
   if (!apiConfig) {
     return {
       success: false,
       errorCode: 'invalid_model',
-      error: `Configuration not found for model: ${modelId}`,
+      error: options.model
+        ? `Configuration not found for model: ${modelId} (version ${options.model})`
+        : `Configuration not found for model: ${modelId}`,
     };
   }
+  const budget = budgetService.checkBudget(guid, modelId, options.model);
+  if (!budget.allowed) {
+    const { allowed, ...budgetExceeded } = budget;
+    return { success: false, errorCode: 'budget_exceeded', error: budget.reason, budgetExceeded };
+  }
 
-  let localMessageHistory = historyContainer[guid];
-  let userMessageAdded = false;
-
+  // What was sent, for estimating the usage of a stream that ends early
+  let sentMessages = [];
   try {
-    if (isChat) {
-      if (!localMessageHistory) {
-        localMessageHistory = apiConfig.initialHistory ? [...apiConfig.initialHistory] : [];
-        historyContainer[guid] = localMessageHistory;
-      }
-    } else {
-      localMessageHistory = apiConfig.initialHistory ? [...apiConfig.initialHistory] : []; // Fresh history for non-chat
-    }
+    // Only a successful exchange is stored, so a failed or cancelled call leaves the history untouched.
+    const fullHistory = isChat ? await historyService.getHistory(modelId, guid) : []; // Fresh history for non-chat
+    const storedHistory = fullHistory.slice(0, options.replaceFrom);
+    const newMessages = storedHistory.length === 0 && apiConfig.initialHistory ? [...apiConfig.initialHistory] : [];
+
+    const userMessage = options.userMessage
+      || apiConfig.formatUserMessage(input, await prepareAttachments(apiConfig, options.attachments));
+    newMessages.push(userMessage);
+    const generationParams = resolveGenerationParams(apiConfig, temperature, options.params);
 
-    const userMessage = apiConfig.formatUserMessage(input);
-    localMessageHistory.push(userMessage);
-    userMessageAdded = true;
+    // Only what is sent is trimmed; the stored history keeps every message
+    const { messages: localMessageHistory, trim: contextTrim } = await contextService.fitHistory(modelId, apiConfig, [...storedHistory, ...newMessages], {
+      guid,
+      systemPrompt,
+      reservedTokens: generationParams.maxTokens ?? (Number.isFinite(apiConfig.maxTokens) ? apiConfig.maxTokens : 0),
+      summarize: async (summaryModelId, prompt, summarySystemPrompt) => {
+        const summary = await callLLMAPI(summaryModelId, prompt, false, guid, 0, summarySystemPrompt, { signal: options.signal, onBudgetWarning: options.onBudgetWarning });
+        if (!summary.success) throw new Error(summary.error);
+        return summary.content;
+      },
+    });
+    if (contextTrim) {
+      options.onContextTrimmed?.(contextTrim);
+    }
+    sentMessages = localMessageHistory;
 
     let payload
     if (systemPrompt) {
-      payload = apiConfig.formatPayloadExtended(localMessageHistory, temperature, systemPrompt);
+      payload = apiConfig.formatPayloadExtended(localMessageHistory, generationParams, systemPrompt);
     } else {
-      payload = apiConfig.formatPayload(localMessageHistory, temperature);
+      payload = apiConfig.formatPayload(localMessageHistory, generationParams);
     }
 
     // Special handling for Anthropic SDK if needed, though MODEL_CONFIGS should cover direct HTTP
-    let responseData;
     const headers = apiConfig.formatHeaders();
-    const response = await axios.post(apiConfig.url, payload, { headers }); // add gemini safety settings
-    responseData = response.data;
-
-    const { content, finishReason, totalTokens } = apiConfig.parseResponse(responseData);
+    const { responseData, content, finishReason, samples, usage: reportedUsage } = await withRetry(async () => {
+      if (options.onDelta && apiConfig.parseStreamChunk && !options.samples) {
+        const streamed = await streamLLMResponse(apiConfig, payload, headers, options.onDelta, options.signal);
+        return { ...streamed, responseData: { streamed: true, content: streamed.content, finishReason: streamed.finishReason, usage: streamed.usage } };
+      }
+      const requestPayload = options.samples > 1 && apiConfig.formatSamplesPayload ? apiConfig.formatSamplesPayload(payload, options.samples) : payload;
+      const response = await axios.post(apiConfig.url, requestPayload, { headers, signal: options.signal }); // add gemini safety settings
+      return { ...apiConfig.parseResponse(response.data), samples: options.samples && apiConfig.parseSamples?.(response.data), responseData: response.data };
+    }, {
+      maxRetries: LLM_MAX_RETRIES,
+      baseDelayMs: LLM_RETRY_BASE_DELAY_MS,
+      maxDelayMs: LLM_RETRY_MAX_DELAY_MS,
+      signal: options.signal,
+      shouldRetry: async (error) => {
+        // Once text has reached the client, a second attempt would duplicate it in the column
+        if (axios.isCancel(error) || error.partialContent) return { retry: false };
+        const classification = await classifyError(error);
+        return { retry: classification.retryable, retryAfterMs: classification.retryAfterMs };
+      },
+      onRetry: ({ attempt, maxRetries, delayMs, error }) => {
+        const { category, label, message } = error.classification;
+        console.warn(`${modelId} ${category}, retry ${attempt}/${maxRetries} in ${delayMs}ms: ${message}`);
+        options.onRetry?.({ attempt, maxRetries, delayMs, category, label, message });
+      },
+    });
 
-    if (isChat && content) {
-      localMessageHistory.push(apiConfig.formatAssistantMessage(content));
+    if (!content && CONTENT_FILTER_FINISH_REASONS.includes(finishReason)) {
+      // The provider still bills the prompt of a withheld response
+      await bookUsage(modelId, guid, options, reportedUsage)
+        .catch(bookError => console.error(`Could not book the usage of a withheld ${modelId} response:`, bookError.message));
+      const filteredError = new Error(`The response was withheld (finish reason: ${finishReason}).`);
+      filteredError.category = ERROR_CATEGORIES.CONTENT_FILTER;
+      throw filteredError;
     }
 
-    let responseContent = content || `${modelId}_empty_response`;
+    // The call is billed whatever happens to the history, so it is booked first
+    const { usage, costAmount } = await bookUsage(modelId, guid, options, reportedUsage);
 
-    if (totalTokens !== undefined && apiConfig.maxTokens !== Infinity && totalTokens > apiConfig.maxTokens) {
-      responseContent += ` (Token limit: ${apiConfig.maxTokens}, used: ${totalTokens})`;
+    if (isChat && !options.samples) {
+      if (content) newMessages.push(apiConfig.formatAssistantMessage(content));
+      const stored = await historyService.appendMessages(modelId, guid, newMessages, options.replaceFrom === undefined ? {} : {
+        replaceFrom: options.replaceFrom,
+        expectedLength: fullHistory.length,
+      });
+      // A plain append only fails when the session was deleted mid-call; the answer is still returned
+      if (!stored && options.replaceFrom !== undefined) {
+        throw new Error('The chat history changed during the re-run; the answer was not stored.');
+      }
     }
 
     return {
       success: true,
-      content: responseContent,
+      content: content || `${modelId}_empty_response`,
       finishReason: finishReason, // Return finishReason separately
+      usage: usage,
+      cost: costAmount === undefined ? undefined : { amount: costAmount, currency: PRICING_CURRENCY },
+      contextTrim: contextTrim || undefined,
       rawResponse: responseData,
+      ...(options.samples ? {
+        samples: (samples?.length ? samples : [{ content, finishReason }])
+          .map(sample => ({ content: sample.content || `${modelId}_empty_response`, finishReason: sample.finishReason })),
+        pendingMessages: isChat ? newMessages : undefined,
+        historyLength: isChat ? storedHistory.length : undefined,
+      } : {}),
     };
   } catch (error) {
-    if (userMessageAdded) {
-      localMessageHistory.pop(); // Remove the user message if API call failed
+    // A stream that was cancelled or broke off was billed for what it generated so far
+    if (error.partialContent !== undefined) {
+      const estimate = {
+        inputTokens: estimateTextTokens(systemPrompt) + sentMessages.reduce((total, message) => total + estimateMessageTokens(apiConfig.toCanonical(message)), 0),
+        outputTokens: estimateTextTokens(error.partialContent),
+      };
+      const reported = error.usage || {};
+      await bookUsage(modelId, guid, options, {
+        ...reported,
+        inputTokens: reported.inputTokens ?? estimate.inputTokens,
+        outputTokens: Math.max(reported.outputTokens ?? 0, estimate.outputTokens),
+      }).catch(bookError => console.error(`Could not book the usage of an interrupted ${modelId} stream:`, bookError.message));
+    }
+    if (axios.isCancel(error) || options.signal?.aborted) {
+      return {
+        success: false,
+        cancelled: true,
+        errorCode: `${modelId}_cancelled`,
+        error: 'Request cancelled.',
+        partialContent: error.partialContent || '',
+      };
     }
     const errorCode = `${modelId}_failed`;
-    const errorData = error.response?.data || error.message;
-    console.error(`Full ${modelId} Error:`, { status: error.response?.status, data: errorData });
+    const { category, label, message, status } = await classifyError(error);
+    console.error(`Full ${modelId} Error:`, { status, category, data: error.errorData });
     return {
       success: false,
       errorCode: errorCode,
-      error: JSON.stringify(errorData),
+      errorCategory: category,
+      errorLabel: label,
+      error: message,
+      details: typeof error.errorData === 'string' ? error.errorData : JSON.stringify(error.errorData),
     };
   }
 }
 
+/**
+ * Books a call's usage: its cost goes to the spend ledger (and may cross a budget warning threshold) and both go
+ * to the session's usage totals.
+ * @param {string} modelId
+ * @param {string} guid
+ * @param {{model?: string, onBudgetWarning?: Function}} options - The call's options (see callLLMAPI).
+ * @param {import('../config/adapters/shared').Usage} [reportedUsage] - As the provider reported it, or estimated.
+ * @returns {Promise<{usage: import('../config/adapters/shared').Usage, costAmount: number|undefined}>}
+ */
+async function bookUsage(modelId, guid, options, reportedUsage) {
+  const usage = withTotalTokens(reportedUsage);
+  const costAmount = calculateCost(usage, getModelPricing(modelId, options.model));
+  budgetService.recordSpend({ guid, modelId, model: options.model || getProvider(modelId)?.model, usage, cost: costAmount })
+    .forEach(warning => options.onBudgetWarning?.(warning));
+  if (guid) {
+    await historyService.recordUsage(modelId, guid, usage, costAmount);
+  }
+  return { usage, costAmount };
+}
+
+/**
+ * Asks a model for several answers to the same message, e.g. to see how consistent it is. Providers that take a
+ * count (`n`, `candidateCount`) get one request; where fewer answers come back, the rest are asked for with
+ * parallel calls. Nothing is stored in the history: the result's `pendingMessages` are stored with the answer the
+ * user keeps (see sampleService).
+ * @param {string} modelId
+ * @param {string} input
+ * @param {boolean} isChat - Whether the history is sent along (and `pendingMessages` returned).
+ * @param {string} guid
+ * @param {Number} temperature
+ * @param {string} systemPrompt
+ * @param {number} count - The number of answers wanted.
+ * @param {object} [options] - As for callLLMAPI; `onDelta` is not used, as samples are not streamed.
+ * @returns {Promise<object>} As callLLMAPI in sample mode, with usage and cost summed over all calls.
+ * Fails only when the first call fails; fewer samples come back when one of the extra calls fails.
+ */
+async function sampleLLMAPI(modelId, input, isChat, guid, temperature, systemPrompt, count, options = {}) {
+  const { onDelta, onContextTrimmed, ...sampleOptions } = options;
+  const first = await callLLMAPI(modelId, input, isChat, guid, temperature, systemPrompt, { ...sampleOptions, onContextTrimmed, samples: count });
+  if (!first.success) {
+    return first;
+  }
+  const extraCalls = await Promise.all(Array.from({ length: Math.max(0, count - first.samples.length) },
+    () => callLLMAPI(modelId, input, isChat, guid, temperature, systemPrompt, { ...sampleOptions, samples: 1 })));
+  const calls = [first, ...extraCalls.filter(call => call.success)];
+  const samples = calls.flatMap(call => call.samples).slice(0, count);
+  const totals = calls.reduce((sum, call) => addUsage(sum, call.usage, call.cost?.amount), undefined);
+  return {
+    ...first,
+    content: samples[0].content,
+    finishReason: samples[0].finishReason,
+    samples,
+    usage: withTotalTokens({ inputTokens: totals.inputTokens, outputTokens: totals.outputTokens, cachedTokens: totals.cachedTokens || undefined, reasoningTokens: totals.reasoningTokens || undefined }),
+    cost: calls.every(call => call.cost) ? { amount: totals.cost, currency: PRICING_CURRENCY } : undefined,
+    rawResponse: calls.length === 1 ? first.rawResponse : calls.map(call => call.rawResponse),
+  };
+}
+
+/**
+ * Reads the error body once and classifies the failure; both are kept on the error so retries and
+ * the final report do not read a streamed body twice.
+ * @param {Error} error - The error thrown by axios or by the stream parser.
+ * @returns {Promise<ReturnType<typeof classifyProviderError>>}
+ */
+async function classifyError(error) {
+  if (!error.classification) {
+    error.errorData = await readErrorBody(error);
+    error.classification = classifyProviderError(error, error.errorData);
+  }
+  return error.classification;
+}
+
+/**
+ * Builds the provider-neutral generation parameters for a call: empty values are dropped,
+ * the temperature is rescaled to the provider's range and parameters the provider does not support are left out
+ * (callers report those through getUnsupportedParams).
+ * @param {object} apiConfig - The MODEL_CONFIGS entry for the model.
+ * @param {Number|string} temperature - The shared temperature from the chat page.
+ * @param {Record<string, any>} [params] - Per-model parameters.
+ * @returns {Record<string, any>}
+ */
+function resolveGenerationParams(apiConfig, temperature, params) {
+  const { temperature: modelTemperature, ...rest } = sanitizeGenerationParams(params);
+  const resolved = { ...rest, temperature: normalizeTemperature(modelTemperature ?? temperature, apiConfig.temperatureRange) };
+  return Object.fromEntries(Object.entries(resolved)
+    .filter(([key, value]) => value !== undefined && apiConfig.supportedParams.includes(key)));
+}
+
+/**
+ * Decodes the attachments of a message and, for providers with a file store, uploads the ones too large to send inline.
+ * @param {object} apiConfig - The MODEL_CONFIGS entry for the model.
+ * @param {Array<import('../utils/attachments').Attachment>} [attachments] - Attachments as posted by the chat page.
+ * @returns {Promise<Array<import('../utils/attachments').Attachment>>}
+ */
+async function prepareAttachments(apiConfig, attachments = []) {
+  const prepared = [];
+  for (const rawAttachment of attachments) {
+    const attachment = prepareAttachment(rawAttachment);
+    if (attachment.kind !== 'text' && apiConfig.attachmentUpload === 'gemini-file-api' && attachment.size > apiConfig.maxInlineAttachmentBytes) {
+      attachment.fileUri = await fileUploadService.uploadAttachmentToGemini(attachment);
+    }
+    prepared.push(attachment);
+  }
+  return prepared;
+}
+
+/**
+ * Lists the attachments a model cannot take (e.g. images for a text-only provider), so it can be skipped up front.
+ * @param {string} modelId - The identifier for the model.
+ * @param {Array<import('../utils/attachments').Attachment>} [attachments] - Attachments as posted by the chat page.
+ * @param {string} [model] - The model version that will be called.
+ * @returns {Array<{name: string, kind: string}>} Empty when every attachment is supported.
+ */
+function getUnsupportedAttachments(modelId, attachments = [], model) {
+  const apiConfig = getModelConfig(modelId, model);
+  if (!apiConfig) return [];
+  return attachments
+    .map(attachment => ({ name: attachment.name, kind: getAttachmentKind(attachment) }))
+    .filter(({ kind }) => !(apiConfig.supportedAttachments || []).includes(kind));
+}
+
+/**
+ * Lists the per-model generation parameters that were set but that the model's provider does not accept.
+ * @param {string} modelId - The identifier for the model.
+ * @param {Record<string, any>} [params] - Per-model parameters as sent by the chat page.
+ * @returns {Array<string>} Parameter names (see GENERATION_PARAMS); empty when everything is supported.
+ */
+function getUnsupportedParams(modelId, params) {
+  const apiConfig = MODEL_CONFIGS[modelId];
+  if (!apiConfig) return [];
+  return Object.keys(sanitizeGenerationParams(params)).filter(key => !apiConfig.supportedParams.includes(key));
+}
+
+/**
+ * Calls a provider in its native streaming mode and assembles the streamed chunks.
+ * @param {object} apiConfig - The MODEL_CONFIGS entry for the model.
+ * @param {object} payload - The non-streaming payload built by formatPayload/formatPayloadExtended.
+ * @param {object} headers - Request headers from formatHeaders.
+ * @param {(delta: string) => void} onDelta - Receives every text chunk as it arrives.
+ * @param {AbortSignal} [signal] - Cancels the request, including a stream that is already being read.
+ * @returns {Promise<{content: string, finishReason?: string, usage?: import('../config/adapters/shared').Usage}>}
+ * Errors carry the text streamed so far in `partialContent`, and the usage reported so far in `usage`.
+ */
+async function streamLLMResponse(apiConfig, payload, headers, onDelta, signal) {
+  const streamPayload = apiConfig.formatStreamPayload ? apiConfig.formatStreamPayload(payload) : payload;
+  const response = await axios.post(apiConfig.streamUrl || apiConfig.url, streamPayload, { headers, responseType: 'stream', signal });
+
+  let content = '';
+  let finishReason;
+  let usage;
+
+  const readStream = apiConfig.streamFormat === 'ndjson' ? readNdjsonStream : readSseStream;
+  // Closing the upstream connection is what stops the provider from generating (and billing) more tokens.
+  const abortStream = () => response.data.destroy(new axios.CanceledError('Request cancelled'));
+  signal?.addEventListener('abort', abortStream, { once: true });
+  try {
+    await readStream(response.data, ({ data }) => {
+      if (data === '[DONE]') return; // OpenAI-style terminator
+      const chunk = apiConfig.parseStreamChunk(JSON.parse(data));
+      if (chunk.error) {
+        const streamError = new Error(chunk.error.message || 'Provider reported an error mid-stream');
+        // The HTTP status was already 200; classify by the error body, in the same shape as a non-streamed error
+        streamError.response = { data: { error: chunk.error } };
+        throw streamError;
+      }
+      if (chunk.delta) {
+        content += chunk.delta;
+        onDelta(chunk.delta);
+      }
+      if (chunk.finishReason) finishReason = chunk.finishReason;
+      if (chunk.usage) usage = { ...usage, ...chunk.usage }; // Some providers split the counts over several events
+    });
+  } catch (error) {
+    error.partialContent = content;
+    error.usage = usage;
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', abortStream);
+  }
+
+  return { content, finishReason, usage };
+}
+
+/**
+ * Extracts a loggable error body from an axios error. Streaming requests hand back the body as a stream.
+ * @param {Error} error - The error thrown by axios or by the stream parser.
+ * @returns {Promise<object|string>}
+ */
+async function readErrorBody(error) {
+  const data = error.response?.data;
+  if (!data || typeof data.on !== 'function') {
+    return data || error.message;
+  }
+  try {
+    let body = '';
+    for await (const chunk of data) {
+      body += chunk;
+    }
+    try {
+      return JSON.parse(body);
+    } catch {
+      return body || error.message;
+    }
+  } catch {
+    return error.message;
+  }
+}
+
 // Wrapper functions for client-facing calls (can be further simplified if not strictly needed)
-async function getGeminiResponse(input, isChat, guid, historyContainer) {
-  const result = await callLLMAPI('gemini', input, isChat, guid, historyContainer);
+async function getGeminiResponse(input, isChat, guid) {
+  const result = await callLLMAPI('gemini', input, isChat, guid);
   if (result.success) {
     return result.content + RESPONSE_DELIMITER + JSON.stringify(result.rawResponse);
   } else {
@@ -108,8 +436,8 @@ async function getGeminiResponse(input, isChat, guid, historyContainer) {
   }
 }
 
-async function getDeepseekResponse(input, isChat, guid, historyContainer) {
-  const result = await callLLMAPI('deepseek', input, isChat, guid, historyContainer);
+async function getDeepseekResponse(input, isChat, guid) {
+  const result = await callLLMAPI('deepseek', input, isChat, guid);
   if (result.success) {
     return result.content + RESPONSE_DELIMITER + JSON.stringify(result.rawResponse);
   } else {
@@ -117,8 +445,8 @@ async function getDeepseekResponse(input, isChat, guid, historyContainer) {
   }
 }
 
-async function getOpenAIGptResponse(input, isChat, guid, historyContainer) {
-  const result = await callLLMAPI('gpt', input, isChat, guid, historyContainer); // Note 'gpt'
+async function getOpenAIGptResponse(input, isChat, guid) {
+  const result = await callLLMAPI('gpt', input, isChat, guid); // Note 'gpt'
   if (result.success) {
     return result.content + RESPONSE_DELIMITER + JSON.stringify(result.rawResponse);
   } else {
@@ -126,8 +454,8 @@ async function getOpenAIGptResponse(input, isChat, guid, historyContainer) {
   }
 }
 
-async function getAnthropicClaudeResponse(input, isChat, guid, historyContainer) {
-  const result = await callLLMAPI('claude', input, isChat, guid, historyContainer);
+async function getAnthropicClaudeResponse(input, isChat, guid) {
+  const result = await callLLMAPI('claude', input, isChat, guid);
   if (result.success) {
     return result.content + RESPONSE_DELIMITER + JSON.stringify(result.rawResponse);
   } else {
@@ -135,8 +463,8 @@ async function getAnthropicClaudeResponse(input, isChat, guid, historyContainer)
   }
 }
 
-async function getGrokResponse(input, isChat, guid, historyContainer) {
-  const result = await callLLMAPI('grok', input, isChat, guid, historyContainer);
+async function getGrokResponse(input, isChat, guid) {
+  const result = await callLLMAPI('grok', input, isChat, guid);
   if (result.success) {
     return result.content + RESPONSE_DELIMITER + JSON.stringify(result.rawResponse);
   } else {
@@ -147,6 +475,9 @@ async function getGrokResponse(input, isChat, guid, historyContainer) {
 
 module.exports = {
   callLLMAPI,
+  sampleLLMAPI,
+  getUnsupportedParams,
+  getUnsupportedAttachments,
   getGeminiResponse,
   getDeepseekResponse,
   getOpenAIGptResponse,
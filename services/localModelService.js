@@ -0,0 +1,132 @@
+// services/localModelService.js
+const axios = require('axios');
+
+const {
+  OLLAMA_BASE_URL,
+  LLAMACPP_BASE_URL,
+  LOCAL_MODEL_DISCOVERY,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+} = require('../config');
+
+// How long a local server gets to answer a discovery probe, and how long results are reused.
+const DISCOVERY_TIMEOUT_MS = 1500;
+const DISCOVERY_CACHE_MS = 30 * 1000;
+
+/** @type {Set<string>} Provider ids registered by the last discovery run. */
+let discoveredIds = new Set();
+/** @type {number} Timestamp of the last discovery run. */
+let lastDiscoveryAt = 0;
+/** @type {Promise<Array<object>>|null} The discovery run in progress, shared by concurrent callers. */
+let discoveryInFlight = null;
+
+/**
+ * Turns a local model name (e.g. 'llama3:8b') into a registry-safe id suffix.
+ * @param {string} name
+ * @returns {string}
+ */
+function toIdSuffix(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Lists the models installed in a local Ollama server (`GET /api/tags`).
+ * @param {string} baseUrl
+ * @returns {Promise<Array<object>>} Provider definitions, one per installed model.
+ */
+async function discoverOllamaModels(baseUrl) {
+  const response = await axios.get(`${baseUrl}/api/tags`, { timeout: DISCOVERY_TIMEOUT_MS });
+  return (response.data.models || []).map(model => ({
+    id: `ollama_${toIdSuffix(model.name)}`,
+    name: `Ollama ${model.name}`,
+    shortName: model.name,
+    color: 'saddlebrown',
+    adapter: 'ollama',
+    baseUrl: baseUrl,
+    model: model.name,
+    local: true,
+  }));
+}
+
+/**
+ * Lists the models loaded in a llama.cpp server through its OpenAI-compatible `GET /v1/models`.
+ * @param {string} baseUrl
+ * @returns {Promise<Array<object>>} Provider definitions, one per loaded model.
+ */
+async function discoverLlamaCppModels(baseUrl) {
+  const response = await axios.get(`${baseUrl}/v1/models`, { timeout: DISCOVERY_TIMEOUT_MS });
+  return (response.data.data || []).map(model => ({
+    id: `llamacpp_${toIdSuffix(model.id)}`,
+    name: `llama.cpp ${model.id}`,
+    shortName: model.id.split('/').pop(),
+    color: 'darkolivegreen',
+    adapter: 'openai-compatible',
+    baseUrl: `${baseUrl}/v1`,
+    model: model.id,
+    // llama.cpp's server also honours top_k on its OpenAI-compatible endpoint
+    supportedParams: ['temperature', 'maxTokens', 'topP', 'topK', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty'],
+    local: true,
+  }));
+}
+
+/**
+ * Probes the configured local model servers and syncs the provider registry with what is installed:
+ * new models are registered as columns, models that disappeared are removed.
+ * A server that is not running is simply skipped. Results are cached for a short time.
+ * @param {boolean} [force=false] - Ignore the cache and probe again.
+ * @returns {Promise<Array<object>>} The registered local providers.
+ */
+async function discoverLocalModels(force = false) {
+  if (!LOCAL_MODEL_DISCOVERY) {
+    return [];
+  }
+  if (discoveryInFlight) {
+    return discoveryInFlight;
+  }
+  if (!force && Date.now() - lastDiscoveryAt < DISCOVERY_CACHE_MS) {
+    return [...discoveredIds].map(getProvider).filter(Boolean);
+  }
+
+  discoveryInFlight = (async () => {
+    const probes = [
+      { label: 'Ollama', run: () => discoverOllamaModels(OLLAMA_BASE_URL) },
+      { label: 'llama.cpp', run: () => discoverLlamaCppModels(LLAMACPP_BASE_URL) },
+    ];
+    const definitions = [];
+    for (const probe of probes) {
+      try {
+        definitions.push(...await probe.run());
+      } catch (error) {
+        console.log(`No ${probe.label} server found for local model discovery (${error.code || error.message}).`);
+      }
+    }
+
+    const registered = [];
+    const foundIds = new Set();
+    definitions.forEach(definition => {
+      try {
+        registered.push(registerProvider(definition));
+        foundIds.add(definition.id);
+      } catch (error) {
+        console.error(`Could not register local model ${definition.model}:`, error.message);
+      }
+    });
+    discoveredIds.forEach(id => {
+      if (!foundIds.has(id)) unregisterProvider(id);
+    });
+    discoveredIds = foundIds;
+    lastDiscoveryAt = Date.now();
+    return registered;
+  })();
+
+  try {
+    return await discoveryInFlight;
+  } finally {
+    discoveryInFlight = null;
+  }
+}
+
+module.exports = {
+  discoverLocalModels,
+};
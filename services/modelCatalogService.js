@@ -0,0 +1,60 @@
+// services/modelCatalogService.js
+const axios = require('axios');
+
+const { MODEL_CONFIGS, getProvider } = require('../config');
+
+// How long a provider gets to list its models, and how long a list is reused.
+const LIST_TIMEOUT_MS = 5000;
+const LIST_CACHE_MS = 5 * 60 * 1000;
+
+/** @type {Map<string, {models: Array<string>, fetchedAt: number}>} Model lists keyed by provider id. */
+const catalogCache = new Map();
+
+/**
+ * Lists the model versions a provider offers, for the column's version picker.
+ * Asks the provider's list-models endpoint and falls back to the `models` listed in its definition
+ * when the endpoint fails (no key, offline, not implemented by the server, ...).
+ * The provider's configured model is always part of the list.
+ * @param {string} modelId - The provider id.
+ * @param {boolean} [force=false] - Ignore the cache and ask the provider again.
+ * @returns {Promise<{modelId: string, current: string, models: Array<string>, source: 'provider'|'config', error?: string}>}
+ */
+async function listModelVersions(modelId, force = false) {
+  const provider = getProvider(modelId);
+  const apiConfig = MODEL_CONFIGS[modelId];
+  if (!provider || !apiConfig) {
+    throw new Error(`Invalid modelId: ${modelId}`);
+  }
+  const withCurrent = (models) => [...new Set([provider.model, ...models])];
+
+  const cached = catalogCache.get(modelId);
+  if (!force && cached && Date.now() - cached.fetchedAt < LIST_CACHE_MS) {
+    return { modelId, current: provider.model, models: withCurrent(cached.models), source: 'provider' };
+  }
+
+  if (apiConfig.modelsUrl && apiConfig.parseModelList) {
+    try {
+      const headers = apiConfig.formatHeaders();
+      delete headers['Content-Type']; // GET request, no body
+      const response = await axios.get(apiConfig.modelsUrl, { headers, timeout: LIST_TIMEOUT_MS });
+      const models = apiConfig.parseModelList(response.data).filter(Boolean).sort();
+      catalogCache.set(modelId, { models, fetchedAt: Date.now() });
+      return { modelId, current: provider.model, models: withCurrent(models), source: 'provider' };
+    } catch (error) {
+      console.error(`Could not list models for ${modelId}:`, error.response?.status || error.code || error.message);
+      return {
+        modelId,
+        current: provider.model,
+        models: withCurrent(provider.models),
+        source: 'config',
+        error: `Could not list models from the provider (${error.response?.status || error.code || error.message}).`,
+      };
+    }
+  }
+
+  return { modelId, current: provider.model, models: withCurrent(provider.models), source: 'config' };
+}
+
+module.exports = {
+  listModelVersions,
+};
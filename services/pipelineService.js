@@ -0,0 +1,186 @@
+// services/pipelineService.js
+const fs = require('fs');
+const path = require('path');
+const { HISTORY_STORE, HISTORY_DATA_DIR } = require('../config');
+
+// --- Pipelines ---
+// A pipeline is an ordered chain of model calls: each step's prompt is a template that can use the original input
+// and the output of earlier steps. Pipelines saved from the chat page are kept in <HISTORY_DATA_DIR>/pipelines.json
+// (in memory only with HISTORY_STORE=memory).
+
+/**
+ * @typedef {object} PipelineStep
+ * @property {string} modelId - The model (column) that runs the step.
+ * @property {string} prompt - Template with {{input}} (the user's input) and {{stepN}} (the output of step N, from 1).
+ * @property {string} [label] - Short name shown with the step, e.g. "critique".
+ */
+
+/**
+ * @typedef {object} Pipeline
+ * @property {string} id
+ * @property {string} name
+ * @property {Array<PipelineStep>} steps
+ */
+
+const PIPELINES_FILE = HISTORY_STORE === 'file' ? path.join(HISTORY_DATA_DIR, 'pipelines.json') : null;
+const PIPELINE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+/** @type {Map<string, Pipeline>|null} Loaded on first use */
+let pipelines = null;
+let pipelineWrites = Promise.resolve();
+
+/**
+ * Reads the saved pipelines once.
+ * @returns {Promise<Map<string, Pipeline>>}
+ */
+async function loadPipelines() {
+  if (pipelines) {
+    return pipelines;
+  }
+  let saved = [];
+  if (PIPELINES_FILE) {
+    try {
+      saved = JSON.parse(await fs.promises.readFile(PIPELINES_FILE, 'utf8')).pipelines || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read pipelines from ${PIPELINES_FILE}: ${error.message}`);
+    }
+  }
+  pipelines = new Map(saved.map(pipeline => [pipeline.id, pipeline]));
+  return pipelines;
+}
+
+/**
+ * Writes the pipelines to a temporary file and renames it into place. Writes are chained, so two saves never
+ * share the temporary file.
+ * @returns {Promise<void>}
+ */
+function writePipelines() {
+  if (!PIPELINES_FILE) {
+    return Promise.resolve();
+  }
+  const write = pipelineWrites.then(async () => {
+    await fs.promises.mkdir(path.dirname(PIPELINES_FILE), { recursive: true });
+    const tempFile = `${PIPELINES_FILE}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ pipelines: [...pipelines.values()] }, null, 2));
+    await fs.promises.rename(tempFile, PIPELINES_FILE);
+  });
+  pipelineWrites = write.catch(() => {});
+  return write;
+}
+
+/**
+ * @param {string} message
+ * @returns {Error} An error for a pipeline the user has to fix (code INVALID_PIPELINE).
+ */
+function invalidPipeline(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PIPELINE';
+  return error;
+}
+
+/**
+ * Checks a chain of steps: every step needs a model and a prompt, and may only use the outputs of earlier steps.
+ * @param {Array<object>} steps
+ * @returns {Array<PipelineStep>} The steps in the stored shape.
+ * @throws {Error} With code INVALID_PIPELINE when a step is invalid.
+ */
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw invalidPipeline('A pipeline needs at least one step.');
+  }
+  return steps.map((step, index) => {
+    const stepNumber = index + 1;
+    if (typeof step?.modelId !== 'string' || !step.modelId) {
+      throw invalidPipeline(`Step ${stepNumber} needs a model.`);
+    }
+    if (typeof step.prompt !== 'string' || !step.prompt.trim()) {
+      throw invalidPipeline(`Step ${stepNumber} needs a prompt.`);
+    }
+    for (const [, name] of step.prompt.matchAll(PLACEHOLDER_PATTERN)) {
+      const earlierStep = /^step(\d+)$/.exec(name);
+      if (name !== 'input' && !earlierStep) {
+        throw invalidPipeline(`Step ${stepNumber} uses {{${name}}}; only {{input}} and {{stepN}} are known.`);
+      }
+      if (earlierStep && (Number(earlierStep[1]) < 1 || Number(earlierStep[1]) >= stepNumber)) {
+        throw invalidPipeline(`Step ${stepNumber} uses {{${name}}}, but can only use the output of an earlier step.`);
+      }
+    }
+    return {
+      modelId: step.modelId,
+      prompt: step.prompt,
+      label: typeof step.label === 'string' ? step.label.trim() : '',
+    };
+  });
+}
+
+/**
+ * Fills in a step's placeholders.
+ * @param {string} template - The step's prompt.
+ * @param {string} input - The user's input.
+ * @param {Array<string>} outputs - The outputs of the steps run so far, in order.
+ * @returns {string}
+ */
+function renderStepPrompt(template, input, outputs) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (name === 'input') return input;
+    return outputs[Number(name.slice('step'.length)) - 1] ?? placeholder;
+  });
+}
+
+/**
+ * Lists the saved pipelines.
+ * @returns {Promise<Array<Pipeline>>}
+ */
+async function listPipelines() {
+  return [...(await loadPipelines()).values()];
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Pipeline|undefined>}
+ */
+async function getPipeline(id) {
+  return (await loadPipelines()).get(id);
+}
+
+/**
+ * Saves a pipeline, replacing the one with the same ID.
+ * @param {object} input - See Pipeline.
+ * @returns {Promise<Pipeline>} The saved pipeline.
+ * @throws {Error} With code INVALID_PIPELINE when the pipeline is invalid.
+ */
+async function savePipeline(input) {
+  const { id, name, steps } = input || {};
+  if (typeof id !== 'string' || !PIPELINE_ID_PATTERN.test(id)) {
+    throw invalidPipeline('id must be 1-64 lowercase letters, digits, "-" or "_".');
+  }
+  /** @type {Pipeline} */
+  const pipeline = { id, name: (typeof name === 'string' && name.trim()) || id, steps: normalizeSteps(steps) };
+  (await loadPipelines()).set(id, pipeline);
+  await writePipelines();
+  return pipeline;
+}
+
+/**
+ * Deletes a saved pipeline.
+ * @param {string} id
+ * @returns {Promise<boolean>} False when there is no pipeline with this ID.
+ */
+async function deletePipeline(id) {
+  const saved = await loadPipelines();
+  if (!saved.delete(id)) {
+    return false;
+  }
+  await writePipelines();
+  return true;
+}
+
+module.exports = {
+  normalizeSteps,
+  renderStepPrompt,
+  listPipelines,
+  getPipeline,
+  savePipeline,
+  deletePipeline,
+};
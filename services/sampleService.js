@@ -0,0 +1,160 @@
+// services/sampleService.js
+const crypto = require('crypto');
+const { getModelConfig } = require('../config');
+const historyService = require('./historyService');
+
+// --- Sample Sets ---
+// A submission can ask every model for several answers (samples) to compare how consistent they are. None of them
+// goes into the chat history right away: each model's samples wait in memory until the user keeps one, which is
+// then stored after the user message like a normal answer. A set is only good for the history it answered: once
+// another turn is stored for that model, keeping one of its samples is refused.
+
+const MAX_SAMPLES = 5;
+const SAMPLE_SET_TTL_MS = 60 * 60 * 1000; // Sets nobody picked a sample from within an hour are dropped
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * @typedef {object} Sample
+ * @property {string} content
+ * @property {string} [finishReason]
+ */
+
+/**
+ * @typedef {object} SampleSet
+ * @property {string} id
+ * @property {string} modelId
+ * @property {string} [model] - The model version that answered.
+ * @property {string} guid
+ * @property {Array<object>} messages - The messages to store before the kept sample (the user message, in the provider's shape).
+ * @property {number} historyLength - The length of the history the samples answer.
+ * @property {Array<Sample>} samples
+ * @property {number} createdAt
+ */
+
+/**
+ * @typedef {object} SampleVariance
+ * @property {number|null} similarity - Mean word overlap (Jaccard) of every pair of samples, 0-1; null for a single sample.
+ * @property {{min: number, max: number, mean: number}} length - Sample lengths in words.
+ */
+
+/** @type {Map<string, SampleSet>} Sample sets waiting for a pick, by id. */
+const sampleSets = new Map();
+
+/**
+ * @param {string} message
+ * @param {'UNKNOWN_SAMPLE_SET'|'INVALID_SAMPLE'|'STALE_SAMPLE_SET'} code
+ * @returns {Error} An error about the sample the user picked.
+ */
+function sampleError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Drops the sample sets nobody picked from in time.
+ */
+function pruneSampleSets() {
+  const cutoff = Date.now() - SAMPLE_SET_TTL_MS;
+  sampleSets.forEach((set, id) => {
+    if (set.createdAt < cutoff) sampleSets.delete(id);
+  });
+}
+
+/**
+ * @param {any} value - The number of samples the chat page asked for.
+ * @returns {number} A whole number from 1 to MAX_SAMPLES; 1 (a normal answer) for anything else.
+ */
+function normalizeSampleCount(value) {
+  const count = Number(value);
+  return Number.isInteger(count) && count > 1 ? Math.min(count, MAX_SAMPLES) : 1;
+}
+
+/**
+ * Keeps a chat model's samples until the user picks one.
+ * @param {object} set
+ * @param {string} set.modelId
+ * @param {string} [set.model]
+ * @param {string} set.guid
+ * @param {Array<object>} set.messages - See SampleSet.
+ * @param {number} set.historyLength - See SampleSet.
+ * @param {Array<Sample>} set.samples
+ * @returns {string} The sample set's id.
+ */
+function openSampleSet({ modelId, model, guid, messages, historyLength, samples }) {
+  pruneSampleSets();
+  const id = crypto.randomUUID();
+  sampleSets.set(id, { id, modelId, model, guid, messages, historyLength, samples, createdAt: Date.now() });
+  return id;
+}
+
+/**
+ * Stores the picked sample in the model's chat history, after the user message, and closes the set.
+ * @param {string} sampleSetId
+ * @param {number} index - The sample's position, from 0.
+ * @returns {Promise<{modelId: string, sample: Sample}>}
+ * @throws {Error} With code UNKNOWN_SAMPLE_SET or INVALID_SAMPLE, or STALE_SAMPLE_SET when the model's history
+ * changed since the samples were asked for (the set is closed then too).
+ */
+async function keepSample(sampleSetId, index) {
+  const set = sampleSets.get(sampleSetId);
+  if (!set) {
+    throw sampleError('These samples are no longer open; one was kept already or they expired.', 'UNKNOWN_SAMPLE_SET');
+  }
+  const sample = Number.isInteger(index) ? set.samples[index] : undefined;
+  if (!sample) {
+    throw sampleError(`There is no sample ${index} in this set.`, 'INVALID_SAMPLE');
+  }
+  sampleSets.delete(sampleSetId);
+  const { formatAssistantMessage } = getModelConfig(set.modelId, set.model) || getModelConfig(set.modelId);
+  const stored = await historyService.appendMessages(set.modelId, set.guid, [...set.messages, formatAssistantMessage(sample.content)], {
+    expectedLength: set.historyLength,
+  });
+  if (!stored) {
+    throw sampleError('The chat history changed after these samples were asked for; send the question again to sample it.', 'STALE_SAMPLE_SET');
+  }
+  return { modelId: set.modelId, sample };
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>} The text's distinct lowercase words.
+ */
+function toWordSet(text) {
+  return new Set(text.toLowerCase().match(WORD_PATTERN) || []);
+}
+
+/**
+ * Measures how much a model's samples differ: their mean pairwise word overlap and the spread of their lengths.
+ * @param {Array<Sample>} samples
+ * @returns {SampleVariance}
+ */
+function describeVariance(samples) {
+  const wordSets = samples.map(sample => toWordSet(sample.content));
+  const similarities = [];
+  for (let i = 0; i < wordSets.length; i++) {
+    for (let j = i + 1; j < wordSets.length; j++) {
+      const shared = [...wordSets[i]].filter(word => wordSets[j].has(word)).length;
+      const union = wordSets[i].size + wordSets[j].size - shared;
+      similarities.push(union === 0 ? 1 : shared / union);
+    }
+  }
+  const lengths = samples.map(sample => (sample.content.match(WORD_PATTERN) || []).length);
+  return {
+    similarity: similarities.length > 0
+      ? Math.round(similarities.reduce((sum, value) => sum + value, 0) / similarities.length * 100) / 100
+      : null,
+    length: {
+      min: Math.min(...lengths),
+      max: Math.max(...lengths),
+      mean: Math.round(lengths.reduce((sum, value) => sum + value, 0) / lengths.length),
+    },
+  };
+}
+
+module.exports = {
+  normalizeSampleCount,
+  openSampleSet,
+  keepSample,
+  describeVariance,
+};
@@ -0,0 +1,52 @@
+// services/storage/index.js
+const createMemoryStore = require('./memoryStore');
+const createJsonFileStore = require('./jsonFileStore');
+
+/**
+ * @typedef {object} Session
+ * @property {string} guid - The session GUID generated by the chat page.
+ * @property {string} title - Set by renaming; empty until then.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {string} updatedAt - ISO timestamp of the last change.
+ * @property {Array<string>} quest - Every question asked in the session, in order.
+ * @property {Record<string, Array<object>>} histories - Each model's messages, in the provider's native message shape.
+ * For a model with branches these are the active branch's messages.
+ * @property {Record<string, object>} [branches] - Each model's branch tree (see historyService).
+ * @property {Record<string, import('../../utils/usage').UsageTotals>} [usage] - Each model's token and cost totals.
+ * @property {Record<string, object>} [summaries] - Each model's latest summary of older turns (see contextService).
+ */
+
+/**
+ * @typedef {object} SessionStore
+ * @property {(guid: string) => Promise<Session|null>} loadSession
+ * @property {(session: Session) => Promise<void>} saveSession - Creates or replaces the session.
+ * @property {() => Promise<Array<Session>>} listSessions
+ * @property {(guid: string) => Promise<boolean>} deleteSession - False if there was no such session.
+ */
+
+/**
+ * Store factories keyed by the HISTORY_STORE setting.
+ */
+const STORES = {
+  memory: createMemoryStore,
+  file: createJsonFileStore,
+};
+
+/**
+ * Creates the session store selected by configuration.
+ * @param {string} type - A key of STORES.
+ * @param {object} options - Passed to the factory (e.g. `dataDir` for the file store).
+ * @returns {SessionStore}
+ */
+function createStore(type, options) {
+  const factory = STORES[type];
+  if (!factory) {
+    throw new Error(`Unknown HISTORY_STORE "${type}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  STORES,
+  createStore,
+};
@@ -0,0 +1,72 @@
+// services/storage/jsonFileStore.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Keeps every session in its own JSON file under `<dataDir>/sessions`, so conversations survive restarts.
+ * Files are written to a temporary name and renamed into place, so a crash mid-write never leaves a truncated session.
+ * @param {object} options
+ * @param {string} options.dataDir - Directory for the data files; created on first write.
+ * @returns {import('./index').SessionStore}
+ */
+function createJsonFileStore({ dataDir }) {
+  const sessionsDir = path.join(dataDir, 'sessions');
+
+  // GUIDs come from the browser; encoding them keeps every session inside sessionsDir.
+  const sessionFile = (guid) => path.join(sessionsDir, `${encodeURIComponent(guid)}.json`);
+
+  async function readSessionFile(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read session file ${file}: ${error.message}`);
+    }
+  }
+
+  return {
+    async loadSession(guid) {
+      return readSessionFile(sessionFile(guid));
+    },
+
+    async saveSession(session) {
+      await fs.mkdir(sessionsDir, { recursive: true });
+      const file = sessionFile(session.guid);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(session));
+      await fs.rename(tempFile, file);
+    },
+
+    async listSessions() {
+      let fileNames;
+      try {
+        fileNames = await fs.readdir(sessionsDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const sessions = [];
+      for (const fileName of fileNames.filter(name => name.endsWith('.json'))) {
+        try {
+          const session = await readSessionFile(path.join(sessionsDir, fileName));
+          if (session) sessions.push(session);
+        } catch (error) {
+          console.error(error.message); // One damaged file should not hide the other sessions
+        }
+      }
+      return sessions;
+    },
+
+    async deleteSession(guid) {
+      try {
+        await fs.unlink(sessionFile(guid));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = createJsonFileStore;
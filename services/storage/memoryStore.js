@@ -0,0 +1,32 @@
+// services/storage/memoryStore.js
+
+/**
+ * Keeps sessions in process memory. Nothing survives a restart; useful for development and throwaway servers.
+ * Sessions are copied on the way in and out, so callers never share objects with the store.
+ * @returns {import('./index').SessionStore}
+ */
+function createMemoryStore() {
+  /** @type {Map<string, import('./index').Session>} */
+  const sessions = new Map();
+
+  return {
+    async loadSession(guid) {
+      const session = sessions.get(guid);
+      return session ? structuredClone(session) : null;
+    },
+
+    async saveSession(session) {
+      sessions.set(session.guid, structuredClone(session));
+    },
+
+    async listSessions() {
+      return [...sessions.values()].map(session => structuredClone(session));
+    },
+
+    async deleteSession(guid) {
+      return sessions.delete(guid);
+    },
+  };
+}
+
+module.exports = createMemoryStore;
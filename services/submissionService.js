@@ -0,0 +1,81 @@
+// services/submissionService.js
+const crypto = require('crypto');
+
+// --- In-Flight Submissions ---
+/**
+ * Abort controllers for every /api/submit request that is still running, keyed by submission id.
+ * Each model call gets its own controller, chained to the submission's, so the whole submission
+ * or a single slow column can be stopped.
+ * @type {Map<string, {controller: AbortController, models: Map<string, AbortController>}>}
+ */
+const activeSubmissions = new Map();
+
+/**
+ * Registers a running submission.
+ * @param {string} [submissionId] - Id chosen by the client; a new one is generated when missing or already in use.
+ * @returns {string} The submission id to report back to the client.
+ */
+function startSubmission(submissionId) {
+  const id = (typeof submissionId === 'string' && submissionId && !activeSubmissions.has(submissionId))
+    ? submissionId
+    : crypto.randomUUID();
+  activeSubmissions.set(id, { controller: new AbortController(), models: new Map() });
+  return id;
+}
+
+/**
+ * Returns the abort signal for one model's call within a submission.
+ * It fires when either that model or the whole submission is cancelled.
+ * @param {string} submissionId
+ * @param {string} modelId
+ * @returns {AbortSignal|undefined} Undefined when the submission is unknown.
+ */
+function getModelSignal(submissionId, modelId) {
+  const submission = activeSubmissions.get(submissionId);
+  if (!submission) return undefined;
+  if (!submission.models.has(modelId)) {
+    const modelController = new AbortController();
+    if (submission.controller.signal.aborted) {
+      modelController.abort();
+    } else {
+      submission.controller.signal.addEventListener('abort', () => modelController.abort(), { once: true });
+    }
+    submission.models.set(modelId, modelController);
+  }
+  return submission.models.get(modelId).signal;
+}
+
+/**
+ * Cancels a running submission, or only one model's call in it.
+ * @param {string} submissionId
+ * @param {string} [modelId] - When set, only this model is cancelled and the others keep running.
+ * @returns {boolean} True if something was cancelled.
+ */
+function cancelSubmission(submissionId, modelId) {
+  const submission = activeSubmissions.get(submissionId);
+  if (!submission) return false;
+  if (modelId) {
+    const modelController = submission.models.get(modelId);
+    if (!modelController || modelController.signal.aborted) return false;
+    modelController.abort();
+    return true;
+  }
+  if (submission.controller.signal.aborted) return false;
+  submission.controller.abort();
+  return true;
+}
+
+/**
+ * Forgets a submission once all of its model calls have settled.
+ * @param {string} submissionId
+ */
+function finishSubmission(submissionId) {
+  activeSubmissions.delete(submissionId);
+}
+
+module.exports = {
+  startSubmission,
+  getModelSignal,
+  cancelSubmission,
+  finishSubmission,
+};
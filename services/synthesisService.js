@@ -0,0 +1,117 @@
+// services/synthesisService.js
+const { getProvider } = require('../config');
+const llmService = require('./llmService');
+const historyService = require('./historyService');
+
+// --- Synthesis ---
+// After a submission, a designated model can merge the successful responses into one answer. The responses are
+// numbered in its prompt and the merged answer cites them as [1], [2], ..., so every part can be traced back to
+// the models it came from.
+
+/**
+ * @typedef {object} SynthesisSource
+ * @property {number} ref - The number the merged answer cites the response by.
+ * @property {string} model - The answering model's ID.
+ * @property {string} name - Its display name.
+ * @property {boolean} cited - Whether the merged answer cites the response at all.
+ */
+
+/**
+ * @typedef {object} Synthesis
+ * @property {string} synthesisModel - The merging model's ID.
+ * @property {string} content - The merged answer, with citations.
+ * @property {Array<SynthesisSource>} sources
+ * @property {import('../config/adapters/shared').Usage} [usage] - The synthesis call's usage.
+ * @property {{amount: number, currency: string}} [cost] - The synthesis call's cost.
+ */
+
+const SYNTHESIS_SYSTEM_PROMPT = 'You merge several answers to the same question into one better answer and cite where each part came from.';
+const CITATION_PATTERN = /\[(\d+)\]/g;
+
+/**
+ * Numbers the responses for the prompt and the citations.
+ * @param {Array<{model: string, text: string}>} responses
+ * @returns {Array<SynthesisSource & {text: string}>}
+ */
+function toSources(responses) {
+  return responses.map((response, index) => ({
+    ref: index + 1,
+    model: response.model,
+    name: getProvider(response.model)?.name || response.model,
+    text: response.text,
+    cited: false,
+  }));
+}
+
+/**
+ * @param {string} question
+ * @param {Array<SynthesisSource & {text: string}>} sources
+ * @returns {string} The prompt for the merging model.
+ */
+function buildSynthesisPrompt(question, sources) {
+  const answers = sources.map(source => `[${source.ref}] ${source.name}:\n${source.text}`).join('\n\n');
+  return [
+    `Question:\n${question}`,
+    `Answers from ${sources.length} models:\n\n${answers}`,
+    'Write one answer to the question that combines the best and most accurate parts of these answers and leaves out '
+      + 'what is wrong. After each sentence or paragraph, cite the answers it draws on by number, e.g. [1] or [1][3]. '
+      + 'Do not mention the citations or this task otherwise.',
+  ].join('\n\n');
+}
+
+/**
+ * Has a model merge the successful responses of a submission into one cited answer.
+ * @param {object} request
+ * @param {string} request.modelId - The merging model.
+ * @param {string} request.question - The prompt the models answered.
+ * @param {Array<{model: string, text: string}>} request.responses - The successful responses.
+ * @param {string} request.guid
+ * @param {number|string} [request.temperature]
+ * @param {AbortSignal} [request.signal]
+ * @param {(delta: string) => void} [request.onDelta] - Called with each streamed chunk of the merged answer.
+ * @returns {Promise<Synthesis>}
+ * @throws {Error} When the model is unknown, there is nothing to merge, or the call fails.
+ */
+async function synthesizeResponses({ modelId, question, responses, guid, temperature, signal, onDelta }) {
+  if (!getProvider(modelId)) {
+    throw new Error(`Unknown synthesis model: ${modelId}`);
+  }
+  if (responses.length === 0) {
+    throw new Error('There are no successful responses to merge.');
+  }
+
+  const sources = toSources(responses);
+  const result = await llmService.callLLMAPI(modelId, buildSynthesisPrompt(question, sources), false, guid, temperature, SYNTHESIS_SYSTEM_PROMPT, { signal, onDelta });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  const cited = new Set([...result.content.matchAll(CITATION_PATTERN)].map(([, ref]) => Number(ref)));
+  return {
+    synthesisModel: modelId,
+    content: result.content,
+    sources: sources.map(({ text, ...source }) => ({ ...source, cited: cited.has(source.ref) })),
+    usage: result.usage,
+    cost: result.cost,
+  };
+}
+
+/**
+ * Adds the merged answer to models' chat histories as a turn of its own, so their next answers can build on it.
+ * @param {Array<string>} modelIds
+ * @param {string} guid
+ * @param {Synthesis} synthesis
+ * @returns {Promise<boolean>} True if it was stored.
+ */
+function saveSynthesis(modelIds, guid, synthesis) {
+  const name = getProvider(synthesis.synthesisModel)?.name || synthesis.synthesisModel;
+  const legend = synthesis.sources.map(source => `[${source.ref}] ${source.name}`).join(', ');
+  return historyService.appendCanonicalMessages(modelIds, guid, [
+    { role: 'user', text: `Combined answer of all models, written by ${name} (sources: ${legend}). Take it into account from now on.`, attachments: [] },
+    { role: 'assistant', text: synthesis.content, attachments: [] },
+  ]);
+}
+
+module.exports = {
+  synthesizeResponses,
+  saveSynthesis,
+};
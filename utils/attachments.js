@@ -0,0 +1,63 @@
+// utils/attachments.js
+
+/**
+ * @typedef {object} Attachment
+ * @property {string} name - Original file name.
+ * @property {string} mimeType - MIME type reported by the browser (or guessed from the extension).
+ * @property {string} data - File contents, base64 encoded.
+ * @property {number} [size] - Size in bytes of the decoded file.
+ * @property {'image'|'pdf'|'text'|'other'} [kind] - Set by prepareAttachment.
+ * @property {string} [text] - Decoded contents of text files, set by prepareAttachment.
+ * @property {string} [fileUri] - Set when the file was uploaded to a provider's file store instead of being sent inline.
+ */
+
+// Image formats every multimodal provider accepts
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+// Non-"text/*" types that are still plain text and can be inlined as such
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/javascript', 'application/x-yaml', 'application/yaml'];
+
+/**
+ * Sorts an attachment into the kinds adapters declare in `supportedAttachments`.
+ * @param {Attachment} attachment
+ * @returns {'image'|'pdf'|'text'|'other'}
+ */
+function getAttachmentKind(attachment) {
+  const mimeType = (attachment?.mimeType || '').toLowerCase();
+  if (IMAGE_MIME_TYPES.includes(mimeType)) return 'image';
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (mimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(mimeType)) return 'text';
+  return 'other';
+}
+
+/**
+ * Adds the derived fields (kind, decoded text, size) to an attachment posted by the chat page.
+ * @param {Attachment} attachment
+ * @returns {Attachment}
+ */
+function prepareAttachment(attachment) {
+  const kind = getAttachmentKind(attachment);
+  const buffer = Buffer.from(attachment.data || '', 'base64');
+  return {
+    name: attachment.name || 'attachment',
+    mimeType: attachment.mimeType,
+    data: attachment.data || '',
+    size: buffer.length,
+    kind,
+    ...(kind === 'text' ? { text: buffer.toString('utf8') } : {}),
+  };
+}
+
+/**
+ * Text files are sent as an extra text block rather than as a file, so every provider can read them.
+ * @param {Attachment} attachment - A prepared text attachment.
+ * @returns {string}
+ */
+function formatTextAttachment(attachment) {
+  return `[Attached file: ${attachment.name}]\n${attachment.text}`;
+}
+
+module.exports = {
+  getAttachmentKind,
+  prepareAttachment,
+  formatTextAttachment,
+};
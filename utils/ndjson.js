@@ -0,0 +1,47 @@
+// utils/ndjson.js
+
+/**
+ * Reads a newline-delimited JSON stream (as produced by Ollama) and invokes `onEvent` for every
+ * non-empty line. The callback receives the same `{ data }` shape as utils/sse.readSseStream so
+ * callers can treat both stream formats alike.
+ * @param {import('stream').Readable} stream - The readable stream returned by the provider.
+ * @param {(event: { data: string }) => void} onEvent - Called once per line. Throwing rejects the promise.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+const readNdjsonStream = (stream, onEvent) => new Promise((resolve, reject) => {
+  let buffer = '';
+
+  const flush = (final) => {
+    const lines = buffer.split('\n');
+    buffer = final ? '' : lines.pop(); // Keep the trailing partial line for the next chunk
+    lines.forEach(line => {
+      if (line.trim()) onEvent({ data: line.trim() });
+    });
+  };
+
+  if (stream.setEncoding) stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    buffer += chunk;
+    try {
+      flush(false);
+    } catch (error) {
+      stream.destroy();
+      reject(error);
+    }
+  });
+  stream.on('end', () => {
+    try {
+      flush(true);
+      resolve();
+    } catch (error) {
+      reject(error);
+    }
+  });
+  stream.on('error', reject);
+  // A stream torn down without an error (e.g. a cancelled request) never emits 'end'; after 'end' this is a no-op.
+  stream.on('close', () => reject(new Error('Stream closed before it ended')));
+});
+
+module.exports = {
+  readNdjsonStream,
+};
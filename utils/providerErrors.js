@@ -0,0 +1,127 @@
+// utils/providerErrors.js
+
+/**
+ * Categories provider failures are sorted into. `retryable` ones are retried automatically by llmService.
+ */
+const ERROR_CATEGORIES = Object.freeze({
+  RATE_LIMIT: 'rate_limit',
+  OVERLOADED: 'overloaded',
+  SERVER_ERROR: 'server_error',
+  NETWORK: 'network',
+  AUTH: 'auth',
+  QUOTA: 'quota',
+  CONTEXT_LENGTH: 'context_length',
+  CONTENT_FILTER: 'content_filter',
+  INVALID_REQUEST: 'invalid_request',
+  UNKNOWN: 'unknown',
+});
+
+// Human-readable labels shown in the chat columns
+const ERROR_LABELS = Object.freeze({
+  rate_limit: 'Rate limited by the provider',
+  overloaded: 'Provider is overloaded',
+  server_error: 'Provider server error',
+  network: 'Network error reaching the provider',
+  auth: 'Authentication failed (check the API key)',
+  quota: 'Quota or credits exhausted',
+  context_length: 'Conversation is too long for the model\'s context window',
+  content_filter: 'Blocked by the provider\'s content filter',
+  invalid_request: 'The provider rejected the request',
+  unknown: 'Unexpected provider error',
+});
+
+const RETRYABLE_CATEGORIES = ['rate_limit', 'overloaded', 'server_error', 'network'];
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNABORTED', 'EPIPE', 'ERR_NETWORK'];
+const CONTEXT_LENGTH_PATTERN = /context (length|window)|maximum context|too many tokens|prompt is too long|input token count|exceeds the (context|maximum)/i;
+const CONTENT_FILTER_PATTERN = /content[ _-]?(filter|policy|management)|safety|blocked|prohibited/i;
+// Gemini reports per-minute limits as "quota" too, so only billing-style wording counts as exhausted credits
+const QUOTA_PATTERN = /insufficient_quota|credit balance|billing/i;
+
+/**
+ * Finish reasons with which providers report an answer they refused or cut for safety reasons.
+ */
+const CONTENT_FILTER_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION', 'content_filter', 'refusal'];
+
+/**
+ * Pulls the provider's own message out of an error body (OpenAI, Anthropic, Gemini and Ollama shapes).
+ * @param {any} errorData - The parsed error body, or a string.
+ * @returns {string}
+ */
+function getProviderMessage(errorData) {
+  if (!errorData) return '';
+  if (typeof errorData === 'string') return errorData;
+  const body = Array.isArray(errorData) ? errorData[0] : errorData; // Gemini streams errors as a one-element array
+  const message = body?.error?.message ?? body?.message ?? body?.error;
+  return typeof message === 'string' ? message : JSON.stringify(errorData);
+}
+
+/**
+ * Reads a Retry-After (seconds or HTTP date) or retry-after-ms header.
+ * @param {Record<string, string>} [headers]
+ * @returns {number|undefined} The requested wait in milliseconds.
+ */
+function parseRetryAfter(headers) {
+  if (!headers) return undefined;
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (Number.isFinite(retryAfterMs)) return retryAfterMs;
+  const retryAfter = headers['retry-after'];
+  if (!retryAfter) return undefined;
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Sorts a failed provider call into an ERROR_CATEGORIES category.
+ * @param {Error & {response?: {status?: number, headers?: object}, code?: string}} error - The error thrown by axios or the stream parser.
+ * @param {any} [errorData] - The error body, already read (streamed bodies must be read first).
+ * @returns {{category: string, label: string, retryable: boolean, status?: number, retryAfterMs?: number, message: string}}
+ */
+function classifyProviderError(error, errorData) {
+  const status = error.response?.status;
+  const message = getProviderMessage(errorData) || error.message || '';
+  const providerCode = (Array.isArray(errorData) ? errorData[0] : errorData)?.error?.code ?? errorData?.error?.type;
+
+  let category = ERROR_CATEGORIES.UNKNOWN;
+  if (error.category) {
+    category = error.category; // Already classified (e.g. a filtered answer detected by llmService)
+  } else if (!status && (NETWORK_ERROR_CODES.includes(error.code) || /stream closed|socket hang up/i.test(error.message))) {
+    category = ERROR_CATEGORIES.NETWORK;
+  } else if (status === 429) {
+    category = (providerCode === 'insufficient_quota' || QUOTA_PATTERN.test(message))
+      ? ERROR_CATEGORIES.QUOTA
+      : ERROR_CATEGORIES.RATE_LIMIT;
+  } else if (status === 529 || status === 503 || providerCode === 'overloaded_error') {
+    category = ERROR_CATEGORIES.OVERLOADED;
+  } else if (status === 401 || status === 403) {
+    category = ERROR_CATEGORIES.AUTH;
+  } else if (status === 402) {
+    category = ERROR_CATEGORIES.QUOTA;
+  } else if (status === 413 || CONTEXT_LENGTH_PATTERN.test(message) || providerCode === 'context_length_exceeded') {
+    category = ERROR_CATEGORIES.CONTEXT_LENGTH;
+  } else if (providerCode === 'content_filter' || CONTENT_FILTER_PATTERN.test(message)) {
+    category = ERROR_CATEGORIES.CONTENT_FILTER;
+  } else if (status >= 500) {
+    category = ERROR_CATEGORIES.SERVER_ERROR;
+  } else if (status >= 400) {
+    category = ERROR_CATEGORIES.INVALID_REQUEST;
+  }
+
+  return {
+    category,
+    label: ERROR_LABELS[category],
+    retryable: RETRYABLE_CATEGORIES.includes(category),
+    status,
+    retryAfterMs: parseRetryAfter(error.response?.headers),
+    message,
+  };
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  ERROR_LABELS,
+  CONTENT_FILTER_FINISH_REASONS,
+  classifyProviderError,
+  parseRetryAfter,
+};
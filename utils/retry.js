@@ -0,0 +1,73 @@
+// utils/retry.js
+
+/**
+ * Waits for `ms` milliseconds, or rejects early when the signal is aborted.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Exponential backoff with full jitter: a random wait up to base * 2^(attempt - 1), capped at maxDelayMs.
+ * @param {number} attempt - The retry number, starting at 1.
+ * @param {number} baseDelayMs
+ * @param {number} maxDelayMs
+ * @returns {number}
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Runs `task` and retries it while `shouldRetry` allows, waiting with exponential backoff in between.
+ * A server-requested wait (`retryAfterMs` from shouldRetry) is honoured instead of the backoff; when it is
+ * longer than `maxDelayMs` the error is given up on rather than blocking the request.
+ * @template T
+ * @param {(attempt: number) => Promise<T>} task - Called with the attempt number (0 for the first try).
+ * @param {object} options
+ * @param {number} options.maxRetries - Retries after the first attempt.
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {(error: Error) => Promise<{retry: boolean, retryAfterMs?: number}>} options.shouldRetry - Decides per failure.
+ * @param {(info: {attempt: number, maxRetries: number, delayMs: number, error: Error}) => void} [options.onRetry] - Called before each wait.
+ * @param {AbortSignal} [options.signal] - Stops waiting (and retrying) when aborted.
+ * @returns {Promise<T>}
+ */
+async function withRetry(task, { maxRetries, baseDelayMs, maxDelayMs, shouldRetry, onRetry, signal }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || signal?.aborted) throw error;
+      const { retry, retryAfterMs } = await shouldRetry(error);
+      if (!retry || (retryAfterMs !== undefined && retryAfterMs > maxDelayMs)) throw error;
+
+      const delayMs = retryAfterMs ?? backoffDelay(attempt + 1, baseDelayMs, maxDelayMs);
+      onRetry?.({ attempt: attempt + 1, maxRetries, delayMs, error });
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  sleep,
+};
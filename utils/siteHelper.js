@@ -1,19 +1,53 @@
 // utils/siteHelper.js
+const { GENERATION_PARAMS, UI_TEMPERATURE_RANGE } = require('../config/constants');
 
 /**
- * Formats a summary of non-zero status counts from a model's request counts.
- * @param {string} modelId - A model Id
- * @param {Number} temperature - the temperature passed to model.
- * @returns { Number } - a number as per translated into model's input
+ * Translates a temperature from the chat page's range (0-2) into a provider's own range.
+ * @param {Number|string} temperature - the temperature entered on the page.
+ * @param {[number, number]} [range] - the provider's [min, max] temperature range.
+ * @returns {Number|undefined} - the temperature as the provider expects it, or undefined when none was given.
  */
-function normalizeTemperature(modelId, temperature) {
-  let normizedTemp = 0;
-  if (modelId == 'gemini') {
-    normizedTemp = temperature;
+function normalizeTemperature(temperature, range = UI_TEMPERATURE_RANGE) {
+  const value = parseFloat(temperature);
+  if (Number.isNaN(value)) {
+    return undefined;
   }
-  return normizedTemp.trim();
+  const [uiMin, uiMax] = UI_TEMPERATURE_RANGE;
+  const [min, max] = range;
+  const clamped = Math.min(Math.max(value, uiMin), uiMax);
+  const scaled = min + ((clamped - uiMin) / (uiMax - uiMin)) * (max - min);
+  return Math.round(scaled * 1000) / 1000;
+}
+
+/**
+ * Cleans the generation parameters sent by the chat page: numbers are parsed, stop sequences
+ * are split into a list and empty fields are dropped, so adapters only see values that were set.
+ * @param {Record<string, any>} [rawParams] - the parameters as posted (strings or numbers).
+ * @returns {Record<string, number|string[]>} - the parameters that were actually set.
+ */
+function sanitizeGenerationParams(rawParams = {}) {
+  const params = {};
+  for (const key of GENERATION_PARAMS) {
+    const raw = rawParams?.[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    if (key === 'stop') {
+      const stop = (Array.isArray(raw) ? raw : String(raw).split(/[\n,]/))
+        .map(sequence => String(sequence).trim())
+        .filter(Boolean);
+      if (stop.length) params.stop = stop;
+      continue;
+    }
+
+    const value = Number(raw);
+    if (Number.isFinite(value)) {
+      params[key] = ['maxTokens', 'topK', 'seed'].includes(key) ? Math.round(value) : value;
+    }
+  }
+  return params;
 }
 
 module.exports = {
   normalizeTemperature,
-};
\ No newline at end of file
+  sanitizeGenerationParams,
+};
@@ -7,10 +7,79 @@
  * @param {object} data - The data payload to be sent, typically a JSON object.
  */
 const sendSseEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) return; // The client has gone away (or the stream is already closed)
   res.write(`event: ${event}\n`);
   res.write(`data: ${JSON.stringify(data)}\n\n`);
 };
 
+/**
+ * Parses a single SSE event block into its event name and (multi-line) data.
+ * @param {string} block - The raw text of one event, without the trailing blank line.
+ * @returns {{ event: string, data: string }}
+ */
+const parseSseBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.substring('event:'.length).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.substring('data:'.length).trimStart());
+    }
+  });
+  return { event, data: dataLines.join('\n') };
+};
+
+/**
+ * Reads an upstream Server-Sent Events stream (e.g. an axios response requested with
+ * `responseType: 'stream'`) and invokes `onEvent` for every complete event that carries data.
+ * @param {import('stream').Readable} stream - The readable stream returned by the provider.
+ * @param {(event: { event: string, data: string }) => void} onEvent - Called once per event. Throwing rejects the promise.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+const readSseStream = (stream, onEvent) => new Promise((resolve, reject) => {
+  let buffer = '';
+
+  const flush = (final) => {
+    buffer = buffer.replace(/\r\n/g, '\n');
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.substring(0, separatorIndex);
+      buffer = buffer.substring(separatorIndex + 2);
+      const parsed = parseSseBlock(block);
+      if (parsed.data) onEvent(parsed);
+    }
+    if (final && buffer.trim()) {
+      const parsed = parseSseBlock(buffer);
+      buffer = '';
+      if (parsed.data) onEvent(parsed);
+    }
+  };
+
+  if (stream.setEncoding) stream.setEncoding('utf8'); // Avoids splitting multi-byte characters across chunks
+  stream.on('data', (chunk) => {
+    buffer += chunk;
+    try {
+      flush(false);
+    } catch (error) {
+      stream.destroy();
+      reject(error);
+    }
+  });
+  stream.on('end', () => {
+    try {
+      flush(true);
+      resolve();
+    } catch (error) {
+      reject(error);
+    }
+  });
+  stream.on('error', reject);
+  // A stream torn down without an error (e.g. a cancelled request) never emits 'end'; after 'end' this is a no-op.
+  stream.on('close', () => reject(new Error('Stream closed before it ended')));
+});
+
 module.exports = {
   sendSseEvent,
-};
\ No newline at end of file
+  readSseStream,
+};
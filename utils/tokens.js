@@ -0,0 +1,39 @@
+// utils/tokens.js
+
+// Rough rule of thumb for English text with the common BPE tokenizers; providers do not share one tokenizer
+const CHARS_PER_TOKEN = 4;
+// Role markers and separators every message adds around its content
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Providers bill images by resolution, which is not known here; this is in the range of a typical screenshot
+const IMAGE_TOKENS = 1000;
+// Files kept in a provider's file store (only a URI is in the history) are assumed to be a few pages long
+const FILE_REFERENCE_TOKENS = 2000;
+
+/**
+ * Estimates the tokens of a text.
+ * @param {string} [text]
+ * @returns {number}
+ */
+function estimateTextTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimates the tokens a message takes up in a model's context.
+ * @param {import('../config/adapters/shared').CanonicalMessage} message - The message in provider-neutral form.
+ * @returns {number}
+ */
+function estimateMessageTokens(message) {
+  const attachmentTokens = (message.attachments || []).reduce((total, attachment) => {
+    if (attachment.kind === 'image') return total + IMAGE_TOKENS;
+    if (!attachment.data) return total + FILE_REFERENCE_TOKENS;
+    // Decoded size of the base64 data, read as text
+    return total + Math.ceil((attachment.data.length * 3) / 4 / CHARS_PER_TOKEN);
+  }, 0);
+  return MESSAGE_OVERHEAD_TOKENS + estimateTextTokens(message.text) + attachmentTokens;
+}
+
+module.exports = {
+  estimateTextTokens,
+  estimateMessageTokens,
+};
@@ -0,0 +1,70 @@
+// utils/usage.js
+
+/**
+ * Adds the total to a normalized usage object.
+ * @param {import('../config/adapters/shared').Usage} [usage]
+ * @returns {import('../config/adapters/shared').Usage|undefined}
+ */
+function withTotalTokens(usage) {
+  if (!usage || (usage.inputTokens === undefined && usage.outputTokens === undefined)) {
+    return usage;
+  }
+  return { ...usage, totalTokens: (usage.inputTokens ?? 0) + (usage.outputTokens ?? 0) };
+}
+
+/**
+ * Prices a call's token usage. Cached prompt tokens are billed at the cached rate.
+ * @param {import('../config/adapters/shared').Usage} [usage]
+ * @param {import('../config/pricing').ModelPricing} [pricing]
+ * @returns {number|undefined} The cost in the pricing file's currency, or undefined when usage or prices are unknown.
+ */
+function calculateCost(usage, pricing) {
+  if (!usage || !pricing || (usage.inputTokens === undefined && usage.outputTokens === undefined)) {
+    return undefined;
+  }
+  const cachedTokens = usage.cachedTokens ?? 0;
+  const uncachedTokens = Math.max(0, (usage.inputTokens ?? 0) - cachedTokens);
+  const perToken = 1 / 1000000;
+  return uncachedTokens * pricing.input * perToken
+    + cachedTokens * (pricing.cachedInput ?? pricing.input) * perToken
+    + (usage.outputTokens ?? 0) * pricing.output * perToken;
+}
+
+/**
+ * @typedef {object} UsageTotals
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} cachedTokens
+ * @property {number} reasoningTokens
+ * @property {number} totalTokens
+ * @property {number} cost - Summed cost of the priced responses.
+ * @property {number} responses - Responses counted.
+ * @property {number} unpricedResponses - Responses without a known cost (not in `cost`).
+ */
+
+/**
+ * Adds one response's usage and cost to running totals.
+ * @param {UsageTotals} [totals] - The totals so far; new totals are started when omitted.
+ * @param {import('../config/adapters/shared').Usage} [usage]
+ * @param {number} [cost]
+ * @returns {UsageTotals} The new totals.
+ */
+function addUsage(totals, usage = {}, cost) {
+  const current = totals || { inputTokens: 0, outputTokens: 0, cachedTokens: 0, reasoningTokens: 0, totalTokens: 0, cost: 0, responses: 0, unpricedResponses: 0 };
+  return {
+    inputTokens: current.inputTokens + (usage.inputTokens ?? 0),
+    outputTokens: current.outputTokens + (usage.outputTokens ?? 0),
+    cachedTokens: current.cachedTokens + (usage.cachedTokens ?? 0),
+    reasoningTokens: current.reasoningTokens + (usage.reasoningTokens ?? 0),
+    totalTokens: current.totalTokens + (usage.totalTokens ?? 0),
+    cost: current.cost + (cost ?? 0),
+    responses: current.responses + 1,
+    unpricedResponses: current.unpricedResponses + (cost === undefined ? 1 : 0),
+  };
+}
+
+module.exports = {
+  withTotalTokens,
+  calculateCost,
+  addUsage,
+};